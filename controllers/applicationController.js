@@ -1,7 +1,83 @@
 import Application from '../models/Application.js';
 import User from '../models/user.js';
+import Cohort from '../models/Cohort.js';
+import {
+  OPEN_STATUSES,
+  initialStatus,
+  withdrawApplication,
+  canTransition,
+  allowedTransitions
+} from '../services/applicationWorkflow.js';
+import { isAutoAssignEnabled, autoAssignApplication } from '../services/assignmentService.js';
+import { promoteFromWaitlist } from '../services/waitlistService.js';
+import { scoreApplication } from '../services/duplicateService.js';
+import { resolveCustomAnswers } from '../services/formService.js';
+import { applyEligibilityRules } from '../services/eligibilityService.js';
+import { resolveReferral } from '../services/referralService.js';
+import {
+  bulkStatusLimit,
+  changeApplicationStatus,
+  previewStatusChange,
+  applyStatusChange
+} from '../services/statusChangeService.js';
+import { buildApplicationQuery, buildApplicationSort } from '../services/applicationQuery.js';
 import { validationResult } from 'express-validator';
 
+// Internal review fields applicants never see on their own application
+const OWNER_HIDDEN_FIELDS = ['adminNotes', 'reviewSummary', 'reviewedAt', 'ipAddress', 'userAgent'];
+const OWNER_SELECT = ['__v', 'password', 'confirmPassword', ...OWNER_HIDDEN_FIELDS].map(field => `-${field}`).join(' ');
+
+// Fields an applicant may still change while the application waits for review
+const OWNER_EDITABLE_FIELDS = [
+  'phone',
+  'countryCode',
+  'state',
+  'motivation',
+  'goals',
+  'education',
+  'experience',
+  'currentRole',
+  'preferredStartDate',
+  'availableHours',
+  'hasLaptop',
+  'wantsUpdates'
+];
+
+// Fields only the server writes; dropped from a submission before it is saved.
+// A forged seatReserved, for one, would give back a seat that was never taken.
+const SERVER_OWNED_FIELDS = [
+  'reviewSummary',
+  'adminNotes',
+  'reviewedAt',
+  'seatReserved',
+  'paymentDueAt',
+  'waitlist',
+  'payment',
+  'paymentStatus',
+  'installments',
+  'eligibility',
+  'fingerprint',
+  'mergedInto'
+];
+
+const submittedFields = (body) => {
+  const data = { ...body };
+  SERVER_OWNED_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+// Applicant-facing shape: history without reviewer identities or internal notes
+const toOwnerView = (application) => {
+  const data = application.toObject();
+
+  OWNER_HIDDEN_FIELDS.forEach(field => delete data[field]);
+  data.statusHistory = (data.statusHistory || []).map(({ from, to, changedAt }) => ({ from, to, changedAt }));
+  data.canEdit = application.status === 'submitted';
+  data.canWithdraw = canTransition(application.status, 'withdrawn');
+
+  return data;
+};
+
 // Submit new application
 export const submitApplication = async (req, res) => {
   try {
@@ -14,10 +90,10 @@ export const submitApplication = async (req, res) => {
       });
     }
 
-    // Check if email already has a pending application
+    // Check if email already has an application in progress
     const existingApplication = await Application.findOne({
       email: req.body.email,
-      status: 'pending'
+      status: { $in: OPEN_STATUSES }
     });
 
     if (existingApplication) {
@@ -37,6 +113,16 @@ export const submitApplication = async (req, res) => {
       });
     }
 
+    // Applications are only accepted while a cohort for the track is open
+    const cohort = await Cohort.findOpen(req.body.track, req.body.program);
+    if (!cohort) {
+      return res.status(400).json({
+        success: false,
+        message: 'Applications for this track and program are currently closed. Please check back for the next intake.',
+        errors: [{ field: "track", message: "No cohort is currently accepting applications" }]
+      });
+    }
+
     // Validate password match (extra validation)
     if (req.body.password !== req.body.confirmPassword) {
       return res.status(400).json({
@@ -46,6 +132,14 @@ export const submitApplication = async (req, res) => {
       });
     }
 
+    // Answers to the track's own questions, checked before anything is created
+    const customAnswers = await resolveCustomAnswers(req.body.track, req.body.program, req.body.answers);
+
+    // Attribute the application to an ambassador or alumnus
+    const referral = req.body.referralCode
+      ? await resolveReferral(req.body.referralCode, { email: req.body.email })
+      : undefined;
+
     // Create new user account
     const user = await User.create({
       firstName: req.body.firstName,
@@ -58,9 +152,15 @@ export const submitApplication = async (req, res) => {
       isActive: true
     });
 
-    // Create new application with IP and user agent
+    // Create new application with IP and user agent.
+    // Status fields come from the workflow, never from the request body.
     const applicationData = {
-      ...req.body,
+      ...submittedFields(req.body),
+      ...initialStatus(user._id),
+      user: user._id,
+      cohort: cohort._id,
+      customAnswers,
+      referral,
       ipAddress: req.ip,
       userAgent: req.headers['user-agent']
     };
@@ -68,6 +168,36 @@ export const submitApplication = async (req, res) => {
     const application = new Application(applicationData);
     await application.save();
 
+    // Admin-defined eligibility rules can reject, flag or shortlist it straight away.
+    // A failure leaves the application submitted for a human to look at.
+    try {
+      await applyEligibilityRules(application);
+    } catch (eligibilityError) {
+      console.error('Eligibility rules error:', eligibilityError);
+    }
+
+    // Hand the application to a reviewer straight away when auto-assignment is on.
+    // A failure here must not fail the submission; admins can run auto-assign later.
+    if (isAutoAssignEnabled() && application.status !== 'rejected') {
+      try {
+        await autoAssignApplication(application);
+      } catch (assignError) {
+        console.error('Auto assignment error:', assignError);
+      }
+    }
+
+    // Likely duplicates go to the admin review queue; never blocks the submission
+    try {
+      await scoreApplication(application);
+    } catch (scoreError) {
+      console.error('Duplicate scoring error:', scoreError);
+    }
+
+    // Submitted from a saved draft, which is no longer needed
+    if (req.draft) {
+      await req.draft.deleteOne();
+    }
+
     // Remove password fields from response
     application.password = undefined;
     application.confirmPassword = undefined;
@@ -84,12 +214,33 @@ export const submitApplication = async (req, res) => {
         applicationDate: application.applicationDate,
         track: application.track,
         program: application.program,
+        cohort: {
+          id: cohort._id,
+          name: cohort.name,
+          startDate: cohort.startDate
+        },
         status: application.status,
         email: application.email,
         firstName: application.firstName
       }
     });
   } catch (error) {
+    if (error.name === 'FormAnswerError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    if (error.name === 'ReferralError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: [{ field: 'referralCode', message: error.message }]
+      });
+    }
+
     console.error('Application submission error:', error);
     
     // Handle validation errors
@@ -127,8 +278,20 @@ export const submitApplication = async (req, res) => {
 export const getApplication = async (req, res) => {
   try {
     const { id } = req.params;
-    
-    const application = await Application.findById(id).select('-__v -password -confirmPassword');
+    const isAdmin = req.user.role === 'admin';
+
+    // Anyone other than an admin can only see their own application
+    const query = isAdmin ? { _id: id } : { _id: id, user: req.user._id };
+
+    let applicationQuery = Application.findOne(query)
+      .select(isAdmin ? '-__v -password -confirmPassword' : OWNER_SELECT)
+      .populate('cohort', 'name startDate endDate');
+
+    if (isAdmin) {
+      applicationQuery = applicationQuery.populate('statusHistory.changedBy', 'firstName lastName email role');
+    }
+
+    const application = await applicationQuery;
     
     if (!application) {
       return res.status(404).json({
@@ -137,9 +300,19 @@ export const getApplication = async (req, res) => {
       });
     }
 
+    if (!isAdmin) {
+      return res.status(200).json({
+        success: true,
+        data: toOwnerView(application)
+      });
+    }
+
     res.status(200).json({
       success: true,
-      data: application
+      data: {
+        ...application.toObject(),
+        allowedTransitions: allowedTransitions(application.status)
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -149,50 +322,148 @@ export const getApplication = async (req, res) => {
   }
 };
 
-// Get all applications (admin only - with pagination and filtering)
-export const getAllApplications = async (req, res) => {
+// Get the current user's own applications
+export const getMyApplications = async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      status,
-      track,
-      program,
-      startDate,
-      endDate,
-      search
-    } = req.query;
-
-    const query = {};
-
-    // Add filters
-    if (status) query.status = status;
-    if (track) query.track = track;
-    if (program) query.program = program;
-    
-    // Date range filter
-    if (startDate || endDate) {
-      query.applicationDate = {};
-      if (startDate) query.applicationDate.$gte = new Date(startDate);
-      if (endDate) query.applicationDate.$lte = new Date(endDate);
+    const applications = await Application.find({ user: req.user._id })
+      .select(OWNER_SELECT)
+      .populate('cohort', 'name startDate endDate')
+      .sort({ applicationDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: applications.map(toOwnerView)
+    });
+  } catch (error) {
+    console.error('Error fetching own applications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching applications'
+    });
+  }
+};
+
+// Edit own application while it is still waiting for review
+export const updateMyApplication = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const updates = {};
+    OWNER_EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to update. Editable fields: ${OWNER_EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    // Conditional on status so an application picked up for review meanwhile is not changed
+    const application = await Application.findOneAndUpdate(
+      { _id: id, user: req.user._id, status: 'submitted' },
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select(OWNER_SELECT);
+
+    if (!application) {
+      const exists = await Application.exists({ _id: id, user: req.user._id });
+
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists
+          ? 'Your application is already being reviewed and can no longer be edited'
+          : 'Application not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Application updated successfully',
+      data: toOwnerView(application)
+    });
+  } catch (error) {
+    console.error('Error updating own application:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating application'
+    });
+  }
+};
+
+// Withdraw own application
+export const withdrawMyApplication = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const existing = await Application.findOne({ _id: id, user: req.user._id }).select('status');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
     }
 
-    // Search filter
-    if (search) {
-      query.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
+    const application = await withdrawApplication(existing._id, {
+      actor: req.user._id,
+      reason: reason ? `Withdrawn by applicant: ${reason}` : 'Withdrawn by applicant'
+    });
+
+    if (application.cohort) await promoteFromWaitlist(application.cohort);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn',
+      data: toOwnerView(application)
+    });
+  } catch (error) {
+    if (error.name === 'InvalidStatusTransitionError') {
+      return res.status(409).json({
+        success: false,
+        message: `Your application is ${error.from} and can no longer be withdrawn`
+      });
     }
 
+    console.error('Error withdrawing application:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing application'
+    });
+  }
+};
+
+// Get all applications (admin only - with pagination and filtering)
+export const getAllApplications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = buildApplicationQuery(req.query);
+    const sort = buildApplicationSort(req.query);
+
     const pageNumber = parseInt(page);
     const pageSize = parseInt(limit);
     const skip = (pageNumber - 1) * pageSize;
 
     const applications = await Application.find(query)
-      .select('-password -confirmPassword -__v')
-      .sort({ applicationDate: -1 })
+      .select('-password -confirmPassword -statusHistory -__v')
+      .sort(sort)
       .skip(skip)
       .limit(pageSize);
 
@@ -224,22 +495,16 @@ export const updateApplicationStatus = async (req, res) => {
     const { id } = req.params;
     const { status, adminNotes } = req.body;
 
-    if (!status || !['pending', 'reviewing', 'accepted', 'rejected'].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Valid status is required'
-      });
-    }
-
-    const application = await Application.findByIdAndUpdate(
-      id,
-      {
-        status,
+    const options = {
+      actor: req.user._id,
+      note: adminNotes,
+      update: {
         ...(adminNotes && { adminNotes }),
         reviewedAt: new Date()
-      },
-      { new: true, runValidators: true }
-    ).select('-password -confirmPassword');
+      }
+    };
+    // Acceptance reserves a cohort seat, so a full cohort waitlists the application instead
+    const application = await changeApplicationStatus(id, status, options);
 
     if (!application) {
       return res.status(404).json({
@@ -248,12 +513,27 @@ export const updateApplicationStatus = async (req, res) => {
       });
     }
 
+    if (status === 'withdrawn' && application.cohort) {
+      await promoteFromWaitlist(application.cohort, { actor: req.user._id });
+    }
+
     res.status(200).json({
       success: true,
-      message: `Application status updated to ${status}`,
+      message: application.status === status
+        ? `Application status updated to ${status}`
+        : `Cohort is full, application is ${application.status}`,
       data: application
     });
   } catch (error) {
+    if (error.name === 'InvalidStatusTransitionError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        allowedTransitions: allowedTransitions(error.from)
+      });
+    }
+
+    console.error('Update application status error:', error);
     res.status(500).json({
       success: false,
       message: 'Error updating application status'
@@ -261,6 +541,86 @@ export const updateApplicationStatus = async (req, res) => {
   }
 };
 
+// Change the status of many applications at once (admin only). Targets are
+// explicit ids or the list filters; dryRun (the default) only previews the change.
+export const bulkUpdateApplicationStatus = async (req, res) => {
+  try {
+    const { ids, filters, status, adminNotes, dryRun = true, atomic = false, expectedCount } = req.body;
+
+    const query = ids?.length
+      ? { _id: { $in: ids } }
+      : buildApplicationQuery(filters);
+
+    if (!ids?.length && Object.keys(query).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide application ids or at least one filter'
+      });
+    }
+
+    const total = await Application.countDocuments(query);
+
+    if (total > bulkStatusLimit()) {
+      return res.status(400).json({
+        success: false,
+        message: `${total} applications match; narrow the selection to at most ${bulkStatusLimit()}`
+      });
+    }
+
+    if (dryRun) {
+      const preview = await previewStatusChange(query, status);
+
+      return res.status(200).json({
+        success: true,
+        message: `${preview.summary.willChange} of ${preview.summary.total} application(s) would change`,
+        data: { dryRun: true, ...preview }
+      });
+    }
+
+    // The selection moved on since the preview the admin confirmed
+    if (expectedCount !== undefined && Number(expectedCount) !== total) {
+      return res.status(409).json({
+        success: false,
+        message: `Expected ${expectedCount} application(s) but ${total} now match. Preview the change again.`
+      });
+    }
+
+    const targets = await Application.find(query).select('_id').sort({ applicationDate: 1 });
+    const result = await applyStatusChange(targets.map(target => target._id), status, {
+      actor: req.user._id,
+      note: adminNotes,
+      atomic
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.summary.succeeded} of ${result.summary.total} application(s) updated`,
+      data: { dryRun: false, ...result }
+    });
+  } catch (error) {
+    if (error.name === 'BulkStatusAbortedError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        data: { dryRun: false, results: error.results }
+      });
+    }
+
+    if (error.codeName === 'IllegalOperation') {
+      return res.status(503).json({
+        success: false,
+        message: 'Bulk status changes need a MongoDB deployment that supports transactions'
+      });
+    }
+
+    console.error('Bulk update application status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating applications'
+    });
+  }
+};
+
 // Get application statistics (admin only)
 export const getApplicationStats = async (req, res) => {
   try {
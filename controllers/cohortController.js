@@ -0,0 +1,327 @@
+import Cohort from '../models/Cohort.js';
+import Application from '../models/Application.js';
+import { getWaitlist, moveOnWaitlist, promoteFromWaitlist } from '../services/waitlistService.js';
+
+const formatValidationError = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+// Get cohorts currently accepting applications (public)
+export const getOpenCohorts = async (req, res) => {
+  try {
+    const { track, program } = req.query;
+    const now = new Date();
+
+    const query = {
+      isActive: true,
+      applicationOpensAt: { $lte: now },
+      applicationClosesAt: { $gt: now }
+    };
+    if (track) query.track = track;
+    if (program) query.program = program;
+
+    const cohorts = await Cohort.find(query)
+      .select('name track program startDate endDate applicationOpensAt applicationClosesAt capacity seatsTaken')
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: cohorts
+    });
+  } catch (error) {
+    console.error('Get open cohorts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cohorts'
+    });
+  }
+};
+
+// Get all cohorts (admin only)
+export const getAllCohorts = async (req, res) => {
+  try {
+    const { track, program, isActive } = req.query;
+
+    const query = {};
+    if (track) query.track = track;
+    if (program) query.program = program;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const cohorts = await Cohort.find(query).sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: cohorts
+    });
+  } catch (error) {
+    console.error('Get cohorts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cohorts'
+    });
+  }
+};
+
+// Get cohort by ID with application counts (admin only)
+export const getCohort = async (req, res) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found'
+      });
+    }
+
+    const statusCounts = await Application.aggregate([
+      { $match: { cohort: cohort._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cohort,
+        applications: statusCounts.reduce((acc, item) => {
+          acc[item._id] = item.count;
+          return acc;
+        }, {})
+      }
+    });
+  } catch (error) {
+    console.error('Get cohort error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cohort'
+    });
+  }
+};
+
+// Create cohort (admin only)
+export const createCohort = async (req, res) => {
+  try {
+    const {
+      name,
+      track,
+      program,
+      startDate,
+      endDate,
+      applicationOpensAt,
+      applicationClosesAt,
+      capacity,
+      isActive
+    } = req.body;
+
+    const cohort = await Cohort.create({
+      name,
+      track,
+      program,
+      startDate,
+      endDate,
+      applicationOpensAt,
+      applicationClosesAt,
+      capacity,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cohort created successfully',
+      data: cohort
+    });
+  } catch (error) {
+    console.error('Create cohort error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating cohort'
+    });
+  }
+};
+
+// Update cohort (admin only)
+export const updateCohort = async (req, res) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found'
+      });
+    }
+
+    // track/program are fixed once applications can be linked to the cohort
+    const allowedFields = ['name', 'startDate', 'endDate', 'applicationOpensAt', 'applicationClosesAt', 'capacity', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) cohort[field] = req.body[field];
+    });
+
+    if (cohort.capacity < cohort.seatsTaken) {
+      return res.status(400).json({
+        success: false,
+        message: `Capacity cannot be lower than the ${cohort.seatsTaken} seats already taken`
+      });
+    }
+
+    await cohort.save();
+
+    // Extra capacity goes to the waitlist straight away
+    const promoted = await promoteFromWaitlist(cohort._id, { actor: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: promoted.length
+        ? `Cohort updated successfully, ${promoted.length} applicant(s) promoted from the waitlist`
+        : 'Cohort updated successfully',
+      data: promoted.length ? await Cohort.findById(cohort._id) : cohort
+    });
+  } catch (error) {
+    console.error('Update cohort error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating cohort'
+    });
+  }
+};
+
+// Delete cohort (admin only)
+export const deleteCohort = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const linkedApplications = await Application.countDocuments({ cohort: id });
+    if (linkedApplications > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cohort has applications linked to it. Deactivate it instead.'
+      });
+    }
+
+    const cohort = await Cohort.findByIdAndDelete(id);
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Cohort deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete cohort error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting cohort'
+    });
+  }
+};
+
+// Get a cohort's waitlist in promotion order (admin only)
+export const getCohortWaitlist = async (req, res) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id).select('name capacity seatsTaken');
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found'
+      });
+    }
+
+    const waitlist = await getWaitlist(cohort._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cohort,
+        waitlist: waitlist.map((application, index) => ({ position: index + 1, application }))
+      }
+    });
+  } catch (error) {
+    console.error('Get cohort waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist'
+    });
+  }
+};
+
+// Move an application to another position on the waitlist (admin only)
+export const reorderCohortWaitlist = async (req, res) => {
+  try {
+    const { id, applicationId } = req.params;
+
+    const waitlist = await moveOnWaitlist(id, applicationId, req.body.position);
+
+    if (!waitlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application is not on this cohort\'s waitlist'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist updated successfully',
+      data: waitlist.map((application, index) => ({ position: index + 1, application }))
+    });
+  } catch (error) {
+    console.error('Reorder cohort waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating waitlist'
+    });
+  }
+};
+
+// Offer any free seats to the top of the waitlist now (admin only)
+export const promoteCohortWaitlist = async (req, res) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id).select('_id');
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found'
+      });
+    }
+
+    const promoted = await promoteFromWaitlist(cohort._id, { actor: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: `${promoted.length} applicant(s) promoted from the waitlist`,
+      data: promoted
+    });
+  } catch (error) {
+    console.error('Promote cohort waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error promoting from waitlist'
+    });
+  }
+};
@@ -0,0 +1,243 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Application from '../models/Application.js';
+import Price from '../models/Price.js';
+import { priceCheckout } from '../services/checkoutService.js';
+
+const formatValidationError = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+const COUPON_FIELDS = [
+  'code', 'description', 'campaign', 'discountType', 'discountValue', 'tracks', 'programs',
+  'startsAt', 'endsAt', 'maxRedemptions', 'perUserLimit', 'isActive'
+];
+
+// Get all coupons (admin only)
+export const getCoupons = async (req, res) => {
+  try {
+    const { campaign, isActive, search } = req.query;
+
+    const query = {};
+    if (campaign) query.campaign = campaign.toLowerCase();
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) query.code = { $regex: search, $options: 'i' };
+
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: coupons
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupons'
+    });
+  }
+};
+
+// Get a coupon with its redemption totals (admin only)
+export const getCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const [totals] = await CouponRedemption.aggregate([
+      { $match: { coupon: coupon._id } },
+      { $group: { _id: null, redemptions: { $sum: 1 }, discountGiven: { $sum: '$amount' } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupon,
+        redemptions: totals?.redemptions || 0,
+        discountGiven: totals?.discountGiven || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupon'
+    });
+  }
+};
+
+// Create coupon (admin only)
+export const createCoupon = async (req, res) => {
+  try {
+    const data = {};
+    COUPON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const coupon = await Coupon.create({ ...data, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating coupon'
+    });
+  }
+};
+
+// Update coupon (admin only). The code is fixed once the coupon exists; past checkouts keep their discount.
+export const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    COUPON_FIELDS.filter(field => field !== 'code').forEach(field => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating coupon'
+    });
+  }
+};
+
+// Delete coupon (admin only)
+export const deleteCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const redemptions = await CouponRedemption.countDocuments({ coupon: id });
+    if (redemptions > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Coupon has been redeemed. Deactivate it instead.'
+      });
+    }
+
+    const coupon = await Coupon.findByIdAndDelete(id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting coupon'
+    });
+  }
+};
+
+// Check a coupon against an application and show the price it would give (public, like checkout)
+export const validateCoupon = async (req, res) => {
+  try {
+    const { code, applicationId } = req.body;
+
+    const application = await Application.findById(applicationId).select('track program user referral');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const price = await Price.findCurrent(application.track, application.program);
+
+    if (!price) {
+      return res.status(400).json({
+        success: false,
+        message: 'No price is configured for this track and program'
+      });
+    }
+
+    const checkout = await priceCheckout(application, price, { couponCode: code, userId: application.user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        code: code.trim().toUpperCase(),
+        currency: price.currency,
+        originalAmount: checkout.originalAmount,
+        discounts: checkout.discounts.map(({ source, code: discountCode, amount }) => ({ source, code: discountCode, amount })),
+        amount: checkout.amount
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CouponError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: [{ field: 'code', message: error.message }]
+      });
+    }
+
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking coupon'
+    });
+  }
+};
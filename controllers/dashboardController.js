@@ -2,16 +2,18 @@
 import User from '../models/user.js';
 import Application from '../models/Application.js';
 import Payment from '../models/payment.js';
+import { OPEN_STATUSES } from '../services/applicationWorkflow.js';
+import { buildPaymentQuery } from '../services/paymentQuery.js';
 
 // Get user dashboard stats
 export const getUserStats = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user._id;
 
     // Get counts
     const activeApplications = await Application.countDocuments({
       user: userId,
-      status: { $in: ['pending', 'under_review'] }
+      status: { $in: OPEN_STATUSES }
     });
 
     const completedCourses = await Application.countDocuments({
@@ -52,12 +54,28 @@ export const getAdminStats = async (req, res) => {
     const totalUsers = await User.countDocuments();
     const totalApplications = await Application.countDocuments();
     
+    // Net of refunds; fully refunded payments contribute nothing
     const totalRevenue = await Payment.aggregate([
       { $match: { status: 'success' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: null, total: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } } } }
+    ]);
+
+    const totalRefunded = await Payment.aggregate([
+      { $match: { refundedAmount: { $gt: 0 } } },
+      { $group: { _id: null, total: { $sum: '$refundedAmount' } } }
     ]);
 
-    const approvedApplications = await Application.countDocuments({ status: 'approved' });
+    // Fees covered by scholarships; waived payments add nothing to revenue
+    const totalWaived = await Payment.aggregate([
+      { $match: { status: 'success', 'discounts.source': 'scholarship' } },
+      { $unwind: '$discounts' },
+      { $match: { 'discounts.source': 'scholarship' } },
+      { $group: { _id: null, total: { $sum: '$discounts.amount' } } }
+    ]);
+
+    const approvedApplications = await Application.countDocuments({
+      status: { $in: ['accepted', 'paid', 'enrolled'] }
+    });
     const approvalRate = totalApplications > 0 
       ? Math.round((approvedApplications / totalApplications) * 100)
       : 0;
@@ -68,6 +86,8 @@ export const getAdminStats = async (req, res) => {
         totalUsers,
         totalApplications,
         totalRevenue: totalRevenue[0]?.total || 0,
+        totalWaived: totalWaived[0]?.total || 0,
+        totalRefunded: totalRefunded[0]?.total || 0,
         approvalRate
       }
     });
@@ -121,7 +141,7 @@ export const getAnalytics = async (req, res) => {
           _id: {
             $dateToString: { format: "%Y-%m", date: "$paidAt" }
           },
-          total: { $sum: '$amount' }
+          total: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } }
         }
       },
       { $sort: { _id: 1 } },
@@ -188,13 +208,10 @@ export const getAllApplications = async (req, res) => {
 // Get all payments for admin
 export const getAllPayments = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
 
-    const query = {};
-    if (status && status !== 'all') {
-      query.status = status;
-    }
+    const query = buildPaymentQuery(req.query);
 
     const payments = await Payment.find(query)
       .populate('user', 'firstName lastName email')
@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import path from 'path';
+import Application from '../models/Application.js';
+import ApplicationDocument from '../models/ApplicationDocument.js';
+import { getStorage } from '../services/storage/index.js';
+import virusScanner from '../services/virusScanner.js';
+import { canAccessApplication } from '../middleware/auth.js';
+import { DOCUMENT_MIME_TYPES, contentMatchesMimeType } from '../middleware/upload.js';
+
+const isOwner = (user, application) => {
+  return application.user && application.user.toString() === user._id.toString();
+};
+
+// Upload a document to an application (owner or admin)
+export const uploadApplicationDocument = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.body;
+    const file = req.file;
+
+    const application = await Application.findById(id).select('user status');
+
+    if (!application || !canAccessApplication(req.user, application)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && !isOwner(req.user, application)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the applicant can upload documents to this application'
+      });
+    }
+
+    if (['rejected', 'withdrawn'].includes(application.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Application is ${application.status} and no longer accepts documents`
+      });
+    }
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required'
+      });
+    }
+
+    if (!DOCUMENT_MIME_TYPES[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `Document type must be one of: ${Object.keys(DOCUMENT_MIME_TYPES).join(', ')}`
+      });
+    }
+
+    if (!DOCUMENT_MIME_TYPES[type].includes(file.mimetype)) {
+      return res.status(400).json({
+        success: false,
+        message: `This file format is not accepted for a ${type} document`
+      });
+    }
+
+    // Don't trust the client's Content-Type: the bytes must match it
+    if (!contentMatchesMimeType(file.buffer, file.mimetype)) {
+      return res.status(400).json({
+        success: false,
+        message: 'File content does not match its file type'
+      });
+    }
+
+    let scan;
+    try {
+      scan = await virusScanner.scan(file.buffer, {
+        filename: file.originalname,
+        mimeType: file.mimetype
+      });
+    } catch (scanError) {
+      console.error('Virus scan error:', scanError);
+
+      if (process.env.VIRUS_SCAN_REQUIRED === 'true') {
+        return res.status(503).json({
+          success: false,
+          message: 'File could not be scanned. Please try again later.'
+        });
+      }
+      scan = { status: 'error', engine: process.env.VIRUS_SCANNER };
+    }
+
+    if (scan.status === 'infected') {
+      console.warn(`Rejected infected upload for application ${id}: ${scan.signature}`);
+      return res.status(422).json({
+        success: false,
+        message: 'The file failed a virus scan and was rejected'
+      });
+    }
+
+    const storage = getStorage();
+    const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const storageKey = `applications/${application._id}/${crypto.randomUUID()}${extension}`;
+
+    await storage.save(storageKey, file.buffer, { contentType: file.mimetype });
+
+    const document = await ApplicationDocument.create({
+      application: application._id,
+      uploadedBy: req.user._id,
+      type,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      storageDriver: storage.name,
+      storageKey,
+      scanStatus: scan.status,
+      scanEngine: scan.engine,
+      scannedAt: new Date()
+    });
+
+    document.storageKey = undefined;
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: document
+    });
+  } catch (error) {
+    console.error('Upload document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading document'
+    });
+  }
+};
+
+// List an application's documents (owner, assigned reviewers and admins)
+export const getApplicationDocuments = async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id).select('user');
+
+    if (!application || !canAccessApplication(req.user, application)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const documents = await ApplicationDocument.find({ application: application._id })
+      .populate('uploadedBy', 'firstName lastName role')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: documents
+    });
+  } catch (error) {
+    console.error('Get documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching documents'
+    });
+  }
+};
+
+// Download a document (owner, assigned reviewers and admins)
+export const downloadApplicationDocument = async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+
+    const application = await Application.findById(id).select('user');
+
+    if (!application || !canAccessApplication(req.user, application)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const document = await ApplicationDocument.findOne({
+      _id: documentId,
+      application: application._id
+    }).select('+storageKey');
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const stream = await getStorage(document.storageDriver).createReadStream(document.storageKey);
+
+    res.setHeader('Content-Type', document.mimeType);
+    res.setHeader('Content-Length', document.size);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(document.originalName)}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    stream.on('error', (streamError) => {
+      console.error('Document stream error:', streamError);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading document'
+    });
+  }
+};
+
+// Delete a document (owner while the application is waiting for review, or admin)
+export const deleteApplicationDocument = async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+
+    const application = await Application.findById(id).select('user status');
+
+    if (!application || !canAccessApplication(req.user, application)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && !(isOwner(req.user, application) && application.status === 'submitted')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Documents can only be removed before the application is reviewed'
+      });
+    }
+
+    const document = await ApplicationDocument.findOneAndDelete({
+      _id: documentId,
+      application: application._id
+    }).select('+storageKey');
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await getStorage(document.storageDriver).remove(document.storageKey);
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting document'
+    });
+  }
+};
@@ -0,0 +1,178 @@
+import ApplicationDraft, { DRAFT_STEPS } from '../models/ApplicationDraft.js';
+
+// Fields sent with the final submission rather than saved on the draft
+const SUBMISSION_FIELDS = ['password', 'confirmPassword', 'agreeToTerms', 'wantsUpdates'];
+
+const formatDraft = (draft) => ({
+  id: draft._id,
+  data: draft.data,
+  completedSteps: draft.completedSteps,
+  nextStep: draft.nextStep,
+  isComplete: draft.isComplete,
+  steps: Object.keys(DRAFT_STEPS),
+  lastSavedAt: draft.lastSavedAt,
+  expiresAt: draft.expiresAt
+});
+
+// Copy a step's fields from the (already validated) request body onto the draft
+const applyStep = (draft, step, body) => {
+  DRAFT_STEPS[step].forEach(field => {
+    if (body[field] !== undefined) draft.data[field] = body[field];
+  });
+  draft.markModified('data');
+
+  if (!draft.completedSteps.includes(step)) {
+    draft.completedSteps.push(step);
+  }
+  if (step === 'personal' && body.email) {
+    draft.email = body.email;
+  }
+
+  draft.touch();
+};
+
+// Start a new draft, optionally saving its first step straight away (public)
+export const createDraft = async (req, res) => {
+  try {
+    const { step } = req.body;
+
+    const draft = new ApplicationDraft({
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    const resumeToken = draft.createResumeToken();
+
+    if (step) applyStep(draft, step, req.body);
+
+    await draft.save();
+
+    // The resume token is only ever returned here; keep it to continue later
+    res.status(201).json({
+      success: true,
+      message: 'Draft saved. Use the resume token to continue your application later.',
+      data: {
+        resumeToken,
+        ...formatDraft(draft)
+      }
+    });
+  } catch (error) {
+    console.error('Create draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving draft'
+    });
+  }
+};
+
+// Resume a draft (public, by resume token)
+export const getDraft = async (req, res) => {
+  try {
+    const draft = await ApplicationDraft.findByResumeToken(req.params.token);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatDraft(draft)
+    });
+  } catch (error) {
+    console.error('Get draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching draft'
+    });
+  }
+};
+
+// Save one step of a draft (public, by resume token)
+export const saveDraftStep = async (req, res) => {
+  try {
+    const { token, step } = req.params;
+
+    const draft = await ApplicationDraft.findByResumeToken(token);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found or has expired'
+      });
+    }
+
+    applyStep(draft, step, req.body);
+    await draft.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft saved',
+      data: formatDraft(draft)
+    });
+  } catch (error) {
+    console.error('Save draft step error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving draft'
+    });
+  }
+};
+
+// Discard a draft (public, by resume token)
+export const discardDraft = async (req, res) => {
+  try {
+    const draft = await ApplicationDraft.findByResumeToken(req.params.token);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found or has expired'
+      });
+    }
+
+    await draft.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft discarded'
+    });
+  } catch (error) {
+    console.error('Discard draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error discarding draft'
+    });
+  }
+};
+
+// Middleware: load a completed draft as the request body so the regular
+// submission validation and handler can finalize it
+export const loadDraftForSubmission = async (req, res, next) => {
+  const draft = await ApplicationDraft.findByResumeToken(req.params.token);
+
+  if (!draft) {
+    return res.status(404).json({
+      success: false,
+      message: 'Draft not found or has expired'
+    });
+  }
+
+  if (!draft.isComplete) {
+    return res.status(400).json({
+      success: false,
+      message: `Please complete the '${draft.nextStep}' step before submitting`,
+      data: formatDraft(draft)
+    });
+  }
+
+  const submission = {};
+  SUBMISSION_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) submission[field] = req.body[field];
+  });
+
+  req.draft = draft;
+  req.body = { ...draft.data, ...submission };
+  next();
+};
@@ -0,0 +1,156 @@
+import DuplicateFlag from '../models/DuplicateFlag.js';
+import {
+  scoreApplication,
+  scanApplications,
+  mergeDuplicate,
+  dismissDuplicate
+} from '../services/duplicateService.js';
+
+const PAIR_FIELDS = 'firstName lastName email countryCode phone track program status paymentStatus cohort applicationDate ipAddress userAgent mergedInto';
+
+// Get the duplicate review queue, highest scores first (admin only)
+export const getDuplicateFlags = async (req, res) => {
+  try {
+    const { status = 'open', minScore, application, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (minScore) query.score = { $gte: Number(minScore) };
+    if (application) query.$or = [{ application }, { duplicateOf: application }];
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const flags = await DuplicateFlag.find(query)
+      .populate('application', PAIR_FIELDS)
+      .populate('duplicateOf', PAIR_FIELDS)
+      .populate('resolvedBy', 'firstName lastName email')
+      .sort({ score: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await DuplicateFlag.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: flags,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalItems: total,
+        hasNextPage: pageNumber < Math.ceil(total / pageSize),
+        hasPreviousPage: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get duplicate flags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching duplicate flags'
+    });
+  }
+};
+
+// Get one flagged pair side by side (admin only)
+export const getDuplicateFlag = async (req, res) => {
+  try {
+    const flag = await DuplicateFlag.findById(req.params.id)
+      .populate('application', PAIR_FIELDS)
+      .populate('duplicateOf', PAIR_FIELDS)
+      .populate('resolvedBy', 'firstName lastName email');
+
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Duplicate flag not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: flag
+    });
+  } catch (error) {
+    console.error('Get duplicate flag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching duplicate flag'
+    });
+  }
+};
+
+const resolutionHandler = (action, resolve) => async (req, res) => {
+  try {
+    const flag = await resolve(req.params.id, {
+      keep: req.body.keep,
+      actor: req.user._id,
+      note: req.body.note
+    });
+
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Duplicate flag not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Duplicate flag ${action}`,
+      data: flag
+    });
+  } catch (error) {
+    // Already resolved, or the merged application can no longer be withdrawn
+    if (['DuplicateResolutionError', 'InvalidStatusTransitionError'].includes(error.name)) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error(`Duplicate flag ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving duplicate flag'
+    });
+  }
+};
+
+// Merge a flagged pair into one application (admin only)
+export const mergeDuplicateFlag = resolutionHandler('merged', mergeDuplicate);
+
+// Mark a flagged pair as two different people (admin only)
+export const dismissDuplicateFlag = resolutionHandler('dismissed', dismissDuplicate);
+
+// Re-score one application, or every application submitted since a date (admin only)
+export const scanDuplicates = async (req, res) => {
+  try {
+    const { application, since } = req.body;
+
+    if (application) {
+      const flags = await scoreApplication(application);
+
+      return res.status(200).json({
+        success: true,
+        message: `${flags.length} open duplicate flag(s) for this application`,
+        data: flags
+      });
+    }
+
+    const scanned = await scanApplications({ since: since ? new Date(since) : undefined });
+    const open = await DuplicateFlag.countDocuments({ status: 'open' });
+
+    res.status(200).json({
+      success: true,
+      message: `Scanned ${scanned} application(s)`,
+      data: { scanned, open }
+    });
+  } catch (error) {
+    console.error('Scan duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error scanning for duplicates'
+    });
+  }
+};
@@ -0,0 +1,193 @@
+import EligibilityRule from '../models/EligibilityRule.js';
+import Application from '../models/Application.js';
+import { evaluateEligibility } from '../services/eligibilityService.js';
+
+const formatValidationError = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+const RULE_FIELDS = ['name', 'description', 'track', 'program', 'cohort', 'conditions', 'match', 'outcome', 'priority', 'isActive'];
+
+// Get all eligibility rules (admin only)
+export const getAllRules = async (req, res) => {
+  try {
+    const { track, program, outcome, isActive } = req.query;
+
+    const query = {};
+    if (track) query.track = track;
+    if (program) query.program = program;
+    if (outcome) query.outcome = outcome;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const rules = await EligibilityRule.find(query)
+      .populate('cohort', 'name startDate')
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get eligibility rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching eligibility rules'
+    });
+  }
+};
+
+// Get eligibility rule by ID (admin only)
+export const getRule = async (req, res) => {
+  try {
+    const rule = await EligibilityRule.findById(req.params.id).populate('cohort', 'name startDate');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Eligibility rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Get eligibility rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching eligibility rule'
+    });
+  }
+};
+
+// Create eligibility rule (admin only)
+export const createRule = async (req, res) => {
+  try {
+    const data = {};
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const rule = await EligibilityRule.create({ ...data, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Eligibility rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Create eligibility rule error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating eligibility rule'
+    });
+  }
+};
+
+// Update eligibility rule (admin only). Applications already evaluated keep their recorded outcome.
+export const updateRule = async (req, res) => {
+  try {
+    const rule = await EligibilityRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Eligibility rule not found'
+      });
+    }
+
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Eligibility rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Update eligibility rule error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating eligibility rule'
+    });
+  }
+};
+
+// Delete eligibility rule (admin only). Applications keep the rule name they matched.
+export const deleteRule = async (req, res) => {
+  try {
+    const rule = await EligibilityRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Eligibility rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Eligibility rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete eligibility rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting eligibility rule'
+    });
+  }
+};
+
+// Preview the outcome of the current rules for an existing application, without applying it (admin only)
+export const previewEligibility = async (req, res) => {
+  try {
+    const application = await Application.findById(req.body.application)
+      .select('track program cohort hasLaptop availableHours education experience country eligibility');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const result = await evaluateEligibility(application);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        recorded: application.eligibility
+      }
+    });
+  } catch (error) {
+    console.error('Preview eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error evaluating eligibility rules'
+    });
+  }
+};
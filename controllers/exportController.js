@@ -0,0 +1,175 @@
+import ExportJob from '../models/ExportJob.js';
+import {
+  CONTENT_TYPES,
+  exportSyncMaxRows,
+  pickExportFilters,
+  resolveColumns,
+  countExportRows,
+  writeExport,
+  exportFileName,
+  processExportJobs,
+  downloadUrlFor,
+  verifyDownloadToken
+} from '../services/exportService.js';
+import { getStorage } from '../services/storage/index.js';
+
+const toJobView = (job) => ({
+  id: job._id,
+  dataset: job.dataset,
+  format: job.format,
+  status: job.status,
+  rowCount: job.rowCount,
+  fileName: job.fileName,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  downloadUrl: downloadUrlFor(job)
+});
+
+// Stream an export straight back, or queue it as a background job when it is large
+const sendExport = async (req, res, dataset) => {
+  const format = req.query.format || 'csv';
+  const filters = pickExportFilters(dataset, req.query);
+  const columns = resolveColumns(dataset, req.query.columns);
+  const spec = { dataset, filters, columns, format, user: req.user };
+  const fileName = exportFileName(dataset, format);
+
+  const total = await countExportRows(spec);
+
+  if (req.query.background === 'true' || total > exportSyncMaxRows()) {
+    const job = await ExportJob.create({
+      dataset,
+      format,
+      filters,
+      columns,
+      fileName,
+      requestedBy: req.user._id
+    });
+
+    processExportJobs().catch(error => console.error('Export jobs error:', error));
+
+    return res.status(202).json({
+      success: true,
+      message: `Export of ${total} rows queued. You will receive an email with a download link.`,
+      data: toJobView(job)
+    });
+  }
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('X-Export-Rows', total);
+
+  await writeExport(spec, res);
+};
+
+const exportHandler = (dataset, label) => async (req, res) => {
+  try {
+    await sendExport(req, res, dataset);
+  } catch (error) {
+    if (error.name === 'ExportError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error(`Export ${label} error:`, error);
+
+    // Too late for a JSON error once the file has started streaming
+    if (res.headersSent) return res.destroy(error);
+
+    res.status(500).json({
+      success: false,
+      message: `Error exporting ${label}`
+    });
+  }
+};
+
+// Export applications as CSV or XLSX, with the application list filters (admin only)
+export const exportApplications = exportHandler('applications', 'applications');
+
+// Export users as CSV or XLSX, with the user list filters (admin only)
+export const exportUsers = exportHandler('users', 'users');
+
+// Export payments as CSV or XLSX, with the payment list filters (admin only)
+export const exportPayments = exportHandler('payments', 'payments');
+
+// Export reconciliation discrepancies as CSV or XLSX, by run, type or status (admin only)
+export const exportDiscrepancies = exportHandler('discrepancies', 'discrepancies');
+
+// List the current user's export jobs
+export const getMyExports = async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ requestedBy: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.status(200).json({
+      success: true,
+      data: jobs.map(toJobView)
+    });
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exports'
+    });
+  }
+};
+
+// Get an export job's status and, once it has finished, its download link
+export const getExport = async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ _id: req.params.id, requestedBy: req.user._id });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toJobView(job)
+    });
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching export'
+    });
+  }
+};
+
+// Download a finished export with the signed link from getExport or the email
+export const downloadExport = async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ _id: req.params.id, status: 'completed' }).select('+storageKey');
+
+    if (!job || !verifyDownloadToken(job, req.query.token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found or link expired'
+      });
+    }
+
+    const stream = await getStorage(job.storageDriver).createReadStream(job.storageKey);
+
+    res.setHeader('Content-Type', CONTENT_TYPES[job.format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${job.fileName}"`);
+
+    stream.on('error', (streamError) => {
+      console.error('Export stream error:', streamError);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading export'
+    });
+  }
+};
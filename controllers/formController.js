@@ -0,0 +1,193 @@
+import ApplicationForm from '../models/ApplicationForm.js';
+import Application from '../models/Application.js';
+
+const formatValidationError = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+// Get the questions applicants to a track and program must answer (public)
+export const getActiveForm = async (req, res) => {
+  try {
+    const { track, program } = req.query;
+
+    const form = await ApplicationForm.findActiveFor(track, program);
+
+    res.status(200).json({
+      success: true,
+      data: form
+        ? { id: form._id, name: form.name, track: form.track, program: form.program, questions: form.questions }
+        : null
+    });
+  } catch (error) {
+    console.error('Get active form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching application questions'
+    });
+  }
+};
+
+// Get all forms (admin only)
+export const getAllForms = async (req, res) => {
+  try {
+    const { track, program, isActive } = req.query;
+
+    const query = {};
+    if (track) query.track = track;
+    if (program) query.program = program;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const forms = await ApplicationForm.find(query).sort({ track: 1, program: 1, updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: forms
+    });
+  } catch (error) {
+    console.error('Get forms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching forms'
+    });
+  }
+};
+
+// Get form by ID (admin only)
+export const getForm = async (req, res) => {
+  try {
+    const form = await ApplicationForm.findById(req.params.id);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: form
+    });
+  } catch (error) {
+    console.error('Get form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching form'
+    });
+  }
+};
+
+// Create form (admin only)
+export const createForm = async (req, res) => {
+  try {
+    const { name, track, program, questions, isActive } = req.body;
+
+    const form = await ApplicationForm.create({
+      name,
+      track,
+      program: program || null,
+      questions,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Form created successfully',
+      data: form
+    });
+  } catch (error) {
+    console.error('Create form error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating form'
+    });
+  }
+};
+
+// Update form (admin only). Submitted applications keep the answers and labels they were given.
+export const updateForm = async (req, res) => {
+  try {
+    const form = await ApplicationForm.findById(req.params.id);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    const allowedFields = ['name', 'questions', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) form[field] = req.body[field];
+    });
+
+    await form.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Form updated successfully',
+      data: form
+    });
+  } catch (error) {
+    console.error('Update form error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating form'
+    });
+  }
+};
+
+// Delete form (admin only)
+export const deleteForm = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const applicationsUsingForm = await Application.countDocuments({ 'customAnswers.form': id });
+    if (applicationsUsingForm > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Applications have answered this form. Deactivate it instead.'
+      });
+    }
+
+    const form = await ApplicationForm.findByIdAndDelete(id);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Form deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting form'
+    });
+  }
+};
@@ -0,0 +1,47 @@
+import { parseCsv, importApplications, importUsers } from '../services/importService.js';
+
+// Build a handler that imports the uploaded CSV with `runImport`
+const importHandler = (label, runImport) => async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attach a CSV file in the "file" field'
+      });
+    }
+
+    // Multipart fields arrive as strings; anything but an explicit "false" is a dry run
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun ?? 'true') !== 'false';
+
+    const rows = parseCsv(req.file.buffer);
+    const result = await runImport(rows, { actor: req.user._id, dryRun });
+    const { summary } = result;
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `${summary.valid} of ${summary.total} ${label} row(s) are valid`
+        : `${summary.created} of ${summary.total} ${label} row(s) imported`,
+      data: result
+    });
+  } catch (error) {
+    if (error.name === 'ImportError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error(`Import ${label} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error importing ${label}`
+    });
+  }
+};
+
+// Import applications (with student accounts) from a CSV file
+export const importApplicationsCsv = importHandler('application', importApplications);
+
+// Import staff accounts from a CSV file
+export const importUsersCsv = importHandler('user', importUsers);
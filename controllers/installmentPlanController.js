@@ -0,0 +1,188 @@
+import InstallmentPlan from '../models/InstallmentPlan.js';
+import Application from '../models/Application.js';
+import Payment from '../models/payment.js';
+import Price from '../models/Price.js';
+import { priceCheckout } from '../services/checkoutService.js';
+import { scheduleFor } from '../services/installmentService.js';
+
+const formatValidationError = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+const PLAN_FIELDS = [
+  'name', 'description', 'tracks', 'programs', 'installmentCount', 'interval', 'gracePeriodDays', 'autoDebit', 'isActive'
+];
+
+// Get the plans an application can pay on, each with its schedule from today (public, like checkout)
+export const getAvailablePlans = async (req, res) => {
+  try {
+    const application = await Application.findById(req.query.applicationId).select('track program user referral');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const price = await Price.findCurrent(application.track, application.program);
+
+    if (!price) {
+      return res.status(400).json({
+        success: false,
+        message: 'No price is configured for this track and program'
+      });
+    }
+
+    const [plans, checkout] = await Promise.all([
+      InstallmentPlan.findAvailableFor(application.track, application.program),
+      priceCheckout(application, price, { userId: application.user })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: plans.map(plan => ({
+        plan,
+        currency: price.currency,
+        total: checkout.amount,
+        schedule: checkout.amount > 0 ? scheduleFor(plan, checkout.amount) : []
+      }))
+    });
+  } catch (error) {
+    console.error('Get available installment plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching installment plans'
+    });
+  }
+};
+
+// Get all installment plans (admin only)
+export const getInstallmentPlans = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const plans = await InstallmentPlan.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: plans
+    });
+  } catch (error) {
+    console.error('Get installment plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching installment plans'
+    });
+  }
+};
+
+// Create installment plan (admin only)
+export const createInstallmentPlan = async (req, res) => {
+  try {
+    const data = {};
+    PLAN_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const plan = await InstallmentPlan.create({ ...data, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Installment plan created successfully',
+      data: plan
+    });
+  } catch (error) {
+    console.error('Create installment plan error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating installment plan'
+    });
+  }
+};
+
+// Update installment plan (admin only). Schedules already created keep their dates and amounts.
+export const updateInstallmentPlan = async (req, res) => {
+  try {
+    const plan = await InstallmentPlan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Installment plan not found'
+      });
+    }
+
+    PLAN_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) plan[field] = req.body[field];
+    });
+
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Installment plan updated successfully',
+      data: plan
+    });
+  } catch (error) {
+    console.error('Update installment plan error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating installment plan'
+    });
+  }
+};
+
+// Delete installment plan (admin only)
+export const deleteInstallmentPlan = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (await Payment.exists({ 'installment.plan': id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Installment plan has been used. Deactivate it instead.'
+      });
+    }
+
+    const plan = await InstallmentPlan.findByIdAndDelete(id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Installment plan not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Installment plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete installment plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting installment plan'
+    });
+  }
+};
@@ -0,0 +1,707 @@
+import Application from '../models/Application.js';
+import Interview from '../models/Interview.js';
+import InterviewSlot from '../models/InterviewSlot.js';
+import User from '../models/user.js';
+import Review from '../models/Review.js';
+import { transitionApplication } from '../services/applicationWorkflow.js';
+import { offerPlace, addToWaitlist } from '../services/waitlistService.js';
+import { refreshReviewSummary } from '../services/reviewService.js';
+import { buildIcsEvent } from '../services/calendar.js';
+import notificationService from '../services/notificationService.js';
+
+const INTERVIEWER_ROLES = ['reviewer', 'admissions', 'admin'];
+
+const minNoticeHours = () => parseInt(process.env.INTERVIEW_MIN_NOTICE_HOURS || '24', 10);
+const maxReschedules = () => parseInt(process.env.INTERVIEW_MAX_RESCHEDULES || '2', 10);
+
+// Earliest start time an applicant may still book, move or cancel
+const noticeCutoff = () => new Date(Date.now() + minNoticeHours() * 60 * 60 * 1000);
+
+const isSameUser = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const formatDateTime = (date) => new Date(date).toUTCString();
+
+// Email the applicant and the interviewer, with an .ics the calendar client can apply
+const sendInterviewEmails = async (interviewId, { kind }) => {
+  const interview = await Interview.findById(interviewId)
+    .populate('application', 'firstName lastName email track')
+    .populate('interviewer', 'firstName lastName email');
+
+  if (!interview || !interview.application || !interview.interviewer) return;
+
+  const { application, interviewer } = interview;
+  const cancelled = kind === 'cancelled';
+  const applicantName = `${application.firstName} ${application.lastName}`;
+  const interviewerName = `${interviewer.firstName} ${interviewer.lastName}`;
+  const where = interview.meetingUrl || interview.location || 'Details to follow';
+
+  const ics = buildIcsEvent({
+    uid: `interview-${interview._id}@binarify.academy`,
+    start: interview.scheduledAt,
+    end: interview.endsAt,
+    summary: `Binarify Academy interview: ${applicantName}`,
+    description: `Admissions interview for the ${application.track} track.`,
+    location: interview.location,
+    url: interview.meetingUrl,
+    organizer: { name: interviewerName, email: interviewer.email },
+    attendee: { name: applicantName, email: application.email },
+    method: cancelled ? 'CANCEL' : 'REQUEST',
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    sequence: interview.calendarSequence
+  });
+
+  const subjects = {
+    scheduled: 'Interview confirmed',
+    rescheduled: 'Interview rescheduled',
+    cancelled: 'Interview cancelled'
+  };
+  const subject = `${subjects[kind]}: ${formatDateTime(interview.scheduledAt)}`;
+  const text = cancelled
+    ? `The interview for ${applicantName} on ${formatDateTime(interview.scheduledAt)} has been cancelled.`
+    : `Interview for ${applicantName} with ${interviewerName}\nWhen: ${formatDateTime(interview.scheduledAt)} - ${formatDateTime(interview.endsAt)}\nWhere: ${where}`;
+
+  await Promise.all([application.email, interviewer.email].map(to => notificationService.sendEmail({
+    to,
+    subject,
+    text,
+    attachments: [{
+      filename: 'interview.ics',
+      content: ics,
+      contentType: `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'REQUEST'}`
+    }]
+  })));
+};
+
+// Cancel the old event in a former interviewer's calendar after a reschedule
+const sendInterviewCancellationTo = async (interviewerId, interview) => {
+  const interviewer = await User.findById(interviewerId).select('firstName lastName email');
+  if (!interviewer) return;
+
+  const ics = buildIcsEvent({
+    uid: `interview-${interview._id}@binarify.academy`,
+    start: interview.scheduledAt,
+    end: interview.endsAt,
+    summary: 'Binarify Academy interview',
+    organizer: { name: `${interviewer.firstName} ${interviewer.lastName}`, email: interviewer.email },
+    method: 'CANCEL',
+    status: 'CANCELLED',
+    sequence: interview.calendarSequence + 1
+  });
+
+  await notificationService.sendEmail({
+    to: interviewer.email,
+    subject: `Interview moved: ${formatDateTime(interview.scheduledAt)}`,
+    text: `The interview on ${formatDateTime(interview.scheduledAt)} was rescheduled with another interviewer and removed from your calendar.`,
+    attachments: [{
+      filename: 'interview.ics',
+      content: ics,
+      contentType: 'text/calendar; charset=utf-8; method=CANCEL'
+    }]
+  });
+};
+
+// Publish availability slots (interviewers)
+export const createSlots = async (req, res) => {
+  try {
+    const slots = req.body.slots.map(slot => ({
+      interviewer: req.user._id,
+      startsAt: new Date(slot.startsAt),
+      endsAt: new Date(slot.endsAt),
+      tracks: slot.tracks || [],
+      location: slot.location,
+      meetingUrl: slot.meetingUrl
+    }));
+
+    const now = new Date();
+    const invalid = slots.find(slot => slot.startsAt <= now || slot.endsAt <= slot.startsAt);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slots must start in the future and end after they start'
+      });
+    }
+
+    const sorted = [...slots].sort((a, b) => a.startsAt - b.startsAt);
+    const overlapsNew = sorted.some((slot, index) => index > 0 && slot.startsAt < sorted[index - 1].endsAt);
+
+    const overlapsExisting = await InterviewSlot.exists({
+      interviewer: req.user._id,
+      status: { $ne: 'cancelled' },
+      $or: slots.map(slot => ({
+        startsAt: { $lt: slot.endsAt },
+        endsAt: { $gt: slot.startsAt }
+      }))
+    });
+
+    if (overlapsNew || overlapsExisting) {
+      return res.status(409).json({
+        success: false,
+        message: 'Slots cannot overlap each other or your existing slots'
+      });
+    }
+
+    const created = await InterviewSlot.insertMany(slots);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} slot(s) published`,
+      data: created
+    });
+  } catch (error) {
+    console.error('Create interview slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error publishing interview slots'
+    });
+  }
+};
+
+// Get the current interviewer's slots
+export const getMySlots = async (req, res) => {
+  try {
+    const { status, from, to } = req.query;
+
+    const query = { interviewer: req.user._id };
+    if (status) query.status = status;
+    if (from || to) {
+      query.startsAt = {};
+      if (from) query.startsAt.$gte = new Date(from);
+      if (to) query.startsAt.$lte = new Date(to);
+    }
+
+    const slots = await InterviewSlot.find(query)
+      .populate({
+        path: 'interview',
+        select: 'application status',
+        populate: { path: 'application', select: 'firstName lastName email track' }
+      })
+      .sort({ startsAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: slots
+    });
+  } catch (error) {
+    console.error('Get interview slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching interview slots'
+    });
+  }
+};
+
+// Remove a slot that nobody has booked (its interviewer or admin)
+export const deleteSlot = async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.role !== 'admin') query.interviewer = req.user._id;
+
+    const slot = await InterviewSlot.findOne(query);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    const deleted = await InterviewSlot.findOneAndDelete({ _id: slot._id, status: { $ne: 'booked' } });
+
+    if (!deleted) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is booked. Cancel the interview instead.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Slot deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete interview slot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting interview slot'
+    });
+  }
+};
+
+// Get slots a shortlisted applicant can book for their application
+export const getAvailableSlots = async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.query.application,
+      user: req.user._id
+    }).select('track status');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.status !== 'interview') {
+      return res.status(409).json({
+        success: false,
+        message: 'Your application has not been shortlisted for an interview'
+      });
+    }
+
+    const slots = await InterviewSlot.find({
+      status: 'open',
+      startsAt: { $gte: noticeCutoff() },
+      $or: [
+        { tracks: { $size: 0 } },
+        { tracks: application.track }
+      ]
+    })
+      .select('interviewer startsAt endsAt location meetingUrl')
+      .populate('interviewer', 'firstName lastName')
+      .sort({ startsAt: 1 })
+      .limit(200);
+
+    res.status(200).json({
+      success: true,
+      data: slots
+    });
+  } catch (error) {
+    console.error('Get available slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching available slots'
+    });
+  }
+};
+
+// Book an interview slot (the applicant)
+export const bookInterview = async (req, res) => {
+  try {
+    const { application: applicationId, slot: slotId } = req.body;
+
+    const application = await Application.findOne({
+      _id: applicationId,
+      user: req.user._id
+    }).select('track status');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.status !== 'interview') {
+      return res.status(409).json({
+        success: false,
+        message: 'Your application has not been shortlisted for an interview'
+      });
+    }
+
+    if (await Interview.exists({ application: application._id, status: 'scheduled' })) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an interview scheduled. Reschedule it instead.'
+      });
+    }
+
+    const slot = await InterviewSlot.claim(slotId, {
+      track: application.track,
+      notBefore: noticeCutoff()
+    });
+
+    if (!slot) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is no longer available'
+      });
+    }
+
+    let interview;
+    try {
+      interview = await Interview.create({
+        application: application._id,
+        applicant: req.user._id,
+        interviewer: slot.interviewer,
+        slot: slot._id,
+        scheduledAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        location: slot.location,
+        meetingUrl: slot.meetingUrl
+      });
+    } catch (createError) {
+      await InterviewSlot.release(slot._id);
+
+      if (createError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have an interview scheduled. Reschedule it instead.'
+        });
+      }
+      throw createError;
+    }
+
+    await InterviewSlot.updateOne({ _id: slot._id }, { interview: interview._id });
+    await sendInterviewEmails(interview._id, { kind: 'scheduled' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Interview booked successfully',
+      data: interview
+    });
+  } catch (error) {
+    console.error('Book interview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error booking interview'
+    });
+  }
+};
+
+// Move a scheduled interview to another slot (the applicant)
+export const rescheduleInterview = async (req, res) => {
+  try {
+    const interview = await Interview.findOne({
+      _id: req.params.id,
+      applicant: req.user._id
+    });
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interview not found'
+      });
+    }
+
+    if (interview.status !== 'scheduled') {
+      return res.status(409).json({
+        success: false,
+        message: `Interview is ${interview.status} and cannot be rescheduled`
+      });
+    }
+
+    if (interview.scheduledAt < noticeCutoff()) {
+      return res.status(409).json({
+        success: false,
+        message: `Interviews can only be rescheduled at least ${minNoticeHours()} hours in advance`
+      });
+    }
+
+    if (interview.rescheduleCount >= maxReschedules()) {
+      return res.status(409).json({
+        success: false,
+        message: `Interviews can be rescheduled at most ${maxReschedules()} time(s)`
+      });
+    }
+
+    const application = await Application.findById(interview.application).select('track');
+    const slot = await InterviewSlot.claim(req.body.slot, {
+      track: application.track,
+      notBefore: noticeCutoff()
+    });
+
+    if (!slot) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is no longer available'
+      });
+    }
+
+    const previousSlot = interview.slot;
+    const previousInterviewer = interview.interviewer;
+
+    // Conditional on the values read above so concurrent reschedules cannot both apply
+    const updated = await Interview.findOneAndUpdate(
+      {
+        _id: interview._id,
+        status: 'scheduled',
+        slot: previousSlot,
+        rescheduleCount: interview.rescheduleCount
+      },
+      {
+        $set: {
+          interviewer: slot.interviewer,
+          slot: slot._id,
+          scheduledAt: slot.startsAt,
+          endsAt: slot.endsAt,
+          location: slot.location,
+          meetingUrl: slot.meetingUrl
+        },
+        $inc: { rescheduleCount: 1, calendarSequence: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await InterviewSlot.release(slot._id);
+      return res.status(409).json({
+        success: false,
+        message: 'Interview was changed by another request. Please retry.'
+      });
+    }
+
+    await InterviewSlot.updateOne({ _id: slot._id }, { interview: updated._id });
+    await InterviewSlot.release(previousSlot);
+
+    // A new interviewer gets the invite; the previous one needs the event removed
+    if (!isSameUser(previousInterviewer, slot.interviewer)) {
+      await sendInterviewCancellationTo(previousInterviewer, interview);
+    }
+    await sendInterviewEmails(updated._id, { kind: 'rescheduled' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Interview rescheduled successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Reschedule interview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rescheduling interview'
+    });
+  }
+};
+
+// Cancel an interview. Applicants must give notice; interviewers and admins can cancel at any time.
+export const cancelInterview = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const interview = await Interview.findById(req.params.id);
+
+    const isApplicant = interview && isSameUser(interview.applicant, req.user._id);
+    const isStaff = interview && (req.user.role === 'admin' || isSameUser(interview.interviewer, req.user._id));
+
+    if (!interview || (!isApplicant && !isStaff)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interview not found'
+      });
+    }
+
+    if (interview.status !== 'scheduled') {
+      return res.status(409).json({
+        success: false,
+        message: `Interview is ${interview.status} and cannot be cancelled`
+      });
+    }
+
+    if (!isStaff && interview.scheduledAt < noticeCutoff()) {
+      return res.status(409).json({
+        success: false,
+        message: `Interviews can only be cancelled at least ${minNoticeHours()} hours in advance`
+      });
+    }
+
+    const cancelled = await Interview.findOneAndUpdate(
+      { _id: interview._id, status: 'scheduled' },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledBy: req.user._id,
+          cancelledAt: new Date(),
+          cancellationReason: reason
+        },
+        $inc: { calendarSequence: 1 }
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Interview was changed by another request. Please retry.'
+      });
+    }
+
+    // An applicant's slot goes back on offer; a slot the interviewer dropped is withdrawn
+    if (isStaff) {
+      await InterviewSlot.updateOne({ _id: interview.slot }, { status: 'cancelled' });
+    } else {
+      await InterviewSlot.release(interview.slot);
+    }
+
+    await sendInterviewEmails(cancelled._id, { kind: 'cancelled' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Interview cancelled',
+      data: cancelled
+    });
+  } catch (error) {
+    console.error('Cancel interview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling interview'
+    });
+  }
+};
+
+// List interviews: admins see all, interviewers their own, applicants theirs
+export const getInterviews = async (req, res) => {
+  try {
+    const { status, application, from, to } = req.query;
+
+    const query = {};
+    if (req.user.role === 'admin') {
+      if (req.query.interviewer) query.interviewer = req.query.interviewer;
+    } else if (INTERVIEWER_ROLES.includes(req.user.role)) {
+      query.interviewer = req.user._id;
+    } else {
+      query.applicant = req.user._id;
+    }
+
+    if (status) query.status = status;
+    if (application) query.application = application;
+    if (from || to) {
+      query.scheduledAt = {};
+      if (from) query.scheduledAt.$gte = new Date(from);
+      if (to) query.scheduledAt.$lte = new Date(to);
+    }
+
+    const interviews = await Interview.find(query)
+      .populate('application', 'firstName lastName email track program status')
+      .populate('interviewer', 'firstName lastName email')
+      .sort({ scheduledAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: interviews
+    });
+  } catch (error) {
+    console.error('Get interviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching interviews'
+    });
+  }
+};
+
+// Record how an interview went (its interviewer or admin). The recommendation
+// is stored as an interview review and moves the application on.
+export const recordInterviewOutcome = async (req, res) => {
+  try {
+    const { noShow, recommendation, score, notes } = req.body;
+
+    const interview = await Interview.findById(req.params.id);
+
+    if (!interview || (req.user.role !== 'admin' && !isSameUser(interview.interviewer, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interview not found'
+      });
+    }
+
+    if (interview.status !== 'scheduled') {
+      return res.status(409).json({
+        success: false,
+        message: `Interview is ${interview.status} and its outcome cannot be recorded`
+      });
+    }
+
+    if (interview.scheduledAt > new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Interview has not taken place yet'
+      });
+    }
+
+    const outcome = {
+      recordedBy: req.user._id,
+      recordedAt: new Date(),
+      notes
+    };
+
+    if (noShow) {
+      const updated = await Interview.findOneAndUpdate(
+        { _id: interview._id, status: 'scheduled' },
+        { status: 'no-show', outcome },
+        { new: true }
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Interview marked as no-show',
+        data: updated
+      });
+    }
+
+    const application = await Application.findById(interview.application).select('status');
+
+    if (!application || application.status !== 'interview') {
+      return res.status(409).json({
+        success: false,
+        message: `Application is ${application?.status || 'missing'} and can no longer be decided by interview`
+      });
+    }
+
+    const updated = await Interview.findOneAndUpdate(
+      { _id: interview._id, status: 'scheduled' },
+      { status: 'completed', outcome: { ...outcome, recommendation, score } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Interview was changed by another request. Please retry.'
+      });
+    }
+
+    await Review.findOneAndUpdate(
+      { application: interview.application, reviewer: interview.interviewer, source: 'interview' },
+      {
+        interview: interview._id,
+        scores: [],
+        totalScore: score,
+        recommendation,
+        comments: notes,
+        submittedAt: new Date()
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const reviewSummary = await refreshReviewSummary(interview.application);
+
+    const decision = {
+      actor: req.user._id,
+      note: `Interview outcome: ${recommendation}`,
+      update: { reviewedAt: new Date() }
+    };
+
+    let decided;
+    if (recommendation === 'accept') {
+      ({ application: decided } = await offerPlace(interview.application, decision));
+    } else if (recommendation === 'waitlist') {
+      decided = await addToWaitlist(interview.application, decision);
+    } else {
+      decided = await transitionApplication(interview.application, 'rejected', decision);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Interview outcome recorded',
+      data: {
+        interview: updated,
+        reviewSummary,
+        applicationStatus: decided.status
+      }
+    });
+  } catch (error) {
+    if (error.name === 'InvalidStatusTransitionError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Record interview outcome error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording interview outcome'
+    });
+  }
+};
@@ -1,7 +1,36 @@
 import Payment from '../models/payment.js';
 import Application from '../models/Application.js';
 import User from '../models/user.js';
+import Price from '../models/Price.js';
 import paymentService from '../services/paymentService.js';
+import { canTransition } from '../services/applicationWorkflow.js';
+import { normaliseCouponCode } from '../services/couponService.js';
+import { priceCheckout } from '../services/checkoutService.js';
+import {
+  chargeMatchesPayment,
+  completePayment,
+  failsApplication
+} from '../services/enrollmentService.js';
+import { enrollWithWaiver } from '../services/scholarshipService.js';
+import {
+  findInstallmentPlan,
+  createInstallmentSchedule,
+  getInstallmentSchedule,
+  nextInstallment,
+  UNPAID_INSTALLMENT_STATUSES
+} from '../services/installmentService.js';
+import { recordWebhookEvent, processWebhookEvent } from '../services/webhookService.js';
+
+// A pending checkout keeps its price unless the applicant brings a coupon it was not
+// priced with, or asks for a different installment plan (or none)
+const needsRepricing = (payment, couponCode, installmentPlanId) => {
+  const newCoupon = Boolean(couponCode) && !(payment.discounts || []).some(
+    discount => discount.source === 'coupon' && discount.code === normaliseCouponCode(couponCode)
+  );
+
+  return newCoupon || String(payment.installment?.plan || '') !== String(installmentPlanId || '');
+};
+
 
 class PaymentController {
   /**
@@ -9,13 +38,15 @@ class PaymentController {
    */
   async initializePayment(req, res) {
     try {
-      const { applicationId, program, track, amount, email, metadata } = req.body;
-      const userId = req.user?.id;
+      // Any amount/track/program in the body is ignored: the charge comes from the pricing catalog
+      const { applicationId, metadata, couponCode, installmentPlanId } = req.body;
 
-      console.log('Payment request body:', { applicationId, program, track, amount, email }); // Debug log
+      // The payer is the logged-in applicant, whatever email the body carries;
+      // coupon and referral limits are counted against this account
+      const { email } = req.user;
 
-      // Find application
-      const application = await Application.findById(applicationId);
+      // Find application, only among the applicant's own
+      const application = await Application.findOne({ _id: applicationId, user: req.user._id });
 
       if (!application) {
         return res.status(404).json({
@@ -24,6 +55,23 @@ class PaymentController {
         });
       }
 
+      // Only accepted applications can be paid for
+      if (!canTransition(application.status, 'paid')) {
+        return res.status(400).json({
+          success: false,
+          message: `Application is ${application.status} and cannot be paid for`
+        });
+      }
+
+      if (application.paymentDueAt && application.paymentDueAt < new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'The payment window for this offer has closed'
+        });
+      }
+
+      const { track, program } = application;
+
       // Check if payment already exists and is pending
       const existingPayment = await Payment.findOne({
         application: applicationId,
@@ -35,11 +83,18 @@ class PaymentController {
         if (existingPayment.expiresAt < new Date()) {
           existingPayment.status = 'expired';
           await existingPayment.save();
+          await Payment.updateMany({ application: applicationId, status: 'scheduled' }, { status: 'cancelled' });
+        } else if (needsRepricing(existingPayment, couponCode, installmentPlanId)) {
+          // Replaced below by a checkout priced with the coupon or plan, along with its schedule
+          existingPayment.status = 'cancelled';
+          await existingPayment.save();
+          await Payment.updateMany({ application: applicationId, status: 'scheduled' }, { status: 'cancelled' });
         } else {
-          // Re-use existing payment
+          // Re-use existing payment at the amount it was priced at
           const paymentResult = await paymentService.initializePayment({
             email,
-            amount: amount * 100, // Convert to kobo
+            amount: existingPayment.amount,
+            currency: existingPayment.currency,
             metadata: {
               ...metadata,
               paymentId: existingPayment._id?.toString(),
@@ -55,6 +110,10 @@ class PaymentController {
             });
           }
 
+          // Paystack issues a new reference for every initialization
+          existingPayment.replaceReference(paymentResult.data.reference);
+          await existingPayment.save();
+
           return res.status(200).json({
             success: true,
             message: 'Payment initialized successfully',
@@ -63,9 +122,19 @@ class PaymentController {
         }
       }
 
+      // Resolve the charge for this track/program
+      const price = await Price.findCurrent(track, program);
+
+      if (!price) {
+        return res.status(400).json({
+          success: false,
+          message: 'No price is configured for this track and program'
+        });
+      }
+
       // ============ FIXED SECTION ============
       // Find user with select to exclude password field
-      const findUser = await User.findOne({ email })
+      const findUser = await User.findById(req.user._id)
         .select('-password -confirmPassword'); // Explicitly exclude these fields
 
       if (!findUser) {
@@ -81,30 +150,106 @@ class PaymentController {
       delete cleanUser.confirmPassword;
       // ============ END FIX ============
 
-      // Create new payment record
-      const payment = await Payment.create({
-        user: findUser._id,
-        application: applicationId,
-        track,
-        program,
-        amount: amount * 100, // Store in kobo
-        currency: 'NGN',
+      let checkout;
+      try {
+        checkout = await priceCheckout(application, price, { couponCode, userId: findUser._id });
+      } catch (error) {
+        if (error.name !== 'CouponError') throw error;
+
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          errors: [{ field: 'couponCode', message: error.message }]
+        });
+      }
+
+      // A scholarship that covers the whole fee enrolls without going through Paystack
+      if (checkout.amount <= 0 && checkout.discounts.some(discount => discount.source === 'scholarship')) {
+        const { payment, enrolled } = await enrollWithWaiver(application, checkout, {
+          userId: req.user._id,
+          currency: price.currency,
+          metadata: { ...metadata, applicationId: applicationId?.toString(), priceId: price._id.toString() }
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: enrolled
+            ? 'Your fee is covered by your scholarship and you are now enrolled'
+            : 'Your fee is covered by your scholarship, but enrollment could not be completed. Our admissions team will contact you.',
+          data: {
+            payment,
+            waived: true,
+            enrolled,
+            redirectUrl: `${process.env.FRONTEND_URL}/dashboard`
+          }
+        });
+      }
+
+      if (checkout.amount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nothing is left to pay after discounts. Please contact admissions.'
+        });
+      }
+
+      let installmentPlan = null;
+      if (installmentPlanId) {
+        try {
+          installmentPlan = await findInstallmentPlan(installmentPlanId, application);
+        } catch (error) {
+          if (error.name !== 'InstallmentError') throw error;
+
+          return res.status(400).json({
+            success: false,
+            message: error.message,
+            errors: [{ field: 'installmentPlanId', message: error.message }]
+          });
+        }
+      }
+
+      const paymentFields = {
+        currency: price.currency,
         reference: `PAY-${Date.now()}-${Math.random()?.toString(36).substr(2, 9).toUpperCase()}`,
-        status: 'pending',
         metadata: {
           ...metadata,
-          applicationId: applicationId?.toString()
-        }
-      });
+          applicationId: applicationId?.toString(),
+          priceId: price._id.toString()
+        },
+        // The checkout expires with the offer's payment window
+        ...(application.paymentDueAt && { expiresAt: application.paymentDueAt })
+      };
+
+      // Create new payment record, or on a plan the whole schedule with the first installment due now
+      let schedule = [];
+      let payment;
+      if (installmentPlan) {
+        schedule = await createInstallmentSchedule(application, checkout, installmentPlan, {
+          userId: findUser._id,
+          ...paymentFields
+        });
+        payment = schedule[0];
+      } else {
+        payment = await Payment.create({
+          user: findUser._id,
+          application: applicationId,
+          track,
+          program,
+          ...checkout, // Amounts already in kobo
+          ...paymentFields,
+          status: 'pending'
+        });
+      }
 
-      // Update application with payment reference
+      // Update application with payment reference; a fresh checkout supersedes an expired or failed one
       application.payment = payment._id;
+      if (['expired', 'failed'].includes(application.paymentStatus)) application.paymentStatus = 'pending';
       await application.save();
 
       // Initialize payment with Paystack
       const paymentResult = await paymentService.initializePayment({
         email,
-        amount: amount * 100, // Convert to kobo
+        amount: payment.amount,
+        currency: payment.currency,
         metadata: {
           paymentId: payment._id?.toString(),
           applicationId: applicationId?.toString(),
@@ -114,7 +259,7 @@ class PaymentController {
       });
 
       if (!paymentResult.success) {
-        await Payment.findByIdAndDelete(payment._id);
+        await Payment.deleteMany({ _id: { $in: [payment._id, ...schedule.map(item => item._id)] } });
         application.payment = null;
         await application.save();
         
@@ -136,6 +281,14 @@ class PaymentController {
       });
 
     } catch (error) {
+      // Waiver for an application the caller does not own
+      if (error.name === 'ScholarshipError') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Initialize payment error:', error);
       res.status(500).json({
         success: false,
@@ -160,7 +313,7 @@ class PaymentController {
       }
 
       // Find payment
-      const payment = await Payment.findOne({ reference })
+      const payment = await Payment.findByReference(reference)
         .populate({
           path: 'user',
           select: '-password -confirmPassword' // Fix: Exclude problematic fields
@@ -195,42 +348,49 @@ class PaymentController {
       }
 
       const verificationData = verificationResult.data;
+      const amountMatches = chargeMatchesPayment(payment, verificationData);
 
       // Update payment record
-      payment.status = verificationData.status === 'success' ? 'success' : 'failed';
+      payment.status = verificationData.status === 'success' && amountMatches ? 'success' : 'failed';
       payment.paidAt = new Date(verificationData.paid_at);
       payment.verified = true;
       payment.metadata.paystackData = verificationData;
+      if (!amountMatches) {
+        payment.metadata.amountMismatch = {
+          expected: payment.amount,
+          received: verificationData.amount,
+          currency: verificationData.currency
+        };
+      }
+      payment.markModified('metadata');
       await payment.save();
 
       if (payment.status === 'success') {
-        // Update application status
-        await Application.findByIdAndUpdate(payment.application._id, {
-          status: 'enrolled',
-          paymentStatus: 'paid'
-        });
-
-        // Update user (use findByIdAndUpdate to avoid validation)
-        await User.findByIdAndUpdate(payment.user._id, {
-          $addToSet: { enrolledPrograms: payment.application._id }
-        }, { runValidators: false }); // Important: Skip validation
+        const enrolled = await completePayment(payment);
 
         return res.status(200).json({
           success: true,
-          message: 'Payment verified successfully',
+          message: enrolled
+            ? 'Payment verified successfully'
+            : 'Payment verified, but enrollment could not be completed. Our admissions team will contact you.',
           data: {
             payment,
+            enrolled,
             redirectUrl: `${process.env.FRONTEND_URL}/dashboard`
           }
         });
       } else {
-        await Application.findByIdAndUpdate(payment.application._id, {
-          paymentStatus: 'failed'
-        });
+        if (failsApplication(payment)) {
+          await Application.findByIdAndUpdate(payment.application._id, {
+            paymentStatus: 'failed'
+          });
+        }
 
         return res.status(400).json({
           success: false,
-          message: 'Payment was not successful',
+          message: amountMatches
+            ? 'Payment was not successful'
+            : 'Paid amount does not match the expected charge',
           data: { payment }
         });
       }
@@ -330,44 +490,28 @@ class PaymentController {
   }
 
   /**
-   * Handle Paystack webhook
+   * Handle Paystack webhook, once verifyPaystackWebhook has checked it: store
+   * the delivery and acknowledge it straight away; it is processed in the
+   * background (services/webhookService.js)
    */
   async handleWebhook(req, res) {
     try {
-      const signature = req.headers['x-paystack-signature'];
-      const payload = req.body;
-
-      // Verify webhook signature
-      const isValid = paymentService.verifyWebhookSignature(payload, signature);
-      
-      if (!isValid) {
-        console.error('Invalid webhook signature');
-        return res.status(401).json({ success: false, error: 'Invalid signature' });
-      }
+      const { event, duplicate } = await recordWebhookEvent(req.paystackWebhook);
 
-      const event = payload.event;
-      const data = payload.data;
-
-      switch (event) {
-        case 'charge.success':
-          await this.processSuccessfulCharge(data);
-          break;
-        
-        case 'transfer.success':
-          await this.processSuccessfulTransfer(data);
-          break;
-        
-        case 'invoice.payment_failed':
-          await this.processFailedPayment(data);
-          break;
-        
-        default:
-          console.log(`Unhandled event type: ${event}`);
+      if (!duplicate) {
+        processWebhookEvent(event._id).catch(error => console.error('Webhook processing error:', error));
       }
 
       res.status(200).json({ success: true });
 
     } catch (error) {
+      // Signed, but nothing we can parse; not stored
+      if (error.name === 'WebhookError') {
+        console.error(`Webhook from ${req.ip} rejected: ${error.message} (${req.paystackWebhook.rawBody.length} bytes)`);
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      // Paystack retries deliveries that were not acknowledged
       console.error('Webhook error:', error);
       res.status(500).json({ 
         success: false, 
@@ -377,55 +521,160 @@ class PaymentController {
   }
 
   /**
-   * Process successful charge from webhook
+   * Get the installment schedule for one of your applications
    */
-  async processSuccessfulCharge(data) {
+  async getInstallments(req, res) {
     try {
-      const { reference, metadata } = data;
-      
-      // Parse metadata if it's a string
-      const paymentMetadata = typeof metadata === 'string' 
-        ? JSON.parse(metadata) 
-        : metadata;
-
-      // Find payment by reference
-      const payment = await Payment.findOne({ reference })
-        .populate({
-          path: 'user',
-          select: '-password -confirmPassword' // Fix: Exclude problematic fields
-        })
-        .populate('application');
+      const { applicationId } = req.params;
 
-      if (!payment) {
-        console.error('Payment not found for reference:', reference);
-        return;
+      const application = await Application.findOne({ _id: applicationId, user: req.user.id })
+        .select('track program status paymentStatus installments')
+        .populate('installments.plan', 'name installmentCount interval gracePeriodDays autoDebit');
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
       }
 
-      // Update payment
-      payment.status = 'success';
-      payment.paidAt = new Date(data.paid_at);
-      payment.verified = true;
-      payment.metadata.paystackWebhookData = data;
-      await payment.save();
+      const schedule = await getInstallmentSchedule(application._id)
+        .select('amount currency status reference installment paidAt');
+
+      res.status(200).json({
+        success: true,
+        data: {
+          plan: application.installments?.plan || null,
+          installments: application.installments,
+          schedule
+        }
+      });
+
+    } catch (error) {
+      console.error('Get installments error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Pay the next installment on a plan
+   */
+  async payInstallment(req, res) {
+    try {
+      const { paymentId } = req.params;
+
+      const payment = await Payment.findOne({ _id: paymentId, user: req.user.id })
+        .populate('user', 'email')
+        .populate('application', 'status installments');
+
+      if (!payment || !payment.installment?.number) {
+        return res.status(404).json({
+          success: false,
+          message: 'Installment not found'
+        });
+      }
+
+      if (!UNPAID_INSTALLMENT_STATUSES.includes(payment.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `This installment is ${payment.status}`
+        });
+      }
+
+      // The first installment is checked out with the plan through /initialize
+      if (!['paid', 'enrolled'].includes(payment.application.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Application is ${payment.application.status} and its installments cannot be paid`
+        });
+      }
+
+      const next = await nextInstallment(payment.application._id);
+      if (next && next._id.toString() !== payment._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: `Please pay installment ${next.installment.number} first`
+        });
+      }
 
-      // Update application status
-      if (payment.application) {
-        await Application.findByIdAndUpdate(payment.application._id, {
-          status: 'enrolled',
-          paymentStatus: 'paid'
+      // Auto-debit charges installments on their due date; paying by hand is for one that is overdue
+      if (payment.application.installments?.autoDebit?.subscriptionCode && payment.installment.dueAt > new Date()) {
+        return res.status(409).json({
+          success: false,
+          message: `This installment will be charged to your card on ${payment.installment.dueAt.toDateString()}`
+        });
+      }
+
+      const paymentResult = await paymentService.initializePayment({
+        email: payment.user.email,
+        amount: payment.amount,
+        currency: payment.currency,
+        metadata: {
+          paymentId: payment._id.toString(),
+          applicationId: payment.application._id.toString(),
+          installment: payment.installment.number
+        }
+      });
+
+      if (!paymentResult.success) {
+        return res.status(500).json({
+          success: false,
+          message: 'Payment initialization failed',
+          error: paymentResult.error
         });
       }
 
-      // Update user (skip validation to avoid confirmPassword issues)
-      await User.findByIdAndUpdate(payment.user._id, {
-        $addToSet: { enrolledPrograms: payment.application?._id }
-      }, { runValidators: false });
+      payment.replaceReference(paymentResult.data.reference);
+      payment.status = 'pending';
+      payment.expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      await payment.save();
 
-      console.log(`Payment ${reference} processed successfully`);
+      res.status(200).json({
+        success: true,
+        message: 'Payment initialized successfully',
+        data: paymentResult.data
+      });
 
     } catch (error) {
-      console.error('Process charge error:', error);
-      throw error;
+      console.error('Pay installment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List applications with overdue or lapsed installments (admin only)
+   */
+  async getOverdueInstallments(req, res) {
+    try {
+      const { status } = req.query;
+
+      const applications = await Application.find({
+        'installments.status': status ? status : { $in: ['overdue', 'lapsed'] }
+      })
+        .select('firstName lastName email track program cohort status installments')
+        .populate('installments.plan', 'name installmentCount interval gracePeriodDays')
+        .sort({ 'installments.overdueSince': 1 });
+
+      res.status(200).json({
+        success: true,
+        data: applications
+      });
+
+    } catch (error) {
+      console.error('Get overdue installments error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message
+      });
     }
   }
 
@@ -0,0 +1,205 @@
+import Price from '../models/Price.js';
+
+// Get the price currently in force for a track/program (public)
+export const getCurrentPrice = async (req, res) => {
+  try {
+    const { track, program } = req.query;
+
+    const price = await Price.findCurrent(track, program);
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: 'No price is configured for this track and program'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        track: price.track,
+        program: price.program,
+        amount: price.amount,
+        currency: price.currency,
+        effectiveFrom: price.effectiveFrom,
+        effectiveTo: price.effectiveTo
+      }
+    });
+  } catch (error) {
+    console.error('Get current price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price'
+    });
+  }
+};
+
+// Get all prices (admin only)
+export const getAllPrices = async (req, res) => {
+  try {
+    const { track, program, isActive } = req.query;
+
+    const query = {};
+    if (track) query.track = track;
+    if (program) query.program = program;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const prices = await Price.find(query)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ track: 1, program: 1, effectiveFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: prices
+    });
+  } catch (error) {
+    console.error('Get prices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching prices'
+    });
+  }
+};
+
+// Get price by ID (admin only)
+export const getPrice = async (req, res) => {
+  try {
+    const price = await Price.findById(req.params.id);
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: price
+    });
+  } catch (error) {
+    console.error('Get price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price'
+    });
+  }
+};
+
+// Create price (admin only)
+export const createPrice = async (req, res) => {
+  try {
+    const { track, program, amount, currency, effectiveFrom, effectiveTo, isActive, description } = req.body;
+
+    const price = await Price.create({
+      track,
+      program,
+      amount,
+      currency,
+      effectiveFrom,
+      effectiveTo,
+      isActive,
+      description,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Price created successfully',
+      data: price
+    });
+  } catch (error) {
+    console.error('Create price error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating price'
+    });
+  }
+};
+
+// Update price (admin only)
+export const updatePrice = async (req, res) => {
+  try {
+    const price = await Price.findById(req.params.id);
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price not found'
+      });
+    }
+
+    const allowedFields = ['amount', 'currency', 'effectiveFrom', 'effectiveTo', 'isActive', 'description'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) price[field] = req.body[field];
+    });
+
+    // Save (rather than findByIdAndUpdate) so the effective window validator sees both dates
+    await price.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Price updated successfully',
+      data: price
+    });
+  } catch (error) {
+    console.error('Update price error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating price'
+    });
+  }
+};
+
+// Delete price (admin only)
+export const deletePrice = async (req, res) => {
+  try {
+    const price = await Price.findByIdAndDelete(req.params.id);
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Price deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting price'
+    });
+  }
+};
@@ -0,0 +1,169 @@
+import PaymentDiscrepancy from '../models/PaymentDiscrepancy.js';
+import ReconciliationRun from '../models/ReconciliationRun.js';
+import { reconcilePayments, resolveDiscrepancy } from '../services/reconciliationService.js';
+
+const paginationFor = (pageNumber, pageSize, total) => ({
+  currentPage: pageNumber,
+  totalPages: Math.ceil(total / pageSize),
+  totalItems: total,
+  hasNextPage: pageNumber < Math.ceil(total / pageSize),
+  hasPreviousPage: pageNumber > 1
+});
+
+// Get reconciliation runs, newest first (admin only)
+export const getReconciliationRuns = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+
+    const runs = await ReconciliationRun.find(query)
+      .populate('triggeredBy', 'firstName lastName email')
+      .sort({ startedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize);
+
+    const total = await ReconciliationRun.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: runs,
+      pagination: paginationFor(pageNumber, pageSize, total)
+    });
+  } catch (error) {
+    console.error('Get reconciliation runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation runs'
+    });
+  }
+};
+
+// Get a reconciliation run with the discrepancies it found (admin only)
+export const getReconciliationRun = async (req, res) => {
+  try {
+    const run = await ReconciliationRun.findById(req.params.id)
+      .populate('triggeredBy', 'firstName lastName email');
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation run not found'
+      });
+    }
+
+    const discrepancies = await PaymentDiscrepancy.find({ run: run._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { run, discrepancies }
+    });
+  } catch (error) {
+    console.error('Get reconciliation run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation run'
+    });
+  }
+};
+
+// Reconcile now, over the default window unless from/to are given (admin only)
+export const startReconciliationRun = async (req, res) => {
+  try {
+    const run = await reconcilePayments({
+      from: req.body.from,
+      to: req.body.to,
+      trigger: 'manual',
+      actor: req.user._id
+    });
+
+    if (run.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: run.error,
+        data: run
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Reconciliation checked ${run.summary.checked} transactions and fixed ${run.summary.fixed} payments`,
+      data: run
+    });
+  } catch (error) {
+    console.error('Start reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running reconciliation'
+    });
+  }
+};
+
+// Get discrepancies, newest first, by run, type or status (admin only)
+export const getDiscrepancies = async (req, res) => {
+  try {
+    const { run, type, status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (run) query.run = run;
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+
+    const discrepancies = await PaymentDiscrepancy.find(query)
+      .populate('application', 'firstName lastName email track program status paymentStatus')
+      .populate('resolvedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize);
+
+    const total = await PaymentDiscrepancy.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: discrepancies,
+      pagination: paginationFor(pageNumber, pageSize, total)
+    });
+  } catch (error) {
+    console.error('Get discrepancies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching discrepancies'
+    });
+  }
+};
+
+// Sign off a discrepancy once finance has dealt with it (admin only)
+export const resolvePaymentDiscrepancy = async (req, res) => {
+  try {
+    const discrepancy = await resolveDiscrepancy(req.params.id, {
+      actor: req.user._id,
+      resolution: req.body.resolution
+    });
+
+    if (!discrepancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Open discrepancy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Discrepancy resolved',
+      data: discrepancy
+    });
+  } catch (error) {
+    console.error('Resolve discrepancy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving discrepancy'
+    });
+  }
+};
@@ -0,0 +1,218 @@
+import ReferralCode from '../models/ReferralCode.js';
+import ReferralCredit from '../models/ReferralCredit.js';
+import User from '../models/user.js';
+import { generateReferralCode, getReferralLeaderboard } from '../services/referralService.js';
+
+const formatValidationError = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+// Get all referral codes (admin only)
+export const getReferralCodes = async (req, res) => {
+  try {
+    const { ownerType, owner, isActive } = req.query;
+
+    const query = {};
+    if (ownerType) query.ownerType = ownerType;
+    if (owner) query.owner = owner;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const codes = await ReferralCode.find(query)
+      .populate('owner', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: codes
+    });
+  } catch (error) {
+    console.error('Get referral codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching referral codes'
+    });
+  }
+};
+
+// Create a referral code for an ambassador or alumnus (admin only)
+export const createReferralCode = async (req, res) => {
+  try {
+    const { owner, ownerType, code, applicantDiscount, referrerCredit, isActive } = req.body;
+
+    const ownerUser = await User.findById(owner).select('firstName isActive');
+
+    if (!ownerUser || !ownerUser.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Referral code owner must be an active user'
+      });
+    }
+
+    // Generated codes are retried on the rare collision; a chosen code is not
+    let referralCode;
+    for (let attempt = 0; !referralCode; attempt++) {
+      try {
+        referralCode = await ReferralCode.create({
+          code: code || generateReferralCode(ownerUser),
+          owner,
+          ownerType,
+          applicantDiscount,
+          referrerCredit,
+          isActive,
+          createdBy: req.user._id
+        });
+      } catch (error) {
+        if (error.code !== 11000 || code || attempt >= 4) throw error;
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Referral code created successfully',
+      data: referralCode
+    });
+  } catch (error) {
+    console.error('Create referral code error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'That referral code is already taken'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating referral code'
+    });
+  }
+};
+
+// Update a referral code's rewards or deactivate it (admin only). Past checkouts keep their discount.
+export const updateReferralCode = async (req, res) => {
+  try {
+    const referralCode = await ReferralCode.findById(req.params.id);
+
+    if (!referralCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Referral code not found'
+      });
+    }
+
+    const allowedFields = ['ownerType', 'applicantDiscount', 'referrerCredit', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) referralCode[field] = req.body[field];
+    });
+
+    await referralCode.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Referral code updated successfully',
+      data: referralCode
+    });
+  } catch (error) {
+    console.error('Update referral code error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating referral code'
+    });
+  }
+};
+
+// Check a referral code before submitting (public)
+export const validateReferralCode = async (req, res) => {
+  try {
+    const referralCode = await ReferralCode.findOne({ code: req.params.code.toUpperCase(), isActive: true })
+      .populate('owner', 'firstName isActive');
+
+    if (!referralCode || !referralCode.owner?.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Referral code is not valid'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: referralCode.code,
+        referrerName: referralCode.owner.firstName,
+        applicantDiscount: referralCode.applicantDiscount
+      }
+    });
+  } catch (error) {
+    console.error('Validate referral code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking referral code'
+    });
+  }
+};
+
+// Referral leaderboard and report (admin only)
+export const getLeaderboard = async (req, res) => {
+  try {
+    const { from, to, ownerType, limit = 20 } = req.query;
+
+    const leaderboard = await getReferralLeaderboard({ from, to, ownerType, limit: parseInt(limit) });
+
+    res.status(200).json({
+      success: true,
+      data: leaderboard
+    });
+  } catch (error) {
+    console.error('Get referral leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching referral leaderboard'
+    });
+  }
+};
+
+// The current user's referral codes, their performance and credits
+export const getMyReferrals = async (req, res) => {
+  try {
+    const [codes, credits] = await Promise.all([
+      getReferralLeaderboard({ owner: req.user._id, limit: 100 }),
+      ReferralCredit.find({ referrer: req.user._id })
+        .populate('application', 'firstName track program')
+        .sort({ createdAt: -1 })
+    ]);
+
+    const totals = credits.reduce((acc, credit) => {
+      if (credit.status !== 'void') acc[credit.status === 'earned' ? 'outstanding' : 'paidOut'] += credit.amount;
+      return acc;
+    }, { outstanding: 0, paidOut: 0 });
+
+    res.status(200).json({
+      success: true,
+      data: { codes, credits, totals }
+    });
+  } catch (error) {
+    console.error('Get my referrals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching referrals'
+    });
+  }
+};
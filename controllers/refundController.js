@@ -0,0 +1,179 @@
+import Payment from '../models/payment.js';
+import Refund from '../models/Refund.js';
+import { refundPolicyFor, requestRefund, syncRefund } from '../services/refundService.js';
+
+// Get refunds, newest first (admin only)
+export const getRefunds = async (req, res) => {
+  try {
+    const { status, payment, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (payment) query.payment = payment;
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const refunds = await Refund.find(query)
+      .populate('payment', 'reference amount currency refundedAmount status paidAt')
+      .populate('application', 'firstName lastName email track program status paymentStatus')
+      .populate('requestedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await Refund.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: refunds,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalItems: total,
+        hasNextPage: pageNumber < Math.ceil(total / pageSize),
+        hasPreviousPage: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching refunds'
+    });
+  }
+};
+
+// Get a refund (admin only)
+export const getRefund = async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+      .populate('payment', 'reference amount currency refundedAmount status paidAt')
+      .populate('application', 'firstName lastName email track program status paymentStatus')
+      .populate('requestedBy', 'firstName lastName email');
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: refund
+    });
+  } catch (error) {
+    console.error('Get refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching refund'
+    });
+  }
+};
+
+// Show what the refund policy allows on a payment today (admin only)
+export const getRefundPolicy = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.paymentId).select('application amount currency refundedAmount status');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const policy = await refundPolicyFor(payment);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payment,
+        policy
+      }
+    });
+  } catch (error) {
+    console.error('Get refund policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking refund policy'
+    });
+  }
+};
+
+// Refund a payment in full or in part, optionally withdrawing the application (admin only)
+export const createRefund = async (req, res) => {
+  try {
+    const { paymentId, amount, reason, overridePolicy, reverseEnrollment } = req.body;
+
+    const refund = await requestRefund(paymentId, {
+      amount,
+      reason,
+      overridePolicy,
+      reverseEnrollment,
+      actor: req.user._id
+    });
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund initiated',
+      data: refund
+    });
+  } catch (error) {
+    // Not refundable, over the policy, or rejected by Paystack
+    if (error.name === 'RefundError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating refund'
+    });
+  }
+};
+
+// Refresh a refund's status from Paystack (admin only)
+export const syncRefundStatus = async (req, res) => {
+  try {
+    const refund = await syncRefund(req.params.id);
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Refund is ${refund.status}`,
+      data: refund
+    });
+  } catch (error) {
+    if (error.name === 'RefundError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Sync refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking refund status'
+    });
+  }
+};
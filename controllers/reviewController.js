@@ -0,0 +1,177 @@
+import Application from '../models/Application.js';
+import Review from '../models/Review.js';
+import Rubric from '../models/Rubric.js';
+import { scoreReview, refreshReviewSummary } from '../services/reviewService.js';
+
+// Statuses in which an application can still be scored
+const REVIEWABLE_STATUSES = ['under-review', 'interview'];
+
+const isAssignedReviewer = (user, applicationId) => {
+  return (user.assignedApplications || []).some(id => id.toString() === applicationId.toString());
+};
+
+// Get the rubric for an application (assigned reviewers and admins)
+export const getApplicationRubric = async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id).select('track program');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && !isAssignedReviewer(req.user, application._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not assigned to this application'
+      });
+    }
+
+    const rubric = await Rubric.findActiveFor(application.track, application.program);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active rubric is configured for this track'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rubric
+    });
+  } catch (error) {
+    console.error('Get application rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rubric'
+    });
+  }
+};
+
+// Submit or update the current reviewer's evaluation of an application
+export const submitReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scores, recommendation, comments } = req.body;
+
+    const application = await Application.findById(id).select('track program status');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!isAssignedReviewer(req.user, application._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only reviewers assigned to this application can review it'
+      });
+    }
+
+    if (!REVIEWABLE_STATUSES.includes(application.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Application is ${application.status} and can no longer be reviewed`
+      });
+    }
+
+    const rubric = await Rubric.findActiveFor(application.track, application.program);
+
+    if (!rubric) {
+      return res.status(400).json({
+        success: false,
+        message: 'No active rubric is configured for this track'
+      });
+    }
+
+    const scored = scoreReview(rubric, scores);
+
+    const review = await Review.findOneAndUpdate(
+      { application: application._id, reviewer: req.user._id, source: 'rubric' },
+      {
+        rubric: rubric._id,
+        scores: scored.scores,
+        totalScore: scored.totalScore,
+        recommendation,
+        comments,
+        submittedAt: new Date()
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const reviewSummary = await refreshReviewSummary(application._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data: {
+        review,
+        reviewSummary
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ReviewScoreError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    console.error('Submit review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting review'
+    });
+  }
+};
+
+// Get reviews for an application. Admins see every review, reviewers only their own.
+export const getApplicationReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const application = await Application.findById(id).select('reviewSummary');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && !isAssignedReviewer(req.user, application._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not assigned to this application'
+      });
+    }
+
+    const query = { application: application._id };
+    if (req.user.role !== 'admin') query.reviewer = req.user._id;
+
+    const reviews = await Review.find(query)
+      .populate('reviewer', 'firstName lastName email role')
+      .populate('rubric', 'name criteria scale')
+      .sort({ submittedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reviews,
+        reviewSummary: req.user.role === 'admin' ? application.reviewSummary : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Get application reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews'
+    });
+  }
+};
@@ -0,0 +1,172 @@
+import Rubric from '../models/Rubric.js';
+import Review from '../models/Review.js';
+
+const formatValidationError = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+// Get all rubrics (admin only)
+export const getAllRubrics = async (req, res) => {
+  try {
+    const { track, program, isActive } = req.query;
+
+    const query = {};
+    if (track) query.track = track;
+    if (program) query.program = program;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const rubrics = await Rubric.find(query).sort({ track: 1, program: 1, updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: rubrics
+    });
+  } catch (error) {
+    console.error('Get rubrics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rubrics'
+    });
+  }
+};
+
+// Get rubric by ID (admin only)
+export const getRubric = async (req, res) => {
+  try {
+    const rubric = await Rubric.findById(req.params.id);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rubric not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rubric
+    });
+  } catch (error) {
+    console.error('Get rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rubric'
+    });
+  }
+};
+
+// Create rubric (admin only)
+export const createRubric = async (req, res) => {
+  try {
+    const { name, track, program, criteria, scale, isActive } = req.body;
+
+    const rubric = await Rubric.create({
+      name,
+      track,
+      program: program || null,
+      criteria,
+      scale,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rubric created successfully',
+      data: rubric
+    });
+  } catch (error) {
+    console.error('Create rubric error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating rubric'
+    });
+  }
+};
+
+// Update rubric (admin only). Existing reviews keep the scores they were given.
+export const updateRubric = async (req, res) => {
+  try {
+    const rubric = await Rubric.findById(req.params.id);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rubric not found'
+      });
+    }
+
+    const allowedFields = ['name', 'criteria', 'scale', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) rubric[field] = req.body[field];
+    });
+
+    await rubric.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Rubric updated successfully',
+      data: rubric
+    });
+  } catch (error) {
+    console.error('Update rubric error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating rubric'
+    });
+  }
+};
+
+// Delete rubric (admin only)
+export const deleteRubric = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reviewsUsingRubric = await Review.countDocuments({ rubric: id });
+    if (reviewsUsingRubric > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Rubric has reviews scored against it. Deactivate it instead.'
+      });
+    }
+
+    const rubric = await Rubric.findByIdAndDelete(id);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rubric not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Rubric deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting rubric'
+    });
+  }
+};
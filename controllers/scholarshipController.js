@@ -0,0 +1,338 @@
+import Scholarship from '../models/Scholarship.js';
+import ScholarshipApplication from '../models/ScholarshipApplication.js';
+import {
+  applyForScholarship,
+  awardScholarship,
+  declineScholarship,
+  revokeScholarship
+} from '../services/scholarshipService.js';
+
+const formatValidationError = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+const SCHOLARSHIP_FIELDS = [
+  'name', 'description', 'sponsor', 'tracks', 'programs', 'fundingPool', 'opensAt', 'closesAt', 'isActive'
+];
+
+// Get scholarships. Applicants see the active ones; admins see all of them with their pools.
+export const getScholarships = async (req, res) => {
+  try {
+    const isAdmin = req.user?.role === 'admin';
+    const query = isAdmin ? {} : { isActive: true };
+
+    if (isAdmin && req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+    if (req.query.track) query.$or = [{ tracks: req.query.track }, { tracks: { $size: 0 } }];
+
+    const scholarships = await Scholarship.find(query)
+      .select(isAdmin ? '' : '-fundingPool -committed -createdBy')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: scholarships
+    });
+  } catch (error) {
+    console.error('Get scholarships error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scholarships'
+    });
+  }
+};
+
+// Get a scholarship with its award totals (admin only)
+export const getScholarship = async (req, res) => {
+  try {
+    const scholarship = await Scholarship.findById(req.params.id);
+
+    if (!scholarship) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scholarship not found'
+      });
+    }
+
+    const counts = await ScholarshipApplication.aggregate([
+      { $match: { scholarship: scholarship._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        scholarship,
+        applications: Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+      }
+    });
+  } catch (error) {
+    console.error('Get scholarship error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scholarship'
+    });
+  }
+};
+
+// Create scholarship (admin only)
+export const createScholarship = async (req, res) => {
+  try {
+    const data = {};
+    SCHOLARSHIP_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const scholarship = await Scholarship.create({ ...data, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Scholarship created successfully',
+      data: scholarship
+    });
+  } catch (error) {
+    console.error('Create scholarship error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating scholarship'
+    });
+  }
+};
+
+// Update scholarship (admin only). The pool can grow or shrink, but not below what has been awarded.
+export const updateScholarship = async (req, res) => {
+  try {
+    const scholarship = await Scholarship.findById(req.params.id);
+
+    if (!scholarship) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scholarship not found'
+      });
+    }
+
+    SCHOLARSHIP_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) scholarship[field] = req.body[field];
+    });
+
+    await scholarship.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scholarship updated successfully',
+      data: scholarship
+    });
+  } catch (error) {
+    console.error('Update scholarship error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating scholarship'
+    });
+  }
+};
+
+// Delete scholarship (admin only)
+export const deleteScholarship = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (await ScholarshipApplication.exists({ scholarship: id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Scholarship has applications. Deactivate it instead.'
+      });
+    }
+
+    const scholarship = await Scholarship.findByIdAndDelete(id);
+
+    if (!scholarship) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scholarship not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scholarship deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete scholarship error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting scholarship'
+    });
+  }
+};
+
+// Apply for a scholarship for one of your applications
+export const applyScholarship = async (req, res) => {
+  try {
+    const request = await applyForScholarship(req.params.id, {
+      applicationId: req.body.applicationId,
+      userId: req.user._id,
+      statement: req.body.statement
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scholarship or application not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Scholarship application submitted',
+      data: request
+    });
+  } catch (error) {
+    if (error.name === 'ScholarshipError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatValidationError(error)
+      });
+    }
+
+    console.error('Apply for scholarship error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting scholarship application'
+    });
+  }
+};
+
+// Get your own scholarship applications
+export const getMyScholarshipApplications = async (req, res) => {
+  try {
+    const requests = await ScholarshipApplication.find({ user: req.user._id })
+      .populate('scholarship', 'name sponsor')
+      .populate('application', 'track program status paymentStatus')
+      .select('-decidedBy')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: requests
+    });
+  } catch (error) {
+    console.error('Get my scholarship applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scholarship applications'
+    });
+  }
+};
+
+// Get the applications for a scholarship, oldest first (admin only)
+export const getScholarshipApplications = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { scholarship: req.params.id };
+    if (status) query.status = status;
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const requests = await ScholarshipApplication.find(query)
+      .populate('application', 'firstName lastName email track program status paymentStatus cohort')
+      .populate('decidedBy', 'firstName lastName email')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await ScholarshipApplication.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: requests,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalItems: total,
+        hasNextPage: pageNumber < Math.ceil(total / pageSize),
+        hasPreviousPage: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get scholarship applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scholarship applications'
+    });
+  }
+};
+
+const decisionHandler = (action, decide) => async (req, res) => {
+  try {
+    const request = await decide(req.params.id, {
+      amount: req.body.amount,
+      actor: req.user._id,
+      note: req.body.note
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scholarship application not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Scholarship ${action}`,
+      data: request
+    });
+  } catch (error) {
+    // Already decided, pool exhausted, or the program application cannot take an award
+    if (error.name === 'ScholarshipError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error(`Scholarship ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deciding scholarship application'
+    });
+  }
+};
+
+// Award a scholarship, the full fee unless an amount in kobo is given (admin only)
+export const awardScholarshipApplication = decisionHandler('awarded', awardScholarship);
+
+// Decline a scholarship application (admin only)
+export const declineScholarshipApplication = decisionHandler('declined', declineScholarship);
+
+// Revoke an award that has not been used yet (admin only)
+export const revokeScholarshipApplication = decisionHandler('revoked', revokeScholarship);
@@ -1,47 +1,25 @@
 import User from '../models/user.js';
 import Application from '../models/Application.js';
+import {
+  REVIEWER_ROLES,
+  assignApplication,
+  autoAssignPending,
+  reassignReviewerApplications
+} from '../services/assignmentService.js';
+import { buildUserQuery, buildUserSort } from '../services/userQuery.js';
 
 // Get all users (admin only)
 export const getAllUsers = async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      role,
-      search,
-      isActive,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    const query = {};
-
-    // Add filters
-    if (role) query.role = role;
-    if (isActive !== undefined) query.isActive = isActive === 'true';
-    
-    // Search filter
-    if (search) {
-      query.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const { page = 1, limit = 20 } = req.query;
 
-    // Exclude current user if not admin
-    if (req.user.role !== 'admin') {
-      query._id = { $ne: req.user._id };
-    }
+    const query = buildUserQuery(req.query, req.user);
+    const sort = buildUserSort(req.query);
 
     const pageNumber = parseInt(page);
     const pageSize = parseInt(limit);
     const skip = (pageNumber - 1) * pageSize;
 
-    // Sorting
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
     const users = await User.find(query)
       .select('-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken -emailVerificationExpires')
       .sort(sort)
@@ -108,7 +86,7 @@ export const getUserById = async (req, res) => {
 export const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const { role, isActive, permissions, firstName, lastName, phone } = req.body;
+    const { role, isActive, permissions, firstName, lastName, phone, reviewerProfile } = req.body;
 
     const updateData = {};
     
@@ -117,6 +95,8 @@ export const updateUser = async (req, res) => {
       if (role !== undefined) updateData.role = role;
       if (isActive !== undefined) updateData.isActive = isActive;
       if (permissions !== undefined) updateData.permissions = permissions;
+      if (reviewerProfile?.tracks !== undefined) updateData['reviewerProfile.tracks'] = reviewerProfile.tracks;
+      if (reviewerProfile?.capacity !== undefined) updateData['reviewerProfile.capacity'] = reviewerProfile.capacity;
     }
     
     // Anyone can update these fields
@@ -124,6 +104,8 @@ export const updateUser = async (req, res) => {
     if (lastName !== undefined) updateData.lastName = lastName;
     if (phone !== undefined) updateData.phone = phone;
 
+    const previous = await User.findById(id).select('role isActive');
+
     const user = await User.findByIdAndUpdate(
       id,
       updateData,
@@ -137,10 +119,19 @@ export const updateUser = async (req, res) => {
       });
     }
 
+    // A reviewer who is deactivated or moved off reviewing hands their open applications on
+    let reassignment;
+    const wasReviewing = previous.isActive && REVIEWER_ROLES.includes(previous.role);
+    const isReviewing = user.isActive && REVIEWER_ROLES.includes(user.role);
+    if (wasReviewing && !isReviewing) {
+      reassignment = await reassignReviewerApplications(user._id, { actor: req.user._id });
+    }
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
-      data: user
+      data: user,
+      ...(reassignment && { reassignment })
     });
   } catch (error) {
     console.error('Update user error:', error);
@@ -277,43 +268,43 @@ export const assignApplicationsToReviewer = async (req, res) => {
 
     // Check if reviewer exists and is a reviewer
     const reviewer = await User.findById(reviewerId);
-    if (!reviewer || !['reviewer', 'admissions'].includes(reviewer.role)) {
+    if (!reviewer || !REVIEWER_ROLES.includes(reviewer.role)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid reviewer ID or reviewer role'
       });
     }
 
-    // Check if applications exist
+    // Check if applications exist and are still open for review
     const applications = await Application.find({
       _id: { $in: applicationIds },
-      status: 'pending'
+      status: { $in: ['submitted', 'under-review', 'interview'] }
     });
 
     if (applications.length !== applicationIds.length) {
       return res.status(400).json({
         success: false,
-        message: 'Some applications are invalid or not in pending status'
+        message: 'Some applications are invalid or no longer open for review'
       });
     }
 
-    // Assign applications to reviewer
-    await User.findByIdAndUpdate(
-      reviewerId,
-      { $addToSet: { assignedApplications: { $each: applicationIds } } }
-    );
-
-    // Update application status to reviewing
-    await Application.updateMany(
-      { _id: { $in: applicationIds } },
-      { status: 'reviewing' }
-    );
+    // Assign applications to reviewer (manual assignment may exceed the reviewer's capacity)
+    for (const application of applications) {
+      await assignApplication(application, reviewer, { actor: req.user._id });
+    }
 
     res.status(200).json({
       success: true,
       message: `Assigned ${applications.length} applications to reviewer`
     });
   } catch (error) {
+    if (error.name === 'InvalidStatusTransitionError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Assign applications error:', error);
     res.status(500).json({
       success: false,
@@ -322,6 +313,62 @@ export const assignApplicationsToReviewer = async (req, res) => {
   }
 };
 
+// Automatically distribute unassigned applications to reviewers (admin only)
+export const autoAssignApplications = async (req, res) => {
+  try {
+    const { strategy, track, limit } = req.body;
+
+    const report = await autoAssignPending({
+      strategy,
+      track,
+      limit: limit ? parseInt(limit) : undefined,
+      actor: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Assigned ${report.assigned.length} applications, ${report.unassigned.length} left unassigned`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Auto assign applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning applications'
+    });
+  }
+};
+
+// Reassign a reviewer's open applications to other reviewers (admin only)
+export const reassignReviewer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { strategy } = req.body;
+
+    const reviewer = await User.findById(id);
+    if (!reviewer || !REVIEWER_ROLES.includes(reviewer.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not a reviewer'
+      });
+    }
+
+    const report = await reassignReviewerApplications(reviewer._id, { strategy, actor: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: `Reassigned ${report.reassigned.length} applications, ${report.unassigned.length} left unassigned`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Reassign reviewer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reassigning applications'
+    });
+  }
+};
+
 // Get reviewer's assigned applications
 export const getReviewerApplications = async (req, res) => {
   try {
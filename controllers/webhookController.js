@@ -0,0 +1,106 @@
+import WebhookEvent from '../models/WebhookEvent.js';
+import { replayWebhookEvent } from '../services/webhookService.js';
+
+// Get stored webhook events, newest first (admin only)
+export const getWebhookEvents = async (req, res) => {
+  try {
+    const { status, event, reference, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (reference) query.reference = reference;
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const events = await WebhookEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await WebhookEvent.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: events,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
+        totalItems: total,
+        hasNextPage: pageNumber < Math.ceil(total / pageSize),
+        hasPreviousPage: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook events'
+    });
+  }
+};
+
+// Get a webhook event with the body Paystack sent (admin only)
+export const getWebhookEvent = async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id)
+      .select('+rawBody')
+      .populate('replayedBy', 'firstName lastName email');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook event'
+    });
+  }
+};
+
+// Process a stored webhook event again (admin only)
+export const replayEvent = async (req, res) => {
+  try {
+    const event = await replayWebhookEvent(req.params.id, { actor: req.user._id });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: event.status === 'processed'
+        ? 'Webhook event replayed'
+        : `Webhook event replayed but is ${event.status}`,
+      data: event
+    });
+  } catch (error) {
+    // Rejected, or already being processed
+    if (error.name === 'WebhookError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Replay webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error replaying webhook event'
+    });
+  }
+};
@@ -0,0 +1,89 @@
+import { lapseExpiredOffers } from '../services/waitlistService.js';
+import { processExportJobs } from '../services/exportService.js';
+import { sweepInstallments } from '../services/installmentService.js';
+import { reconcilePayments } from '../services/reconciliationService.js';
+import { sweepExpiredPayments } from '../services/paymentExpiryService.js';
+import { processPendingWebhookEvents } from '../services/webhookService.js';
+
+const minutes = (name, fallback) => parseInt(process.env[name] || fallback, 10) * 60 * 1000;
+
+// Background jobs, run in-process on a fixed interval
+const jobs = [
+  {
+    name: 'lapse-expired-offers',
+    interval: () => minutes('OFFER_SWEEP_INTERVAL_MINUTES', '15'),
+    run: () => lapseExpiredOffers()
+  },
+  {
+    // Picks up exports queued before a restart and deletes expired files
+    name: 'process-export-jobs',
+    interval: () => minutes('EXPORT_SWEEP_INTERVAL_MINUTES', '5'),
+    run: () => processExportJobs()
+  },
+  {
+    // Marks installments overdue and suspends access once a plan's grace period runs out
+    name: 'sweep-installments',
+    interval: () => minutes('INSTALLMENT_SWEEP_INTERVAL_MINUTES', '60'),
+    run: () => sweepInstallments()
+  },
+  {
+    // Reminds payers before their checkout expires, then expires it and releases the seat
+    name: 'sweep-expired-payments',
+    interval: () => minutes('PAYMENT_EXPIRY_SWEEP_INTERVAL_MINUTES', '15'),
+    run: () => sweepExpiredPayments()
+  },
+  {
+    // Retries webhook events that failed, and picks up any a restart cut off
+    name: 'process-webhook-events',
+    interval: () => minutes('WEBHOOK_RETRY_INTERVAL_MINUTES', '1'),
+    run: () => processPendingWebhookEvents()
+  },
+  {
+    // Catches charges whose webhook never arrived and whose payer never came back to the callback
+    name: 'reconcile-payments',
+    interval: () => minutes('RECONCILIATION_INTERVAL_MINUTES', '60'),
+    run: async () => {
+      const run = await reconcilePayments();
+      return run.status === 'failed' ? { failed: run.error } : { fixed: run.summary.fixed, discrepancies: run.summary.discrepancies };
+    }
+  }
+];
+
+const timers = [];
+
+const runJob = async (job) => {
+  // Skip a tick rather than overlap a run that is still going
+  if (job.running) return;
+  job.running = true;
+
+  try {
+    const result = await job.run();
+    if (result && Object.values(result).some(Boolean)) {
+      console.log(`[jobs] ${job.name}:`, result);
+    }
+  } catch (error) {
+    console.error(`[jobs] ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start the job timers. Safe to call more than once. When running several
+ * instances, set SCHEDULER_ENABLED=false on all but one of them.
+ */
+export const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false' || timers.length > 0) return;
+
+  for (const job of jobs) {
+    const timer = setInterval(() => runJob(job), job.interval());
+    timer.unref();
+    timers.push(timer);
+  }
+
+  console.log(`Scheduler started: ${jobs.map(job => job.name).join(', ')}`);
+};
+
+export const stopScheduler = () => {
+  timers.splice(0).forEach(clearInterval);
+};
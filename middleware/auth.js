@@ -88,6 +88,15 @@ export const authorize = (roles = []) => {
   };
 };
 
+// Check whether a user may see an application: admins, its owner and reviewers assigned to it
+export const canAccessApplication = (user, application) => {
+  if (!user || !application) return false;
+  if (user.role === 'admin') return true;
+  if (application.user && application.user.toString() === user._id.toString()) return true;
+
+  return (user.assignedApplications || []).some(id => id.toString() === application._id.toString());
+};
+
 // Optional: Rate limiting per user (more specific than global rate limit)
 export const rateLimitByUser = (windowMs = 15 * 60 * 1000, max = 100) => {
   const requests = new Map();
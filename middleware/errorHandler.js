@@ -27,6 +27,8 @@ export const notFound = (req, res, next) => {
       message = 'Duplicate field value entered';
       const field = Object.keys(err.keyPattern)[0];
       errorDetails = [{ field, message: `${field} already exists` }];
+    } else if (err.name === 'InvalidStatusTransitionError') {
+      statusCode = 409;
     } else if (err.name === 'JsonWebTokenError') {
       statusCode = 401;
       message = 'Invalid token';
@@ -0,0 +1,60 @@
+import paymentService from '../services/paymentService.js';
+
+// Addresses Paystack sends webhooks from (https://paystack.com/docs/payments/webhooks)
+const PAYSTACK_WEBHOOK_IPS = ['52.31.139.75', '52.49.173.169', '52.214.14.220'];
+
+/**
+ * IPs allowed to call the webhook, from PAYSTACK_WEBHOOK_ALLOWED_IPS: a
+ * comma-separated list where "paystack" stands for Paystack's published
+ * addresses. Unset means any address. Behind a proxy, set TRUST_PROXY so
+ * req.ip is the caller's address rather than the proxy's.
+ */
+const allowedIps = () => String(process.env.PAYSTACK_WEBHOOK_ALLOWED_IPS || '')
+  .split(',')
+  .map(ip => ip.trim())
+  .filter(Boolean)
+  .flatMap(ip => (ip.toLowerCase() === 'paystack' ? PAYSTACK_WEBHOOK_IPS : [ip]));
+
+// Unsigned webhooks are let through only when asked for, and never in production
+export const webhookDevMode = () => process.env.PAYSTACK_WEBHOOK_DEV_MODE === 'true' &&
+  process.env.NODE_ENV !== 'production';
+
+// IPv4 callers can show up as IPv4-mapped IPv6 addresses
+const normaliseIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+/**
+ * Check a Paystack webhook before anything reads or stores its body. Callers
+ * outside the allow-list are turned away, and so are unsigned or badly signed
+ * deliveries; only their address and size are logged. What gets through has
+ * its raw bytes and the outcome of the signature check on req.paystackWebhook
+ * as { rawBody, signatureCheck }, where signatureCheck is 'verified' or
+ * 'dev-mode' (unsigned, let through by PAYSTACK_WEBHOOK_DEV_MODE).
+ * The body must come from express.raw.
+ */
+export const verifyPaystackWebhook = (req, res, next) => {
+  const allowed = allowedIps();
+  const ip = normaliseIp(req.ip);
+
+  if (allowed.length > 0 && !allowed.includes(ip)) {
+    console.error(`Webhook from ${ip} refused: not an allowed address`);
+    return res.status(403).json({ success: false, error: 'Forbidden' });
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const signature = req.get('x-paystack-signature');
+
+  let signatureCheck;
+  if (!signature) {
+    signatureCheck = webhookDevMode() ? 'dev-mode' : 'missing';
+  } else {
+    signatureCheck = paymentService.verifyWebhookSignature(rawBody, signature) ? 'verified' : 'invalid';
+  }
+
+  if (!['verified', 'dev-mode'].includes(signatureCheck)) {
+    console.error(`Webhook from ${ip} rejected: ${signatureCheck} signature (${rawBody.length} bytes)`);
+    return res.status(401).json({ success: false, error: signatureCheck === 'missing' ? 'Unsigned request' : 'Invalid signature' });
+  }
+
+  req.paystackWebhook = { rawBody, signatureCheck };
+  next();
+};
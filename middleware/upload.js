@@ -0,0 +1,115 @@
+import multer from 'multer';
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// MIME types accepted for each kind of application document
+export const DOCUMENT_MIME_TYPES = {
+  cv: [MIME_TYPES.pdf, MIME_TYPES.doc, MIME_TYPES.docx],
+  id: [MIME_TYPES.pdf, MIME_TYPES.jpeg, MIME_TYPES.png],
+  certificate: [MIME_TYPES.pdf, MIME_TYPES.jpeg, MIME_TYPES.png],
+  other: [MIME_TYPES.pdf, MIME_TYPES.jpeg, MIME_TYPES.png]
+};
+
+const ALLOWED_MIME_TYPES = [...new Set(Object.values(DOCUMENT_MIME_TYPES).flat())];
+
+const maxUploadBytes = () => parseInt(process.env.MAX_UPLOAD_SIZE_MB || '5', 10) * 1024 * 1024;
+
+// Signatures ("magic bytes") of the formats we accept
+const SIGNATURES = [
+  { mimeTypes: [MIME_TYPES.pdf], bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mimeTypes: [MIME_TYPES.png], bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeTypes: [MIME_TYPES.jpeg], bytes: [0xff, 0xd8, 0xff] },
+  { mimeTypes: [MIME_TYPES.doc], bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  // .docx is a zip container
+  { mimeTypes: [MIME_TYPES.docx], bytes: [0x50, 0x4b, 0x03, 0x04] }
+];
+
+// Check the file content really is what its declared MIME type says
+export const contentMatchesMimeType = (buffer, mimeType) => {
+  const signature = SIGNATURES.find(item => item.mimeTypes.includes(mimeType));
+
+  if (!signature || buffer.length < signature.bytes.length) return false;
+
+  return signature.bytes.every((byte, index) => buffer[index] === byte);
+};
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxUploadBytes(),
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Only PDF, Word, JPEG and PNG files are allowed';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+}).single('file');
+
+// Parse a single multipart "file" field into req.file (kept in memory for scanning)
+export const uploadDocument = (req, res, next) => {
+  documentUpload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge
+          ? `File is too large. Maximum size is ${process.env.MAX_UPLOAD_SIZE_MB || 5}MB`
+          : error.message
+      });
+    }
+
+    next(error);
+  });
+};
+
+// Browsers and spreadsheet tools disagree on the MIME type of a .csv file
+const CSV_MIME_TYPES = ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'];
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxUploadBytes(),
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!CSV_MIME_TYPES.includes(file.mimetype) || !/\.csv$/i.test(file.originalname)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Only CSV files are allowed';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+}).single('file');
+
+// Parse a single multipart "file" field holding a CSV import into req.file
+export const uploadCsv = (req, res, next) => {
+  csvUpload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge
+          ? `File is too large. Maximum size is ${process.env.MAX_UPLOAD_SIZE_MB || 5}MB`
+          : error.message
+      });
+    }
+
+    next(error);
+  });
+};
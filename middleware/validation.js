@@ -1,4 +1,4 @@
-import { validationResult } from 'express-validator';
+import { query, validationResult } from 'express-validator';
 
 // Custom validation for phone numbers
 export const validatePhoneNumber = (value, { req }) => {
@@ -38,10 +38,11 @@ export const validateCountryState = async (value, { req }) => {
 // Check if email is already used for pending application
 export const checkDuplicateEmail = async (value, { req }) => {
   const Application = (await import('../models/Application.js')).default;
+  const { OPEN_STATUSES } = await import('../services/applicationWorkflow.js');
   
   const existingApplication = await Application.findOne({
     email: value,
-    status: { $in: ['pending', 'reviewing'] }
+    status: { $in: OPEN_STATUSES }
   });
 
   if (existingApplication && !req.body.allowResubmission) {
@@ -71,36 +72,50 @@ export const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Query parameters shared by the CSV/XLSX export endpoints
+export const exportQueryValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx'),
+  query('columns')
+    .optional()
+    .isString().withMessage('Columns must be a comma-separated list'),
+  query('background')
+    .optional()
+    .isBoolean().withMessage('background must be true or false'),
+  handleValidationErrors
+];
+
 // Sanitize input data
-export const sanitizeInput = (req, res, next) => {
-  // Recursive sanitization function
-  const sanitize = (obj) => {
-    if (typeof obj === 'string') {
-      // Remove potentially dangerous characters
-      return obj.trim()
-        .replace(/<[^>]*>?/gm, '') // Remove HTML tags
-        .replace(/[<>]/g, ''); // Remove angle brackets
-    }
-    
-    if (Array.isArray(obj)) {
-      return obj.map(sanitize);
-    }
-    
-    if (typeof obj === 'object' && obj !== null) {
-      const sanitized = {};
-      for (const key in obj) {
-        sanitized[key] = sanitize(obj[key]);
-      }
-      return sanitized;
+// Strip HTML from strings, recursively through arrays and objects
+export const sanitizeValue = (obj) => {
+  if (typeof obj === 'string') {
+    // Remove potentially dangerous characters
+    return obj.trim()
+      .replace(/<[^>]*>?/gm, '') // Remove HTML tags
+      .replace(/[<>]/g, ''); // Remove angle brackets
+  }
+  
+  if (Array.isArray(obj)) {
+    return obj.map(sanitizeValue);
+  }
+  
+  if (typeof obj === 'object' && obj !== null) {
+    const sanitized = {};
+    for (const key in obj) {
+      sanitized[key] = sanitizeValue(obj[key]);
     }
-    
-    return obj;
-  };
+    return sanitized;
+  }
+  
+  return obj;
+};
 
+export const sanitizeInput = (req, res, next) => {
   // Sanitize body, query, and params
-  if (req.body) req.body = sanitize(req.body);
-  if (req.query) req.query = sanitize(req.query);
-  if (req.params) req.params = sanitize(req.params);
+  if (req.body) req.body = sanitizeValue(req.body);
+  if (req.query) req.query = sanitizeValue(req.query);
+  if (req.params) req.params = sanitizeValue(req.params);
 
   next();
 };
\ No newline at end of file
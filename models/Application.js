@@ -1,6 +1,39 @@
 import mongoose from 'mongoose';
 
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    immutable: true
+  },
+  to: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    immutable: true
+  }
+}, { _id: false });
+
 const applicationSchema = new mongoose.Schema({
+  // Applicant account that owns this application
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
   // Personal Information
   firstName: {
     type: String,
@@ -53,13 +86,27 @@ const applicationSchema = new mongoose.Schema({
     required: [true, 'State/Region is required']
   },
   
-  // Add these to your Application schema
-status: {
+  // Lifecycle status. Only change it through services/applicationWorkflow.js
+  // so that every transition is validated and recorded in statusHistory.
+  status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'enrolled'],
-    default: 'pending'
+    enum: [
+      'submitted',
+      'under-review',
+      'interview',
+      'accepted',
+      'rejected',
+      'waitlisted',
+      'paid',
+      'enrolled',
+      'withdrawn'
+    ],
+    default: 'submitted'
   },
 
+  // Append-only audit trail of status changes
+  statusHistory: [statusChangeSchema],
+
   payment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment'
@@ -82,6 +129,22 @@ status: {
     required: [true, 'Program is required'],
     enum: ['launchpad', 'professional']
   },
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cohort'
+  },
+
+  // Admissions offer: an accepted application holds a cohort seat until paymentDueAt
+  seatReserved: {
+    type: Boolean,
+    default: false
+  },
+  paymentDueAt: Date,
+  waitlist: {
+    rank: Number,
+    addedAt: Date,
+    promotedAt: Date
+  },
   
   // Background Information
   education: {
@@ -107,7 +170,10 @@ status: {
 
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'expired', 'failed'],
+    // waived / partially-waived: enrolled on a scholarship (models/ScholarshipApplication.js)
+    // partially-paid: enrolled on an installment plan with installments still to pay
+    // refunded / partially-refunded: money was returned (models/Refund.js)
+    enum: ['pending', 'paid', 'partially-paid', 'waived', 'partially-waived', 'expired', 'failed', 'refunded', 'partially-refunded'],
     default: 'pending'
   },
 
@@ -214,6 +280,111 @@ status: {
     }
   },
   
+  // Referral code used on submission (models/ReferralCode.js)
+  referral: {
+    code: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReferralCode'
+    },
+    codeText: String,
+    referrer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    attributedAt: Date
+  },
+
+  // Installment plan the fee is being paid on (services/installmentService.js).
+  // The schedule itself is the application's Payment records with `installment` set.
+  installments: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InstallmentPlan'
+    },
+    count: Number,
+    // Kobo due over the whole plan, after discounts
+    total: Number,
+    status: {
+      type: String,
+      enum: ['current', 'overdue', 'lapsed', 'completed', null],
+      default: null
+    },
+    overdueSince: Date,
+    // Set while access to the program is suspended for a lapsed installment
+    restrictedAt: Date,
+    autoDebit: {
+      planCode: String,
+      subscriptionCode: String,
+      enabledAt: Date
+    }
+  },
+
+  // Answers to the track's custom questions (models/ApplicationForm.js).
+  // Labels are copied so answers still read correctly after the form changes.
+  customAnswers: {
+    form: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApplicationForm'
+    },
+    answers: [{
+      _id: false,
+      key: String,
+      label: String,
+      type: { type: String },
+      value: mongoose.Schema.Types.Mixed
+    }]
+  },
+  
+  // Outcome of the eligibility rules run on submission (services/eligibilityService.js)
+  eligibility: {
+    outcome: {
+      type: String,
+      enum: ['eligible', 'rejected', 'flagged', 'shortlisted', null],
+      default: null
+    },
+    matchedRules: [{
+      _id: false,
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EligibilityRule'
+      },
+      name: String,
+      outcome: String
+    }],
+    evaluatedAt: Date
+  },
+  
+  // Review
+  adminNotes: {
+    type: String,
+    trim: true
+  },
+  reviewedAt: Date,
+
+  // Aggregated from Review documents by services/reviewService.js
+  reviewSummary: {
+    averageScore: {
+      type: Number,
+      default: null
+    },
+    reviewCount: {
+      type: Number,
+      default: 0
+    },
+    consensus: {
+      type: String,
+      enum: ['accept', 'reject', 'waitlist', 'interview', 'split', null],
+      default: null
+    },
+    recommendations: {
+      accept: { type: Number, default: 0 },
+      reject: { type: Number, default: 0 },
+      waitlist: { type: Number, default: 0 },
+      interview: { type: Number, default: 0 }
+    },
+    lastReviewedAt: Date
+  },
+
   // Metadata
   
   applicationDate: {
@@ -221,7 +392,20 @@ status: {
     default: Date.now
   },
   ipAddress: String,
-  userAgent: String
+  userAgent: String,
+
+  // Normalised identity keys used to spot duplicate submissions (services/duplicateService.js)
+  fingerprint: {
+    email: String,
+    phone: String,
+    name: String
+  },
+  // Set when an admin merged this application into another one
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    default: null
+  }
 }, {
   timestamps: true
 });
@@ -230,31 +414,19 @@ status: {
 applicationSchema.index({ email: 1, applicationDate: -1 });
 applicationSchema.index({ status: 1, applicationDate: -1 });
 applicationSchema.index({ track: 1, program: 1 });
-
-applicationSchema.add({
-    status: {
-      type: String,
-      enum: ['pending', 'approved', 'rejected', 'enrolled'],
-      default: 'pending'
-    },
-    paymentStatus: {
-      type: String,
-      enum: ['pending', 'paid', 'expired'],
-      default: 'pending'
-    },
-    payment: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Payment'
-    },
-    program: {
-      type: String,
-      required: true
-    },
-    track: {
-      type: String,
-      required: true
-    }
-  });
+applicationSchema.index({ cohort: 1, status: 1 });
+applicationSchema.index({ cohort: 1, status: 1, 'waitlist.rank': 1 });
+applicationSchema.index({ status: 1, paymentDueAt: 1 });
+applicationSchema.index({ user: 1, applicationDate: -1 });
+applicationSchema.index({ 'reviewSummary.averageScore': -1 });
+applicationSchema.index({ 'eligibility.outcome': 1, status: 1 });
+applicationSchema.index({ 'referral.code': 1, applicationDate: -1 });
+applicationSchema.index({ 'installments.status': 1 });
+applicationSchema.index({ 'installments.autoDebit.planCode': 1 }, { sparse: true });
+applicationSchema.index({ 'fingerprint.email': 1 });
+applicationSchema.index({ 'fingerprint.phone': 1 });
+applicationSchema.index({ 'fingerprint.name': 1 });
+applicationSchema.index({ ipAddress: 1, applicationDate: -1 });
 
 const Application = mongoose.model('Application', applicationSchema);
 
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const applicationDocumentSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Document type is required'],
+    enum: ['cv', 'id', 'certificate', 'other']
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  checksum: {
+    type: String
+  },
+
+  // Where the file lives; the key is only meaningful to that storage driver
+  storageDriver: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Virus scan outcome
+  scanStatus: {
+    type: String,
+    enum: ['clean', 'skipped', 'error'],
+    default: 'skipped'
+  },
+  scanEngine: String,
+  scannedAt: Date
+}, {
+  timestamps: true
+});
+
+applicationDocumentSchema.index({ application: 1, type: 1 });
+
+const ApplicationDocument = mongoose.models.ApplicationDocument || mongoose.model('ApplicationDocument', applicationDocumentSchema);
+
+export default ApplicationDocument;
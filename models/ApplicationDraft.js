@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Form steps and the application fields each one saves.
+// Passwords and consent are never stored on a draft; they are sent on submission.
+export const DRAFT_STEPS = {
+  personal: ['firstName', 'lastName', 'email', 'phone', 'countryCode', 'country', 'state'],
+  program: ['track', 'program', 'preferredStartDate', 'availableHours', 'hasLaptop'],
+  // answers: the track's custom questions (models/ApplicationForm.js), checked on submission
+  background: ['motivation', 'goals', 'education', 'experience', 'currentRole', 'referralSource', 'referralCode', 'answers']
+};
+
+const draftTtlDays = () => parseInt(process.env.APPLICATION_DRAFT_TTL_DAYS || '14', 10);
+
+const applicationDraftSchema = new mongoose.Schema({
+  resumeToken: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  data: {
+    type: Object,
+    default: {}
+  },
+  completedSteps: [{
+    type: String,
+    enum: Object.keys(DRAFT_STEPS)
+  }],
+  lastSavedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Abandoned drafts are removed by the TTL index below
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + draftTtlDays() * 24 * 60 * 60 * 1000)
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+applicationDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+applicationDraftSchema.virtual('nextStep').get(function() {
+  return Object.keys(DRAFT_STEPS).find(step => !this.completedSteps.includes(step)) || null;
+});
+
+applicationDraftSchema.virtual('isComplete').get(function() {
+  return Object.keys(DRAFT_STEPS).every(step => this.completedSteps.includes(step));
+});
+
+// Create a resume token. Only its hash is stored, like password reset tokens.
+applicationDraftSchema.methods.createResumeToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.resumeToken = this.constructor.hashToken(token);
+
+  return token;
+};
+
+// Push the expiry back every time the applicant saves
+applicationDraftSchema.methods.touch = function() {
+  this.lastSavedAt = new Date();
+  this.expiresAt = new Date(Date.now() + draftTtlDays() * 24 * 60 * 60 * 1000);
+};
+
+applicationDraftSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+applicationDraftSchema.statics.findByResumeToken = function(token) {
+  return this.findOne({
+    resumeToken: this.hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const ApplicationDraft = mongoose.models.ApplicationDraft || mongoose.model('ApplicationDraft', applicationDraftSchema);
+
+export default ApplicationDraft;
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+
+export const QUESTION_TYPES = ['text', 'textarea', 'number', 'boolean', 'select', 'multiselect', 'date', 'url'];
+
+// Types whose answers must come from the question's options
+const CHOICE_TYPES = ['select', 'multiselect'];
+
+const questionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Question key is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Question key can only contain letters, numbers and hyphens']
+  },
+  label: {
+    type: String,
+    required: [true, 'Question label is required'],
+    trim: true
+  },
+  helpText: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Question type is required'],
+    enum: QUESTION_TYPES
+  },
+  options: {
+    type: [String],
+    validate: {
+      validator: function(options) {
+        return !CHOICE_TYPES.includes(this.type) || options.length > 0;
+      },
+      message: 'Select questions need at least one option'
+    }
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Character limits for text answers
+  minLength: {
+    type: Number,
+    min: 0
+  },
+  maxLength: {
+    type: Number,
+    min: 1
+  },
+  // Bounds for number answers, or the number of choices for multiselect
+  min: Number,
+  max: Number
+}, { _id: false });
+
+// Extra questions asked on the application form for a track (and optionally a program)
+const applicationFormSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Form name is required'],
+    trim: true
+  },
+  track: {
+    type: String,
+    required: [true, 'Track is required'],
+    enum: [
+      'project-management',
+      'frontend-development',
+      'backend-development',
+      'quality-assurance',
+      'devops'
+    ]
+  },
+  // Applies to every program of the track when not set
+  program: {
+    type: String,
+    enum: ['launchpad', 'professional', null],
+    default: null
+  },
+  questions: {
+    type: [questionSchema],
+    validate: [
+      {
+        validator: (questions) => questions.length > 0,
+        message: 'A form needs at least one question'
+      },
+      {
+        validator: (questions) => new Set(questions.map(q => q.key)).size === questions.length,
+        message: 'Question keys must be unique'
+      }
+    ]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+applicationFormSchema.index({ track: 1, program: 1, isActive: 1 });
+
+// Find the form applicants should fill in: a program-specific form wins over a track-wide one
+applicationFormSchema.statics.findActiveFor = async function(track, program) {
+  const forms = await this.find({
+    track,
+    program: { $in: [program, null] },
+    isActive: true
+  }).sort({ updatedAt: -1 });
+
+  return forms.find(form => form.program === program) || forms[0] || null;
+};
+
+const ApplicationForm = mongoose.models.ApplicationForm || mongoose.model('ApplicationForm', applicationFormSchema);
+
+export default ApplicationForm;
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+
+const cohortSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Cohort name is required'],
+    trim: true
+  },
+  track: {
+    type: String,
+    required: [true, 'Track is required'],
+    enum: [
+      'project-management',
+      'frontend-development',
+      'backend-development',
+      'quality-assurance',
+      'devops'
+    ]
+  },
+  program: {
+    type: String,
+    required: [true, 'Program is required'],
+    enum: ['launchpad', 'professional']
+  },
+
+  // Teaching dates
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value > this.startDate;
+      },
+      message: 'End date must be after start date'
+    }
+  },
+
+  // Intake window
+  applicationOpensAt: {
+    type: Date,
+    required: [true, 'Application open date is required']
+  },
+  applicationClosesAt: {
+    type: Date,
+    required: [true, 'Application close date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.applicationOpensAt || value > this.applicationOpensAt;
+      },
+      message: 'Application close date must be after open date'
+    }
+  },
+
+  // Seats
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1']
+  },
+  seatsTaken: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+cohortSchema.virtual('seatsRemaining').get(function() {
+  return Math.max(this.capacity - this.seatsTaken, 0);
+});
+
+cohortSchema.virtual('isOpen').get(function() {
+  const now = new Date();
+  return this.isActive && this.applicationOpensAt <= now && this.applicationClosesAt > now;
+});
+
+cohortSchema.index({ track: 1, program: 1, applicationOpensAt: 1, applicationClosesAt: 1 });
+cohortSchema.index({ startDate: -1 });
+
+// Find the cohort currently accepting applications for a track/program.
+// If intake windows overlap, the cohort that starts soonest wins.
+cohortSchema.statics.findOpen = function(track, program, at = new Date()) {
+  return this.findOne({
+    track,
+    program,
+    isActive: true,
+    applicationOpensAt: { $lte: at },
+    applicationClosesAt: { $gt: at }
+  }).sort({ startDate: 1 });
+};
+
+// Atomically take a seat. Resolves to null when the cohort is already full.
+cohortSchema.statics.claimSeat = function(cohortId, { session } = {}) {
+  return this.findOneAndUpdate(
+    { _id: cohortId, $expr: { $lt: ['$seatsTaken', '$capacity'] } },
+    { $inc: { seatsTaken: 1 } },
+    { new: true, session }
+  );
+};
+
+// Give a seat back (withdrawal, refund, etc.)
+cohortSchema.statics.releaseSeat = function(cohortId, { session } = {}) {
+  return this.findOneAndUpdate(
+    { _id: cohortId, seatsTaken: { $gt: 0 } },
+    { $inc: { seatsTaken: -1 } },
+    { new: true, session }
+  );
+};
+
+const Cohort = mongoose.models.Cohort || mongoose.model('Cohort', cohortSchema);
+
+export default Cohort;
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+const TRACKS = ['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'];
+const PROGRAMS = ['launchpad', 'professional'];
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9-]{3,32}$/, 'Coupon code must be 3-32 letters, numbers or hyphens']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Groups coupons of one promo (e.g. "early-bird-2025") for reporting
+  campaign: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  // Percent (1-100) for percentage coupons, kobo for fixed ones
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [1, 'Discount must be greater than zero'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'A percentage discount cannot exceed 100'
+    }
+  },
+
+  // Scope; empty means every track or program
+  tracks: [{
+    type: String,
+    enum: TRACKS
+  }],
+  programs: [{
+    type: String,
+    enum: PROGRAMS
+  }],
+
+  startsAt: Date,
+  endsAt: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startsAt || value > this.startsAt;
+      },
+      message: 'Coupon must end after it starts'
+    }
+  },
+
+  // Unlimited when not set
+  maxRedemptions: {
+    type: Number,
+    min: [1, 'Maximum redemptions must be at least 1'],
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1'],
+    default: 1
+  },
+  // Verified charges that used the coupon; pending checkouts do not count
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ campaign: 1 });
+
+couponSchema.virtual('discount').get(function() {
+  return { type: this.discountType, value: this.discountValue };
+});
+
+const Coupon = mongoose.models.Coupon || mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// A coupon used on a verified charge
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  // A payment redeems a coupon once, however often it is verified
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  // Kobo taken off the charge
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ payment: 1, coupon: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+
+const CouponRedemption = mongoose.models.CouponRedemption || mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+export const DUPLICATE_SIGNALS = ['email', 'phone', 'name', 'ip', 'device'];
+
+// One suspected duplicate pair: `application` is the later submission,
+// `duplicateOf` the earlier one it resembles
+const duplicateFlagSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  signals: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: DUPLICATE_SIGNALS,
+      required: true
+    },
+    weight: Number,
+    detail: String
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'merged', 'dismissed'],
+    default: 'open'
+  },
+
+  // Set when an admin merges or dismisses the flag
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  // The application that was kept when the pair was merged
+  keptApplication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+duplicateFlagSchema.index({ application: 1, duplicateOf: 1 }, { unique: true });
+duplicateFlagSchema.index({ duplicateOf: 1 });
+duplicateFlagSchema.index({ status: 1, score: -1 });
+
+const DuplicateFlag = mongoose.models.DuplicateFlag || mongoose.model('DuplicateFlag', duplicateFlagSchema);
+
+export default DuplicateFlag;
@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+
+// Application fields rules can test. `order` lists the values that can be
+// compared with lessThan/atLeast etc., lowest first; values outside it
+// ('flexible', 'other', ...) never satisfy an ordered comparison.
+export const ELIGIBILITY_FIELDS = {
+  hasLaptop: {
+    values: [true, false]
+  },
+  availableHours: {
+    values: ['5-10', '10-15', '15-20', '20-25', '25+', 'flexible'],
+    order: ['5-10', '10-15', '15-20', '20-25', '25+']
+  },
+  education: {
+    values: ['high-school', 'associate', 'bachelor', 'master', 'phd', 'other'],
+    order: ['high-school', 'associate', 'bachelor', 'master', 'phd']
+  },
+  experience: {
+    values: ['entry', 'mid', 'senior', 'career-change'],
+    order: ['entry', 'mid', 'senior']
+  },
+  country: {
+    values: ['nigeria', 'ghana', 'south-africa', 'kenya', 'uganda', 'rwanda', 'tanzania', 'ethiopia', 'cameroon', 'ivory-coast', 'senegal', 'morocco', 'egypt', 'usa', 'uk', 'canada', 'germany', 'france', 'other']
+  }
+};
+
+export const LIST_OPERATORS = ['in', 'notIn'];
+export const ORDERED_OPERATORS = ['lessThan', 'atMost', 'greaterThan', 'atLeast'];
+export const CONDITION_OPERATORS = ['equals', 'notEquals', ...LIST_OPERATORS, ...ORDERED_OPERATORS];
+
+// Most severe first: a matching reject rule wins over flag, flag over shortlist
+export const RULE_OUTCOMES = ['reject', 'flag', 'shortlist'];
+
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: [true, 'Condition field is required'],
+    enum: Object.keys(ELIGIBILITY_FIELDS)
+  },
+  operator: {
+    type: String,
+    required: [true, 'Condition operator is required'],
+    enum: CONDITION_OPERATORS
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Condition value is required']
+  }
+}, { _id: false });
+
+// Check a condition's value makes sense for its field and operator
+const conditionProblem = ({ field, operator, value }) => {
+  const definition = ELIGIBILITY_FIELDS[field];
+  if (!definition) return null;
+
+  if (ORDERED_OPERATORS.includes(operator)) {
+    if (!definition.order) return `'${field}' cannot be compared with ${operator}`;
+    if (!definition.order.includes(value)) return `'${value}' is not a comparable ${field} value`;
+    return null;
+  }
+
+  const values = LIST_OPERATORS.includes(operator) ? value : [value];
+  if (!Array.isArray(values) || values.length === 0) return `${operator} needs a non-empty list of values`;
+
+  const unknown = values.filter(item => !definition.values.includes(item));
+  return unknown.length ? `Invalid ${field} value(s): ${unknown.join(', ')}` : null;
+};
+
+const eligibilityRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Scope; a rule applies to every track, program or cohort when these are not set
+  track: {
+    type: String,
+    enum: [
+      'project-management',
+      'frontend-development',
+      'backend-development',
+      'quality-assurance',
+      'devops',
+      null
+    ],
+    default: null
+  },
+  program: {
+    type: String,
+    enum: ['launchpad', 'professional', null],
+    default: null
+  },
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cohort',
+    default: null
+  },
+
+  conditions: {
+    type: [conditionSchema],
+    validate: [
+      {
+        validator: (conditions) => conditions.length > 0,
+        message: 'A rule needs at least one condition'
+      },
+      {
+        validator: (conditions) => conditions.every(condition => !conditionProblem(condition)),
+        message: (props) => props.value.map(conditionProblem).find(Boolean)
+      }
+    ]
+  },
+  // Whether every condition or any one of them has to hold
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  outcome: {
+    type: String,
+    required: [true, 'Rule outcome is required'],
+    enum: RULE_OUTCOMES
+  },
+  // Lower runs first; only affects the order matched rules are recorded in
+  priority: {
+    type: Number,
+    default: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+eligibilityRuleSchema.index({ isActive: 1, track: 1, program: 1 });
+
+// Active rules in scope for an application, in priority order
+eligibilityRuleSchema.statics.findApplicable = function({ track, program, cohort }) {
+  return this.find({
+    isActive: true,
+    track: { $in: [track, null] },
+    program: { $in: [program, null] },
+    cohort: { $in: [cohort || null, null] }
+  }).sort({ priority: 1, createdAt: 1 });
+};
+
+const EligibilityRule = mongoose.models.EligibilityRule || mongoose.model('EligibilityRule', eligibilityRuleSchema);
+
+export default EligibilityRule;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const exportJobSchema = new mongoose.Schema({
+  dataset: {
+    type: String,
+    enum: ['applications', 'users', 'payments', 'discrepancies'],
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  // List filters and columns exactly as requested, re-applied when the job runs
+  filters: {
+    type: Object,
+    default: {}
+  },
+  columns: [String],
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  rowCount: Number,
+  fileName: String,
+  storageDriver: String,
+  storageKey: {
+    type: String,
+    select: false
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  // Finished files are deleted after this
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, createdAt: 1 });
+
+const ExportJob = mongoose.models.ExportJob || mongoose.model('ExportJob', exportJobSchema);
+
+export default ExportJob;
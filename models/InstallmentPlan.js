@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Paystack plan intervals an installment plan can be spread over
+export const INSTALLMENT_INTERVALS = ['weekly', 'monthly', 'quarterly'];
+
+// A way of paying the program fee in equal parts. The first part is due at
+// checkout and enrolls the applicant; the rest fall due one interval apart.
+const installmentPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Scope; empty means every track or program
+  tracks: [{
+    type: String,
+    enum: ['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops']
+  }],
+  programs: [{
+    type: String,
+    enum: ['launchpad', 'professional']
+  }],
+
+  installmentCount: {
+    type: Number,
+    required: [true, 'Number of installments is required'],
+    min: [2, 'A plan needs at least 2 installments'],
+    max: [12, 'A plan can have at most 12 installments']
+  },
+  interval: {
+    type: String,
+    enum: INSTALLMENT_INTERVALS,
+    default: 'monthly'
+  },
+  // Days an installment can be overdue before access to the program is suspended
+  gracePeriodDays: {
+    type: Number,
+    default: 7,
+    min: 0
+  },
+  // Charge later installments to the card used for the first one through a Paystack subscription
+  autoDebit: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Active plans that can be used for a track and program
+installmentPlanSchema.statics.findAvailableFor = function(track, program) {
+  return this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ tracks: track }, { tracks: { $size: 0 } }] },
+      { $or: [{ programs: program }, { programs: { $size: 0 } }] }
+    ]
+  }).sort({ installmentCount: 1 });
+};
+
+const InstallmentPlan = mongoose.models.InstallmentPlan || mongoose.model('InstallmentPlan', installmentPlanSchema);
+
+export default InstallmentPlan;
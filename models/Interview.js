@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+const interviewSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InterviewSlot',
+    required: true
+  },
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  location: String,
+  meetingUrl: String,
+  status: {
+    type: String,
+    enum: ['scheduled', 'completed', 'cancelled', 'no-show'],
+    default: 'scheduled'
+  },
+
+  // Rescheduling and cancellation
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: String,
+  cancelledAt: Date,
+
+  // iCalendar SEQUENCE, bumped on every change so calendar clients update the event
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+
+  outcome: {
+    recommendation: {
+      type: String,
+      enum: ['accept', 'reject', 'waitlist']
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+interviewSchema.index({ application: 1, status: 1 });
+// An application can only have one upcoming interview at a time
+interviewSchema.index(
+  { application: 1 },
+  { unique: true, partialFilterExpression: { status: 'scheduled' } }
+);
+interviewSchema.index({ interviewer: 1, scheduledAt: 1 });
+
+const Interview = mongoose.models.Interview || mongoose.model('Interview', interviewSchema);
+
+export default Interview;
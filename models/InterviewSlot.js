@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+const interviewSlotSchema = new mongoose.Schema({
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startsAt || value > this.startsAt;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  // Tracks this slot is offered to; empty means any track
+  tracks: [{
+    type: String,
+    enum: [
+      'project-management',
+      'frontend-development',
+      'backend-development',
+      'quality-assurance',
+      'devops'
+    ]
+  }],
+  location: {
+    type: String,
+    trim: true
+  },
+  meetingUrl: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'booked', 'cancelled'],
+    default: 'open'
+  },
+  interview: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Interview'
+  }
+}, {
+  timestamps: true
+});
+
+interviewSlotSchema.index({ interviewer: 1, startsAt: 1 });
+interviewSlotSchema.index({ status: 1, startsAt: 1 });
+
+// Atomically book an open slot. Resolves to null if it was taken or is too soon.
+interviewSlotSchema.statics.claim = function(slotId, { track, notBefore }) {
+  return this.findOneAndUpdate(
+    {
+      _id: slotId,
+      status: 'open',
+      startsAt: { $gte: notBefore },
+      $or: [
+        { tracks: { $size: 0 } },
+        { tracks: track }
+      ]
+    },
+    { status: 'booked' },
+    { new: true }
+  );
+};
+
+// Put a booked slot back on offer
+interviewSlotSchema.statics.release = function(slotId, { session } = {}) {
+  return this.findOneAndUpdate(
+    { _id: slotId, status: 'booked' },
+    { status: 'open', $unset: { interview: 1 } },
+    { new: true, session }
+  );
+};
+
+const InterviewSlot = mongoose.models.InterviewSlot || mongoose.model('InterviewSlot', interviewSlotSchema);
+
+export default InterviewSlot;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+export const DISCREPANCY_TYPES = [
+  // Paystack charged the customer but the payment was not marked successful
+  'missed-success',
+  // Paystack charged a different amount or currency than the payment was for
+  'amount-mismatch',
+  // The payment was marked successful but Paystack reports the charge failed or abandoned
+  'success-not-at-paystack',
+  // Paystack failed the charge while the payment was still pending
+  'missed-failure',
+  // Paystack reversed a charge behind a successful payment
+  'reversed',
+  // A successful Paystack charge with no payment behind it
+  'unknown-reference',
+  // A successful payment Paystack did not list for the window
+  'missing-at-paystack',
+  // A transaction on a reference the payment has since replaced (Payment.previousReferences)
+  'previous-reference'
+];
+
+// A difference between Paystack and our payments found by a reconciliation run, for finance to review
+const paymentDiscrepancySchema = new mongoose.Schema({
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRun',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: DISCREPANCY_TYPES,
+    required: true
+  },
+  reference: {
+    type: String,
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  localStatus: String,
+  paystackStatus: String,
+  // Kobo, like Payment.amount
+  localAmount: Number,
+  paystackAmount: Number,
+  currency: String,
+  // What the run did about it: 'marked-success', 'marked-failed' or 'none'
+  action: {
+    type: String,
+    enum: ['marked-success', 'marked-failed', 'none'],
+    default: 'none'
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+
+  // Set when finance signs the discrepancy off
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolution: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+paymentDiscrepancySchema.index({ run: 1, type: 1 });
+paymentDiscrepancySchema.index({ status: 1, createdAt: -1 });
+paymentDiscrepancySchema.index({ reference: 1, type: 1, status: 1 });
+
+const PaymentDiscrepancy = mongoose.models.PaymentDiscrepancy || mongoose.model('PaymentDiscrepancy', paymentDiscrepancySchema);
+
+export default PaymentDiscrepancy;
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+const priceSchema = new mongoose.Schema({
+  track: {
+    type: String,
+    required: [true, 'Track is required'],
+    enum: [
+      'project-management',
+      'frontend-development',
+      'backend-development',
+      'quality-assurance',
+      'devops'
+    ]
+  },
+  program: {
+    type: String,
+    required: [true, 'Program is required'],
+    enum: ['launchpad', 'professional']
+  },
+  // Stored in the lowest currency unit (kobo for NGN), same as Payment.amount
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be greater than zero']
+  },
+  currency: {
+    type: String,
+    default: 'NGN',
+    uppercase: true,
+    trim: true
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  // Open-ended when not set
+  effectiveTo: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.effectiveFrom || value > this.effectiveFrom;
+      },
+      message: 'effectiveTo must be after effectiveFrom'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceSchema.index({ track: 1, program: 1, effectiveFrom: -1 });
+
+// Resolve the price in force for a track/program at a given date.
+// When effective windows overlap, the most recently started one wins.
+priceSchema.statics.findCurrent = function(track, program, at = new Date()) {
+  return this.findOne({
+    track,
+    program,
+    isActive: true,
+    effectiveFrom: { $lte: at },
+    $or: [
+      { effectiveTo: null },
+      { effectiveTo: { $gt: at } }
+    ]
+  }).sort({ effectiveFrom: -1 });
+};
+
+const Price = mongoose.models.Price || mongoose.model('Price', priceSchema);
+
+export default Price;
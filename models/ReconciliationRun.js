@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// One pass comparing Paystack's transactions with our payments over a time window
+const reconciliationRunSchema = new mongoose.Schema({
+  from: {
+    type: Date,
+    required: true
+  },
+  to: {
+    type: Date,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  summary: {
+    // Paystack transactions looked at
+    checked: { type: Number, default: 0 },
+    // Transactions whose payment already agreed with Paystack
+    matched: { type: Number, default: 0 },
+    // Payments whose status was corrected
+    fixed: { type: Number, default: 0 },
+    // Discrepancies recorded, fixed or not
+    discrepancies: { type: Number, default: 0 }
+  },
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+reconciliationRunSchema.index({ startedAt: -1 });
+
+const ReconciliationRun = mongoose.models.ReconciliationRun || mongoose.model('ReconciliationRun', reconciliationRunSchema);
+
+export default ReconciliationRun;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+export const REFERRER_TYPES = ['ambassador', 'alumni'];
+
+// Discount given to an applicant who uses the code, applied at checkout
+const applicantDiscountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent (1-100) for percentage discounts, kobo for fixed ones
+  value: {
+    type: Number,
+    required: true,
+    min: [1, 'Discount must be greater than zero'],
+    validate: {
+      validator: function(value) {
+        return this.type !== 'percentage' || value <= 100;
+      },
+      message: 'A percentage discount cannot exceed 100'
+    }
+  }
+}, { _id: false });
+
+const referralCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Referral code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9-]{4,32}$/, 'Referral code must be 4-32 letters, numbers or hyphens']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Referral code owner is required']
+  },
+  ownerType: {
+    type: String,
+    enum: REFERRER_TYPES,
+    required: [true, 'Referrer type is required']
+  },
+
+  // Optional rewards; a code without them only tracks attribution
+  applicantDiscount: {
+    type: applicantDiscountSchema,
+    default: null
+  },
+  // Kobo credited to the owner for each referred applicant who pays
+  referrerCredit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+referralCodeSchema.index({ owner: 1 });
+
+const ReferralCode = mongoose.models.ReferralCode || mongoose.model('ReferralCode', referralCodeSchema);
+
+export default ReferralCode;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Credit earned by a referrer when an applicant they referred pays
+const referralCreditSchema = new mongoose.Schema({
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  referralCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReferralCode',
+    required: true
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  // One credit per verified payment, however often it is verified
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  status: {
+    type: String,
+    enum: ['earned', 'paid-out', 'void'],
+    default: 'earned'
+  }
+}, {
+  timestamps: true
+});
+
+referralCreditSchema.index({ referrer: 1, status: 1 });
+referralCreditSchema.index({ referralCode: 1 });
+
+const ReferralCredit = mongoose.models.ReferralCredit || mongoose.model('ReferralCredit', referralCreditSchema);
+
+export default ReferralCredit;
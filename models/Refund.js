@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Statuses Paystack reports for a refund, plus 'failed' for one it would not accept
+export const REFUND_STATUSES = ['pending', 'processing', 'processed', 'failed', 'needs-attention'];
+
+// A refund of all or part of a successful payment, initiated by an admin
+const refundSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Kobo, like Payment.amount
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Refund amount must be greater than zero']
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason for the refund is required'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: REFUND_STATUSES,
+    default: 'pending'
+  },
+
+  // Policy in force when the refund was requested (services/refundService.js)
+  policy: {
+    rule: String,
+    percentage: Number,
+    // Most the policy allowed on this payment, in kobo
+    maxAmount: Number,
+    overridden: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Whether the application was withdrawn along with the refund
+  reversedEnrollment: {
+    type: Boolean,
+    default: false
+  },
+
+  paystackRefundId: String,
+  failureReason: String,
+  processedAt: Date,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ payment: 1, status: 1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ paystackRefundId: 1 }, { sparse: true });
+
+const Refund = mongoose.models.Refund || mongoose.model('Refund', refundSchema);
+
+export default Refund;
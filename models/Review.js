@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const criterionScoreSchema = new mongoose.Schema({
+  criterion: {
+    type: String,
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const reviewSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Rubric scoring by an assigned reviewer, or the outcome of an interview
+  source: {
+    type: String,
+    enum: ['rubric', 'interview'],
+    default: 'rubric'
+  },
+  rubric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric',
+    required: function() {
+      return this.source === 'rubric';
+    }
+  },
+  interview: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Interview'
+  },
+  scores: [criterionScoreSchema],
+  // Weighted score normalised to 0-100 so reviews against different scales compare
+  totalScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  recommendation: {
+    type: String,
+    required: [true, 'Recommendation is required'],
+    enum: ['accept', 'reject', 'waitlist', 'interview']
+  },
+  comments: {
+    type: String,
+    trim: true
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One review per reviewer and source per application; resubmitting replaces it
+reviewSchema.index({ application: 1, reviewer: 1, source: 1 }, { unique: true });
+reviewSchema.index({ reviewer: 1, submittedAt: -1 });
+
+const Review = mongoose.models.Review || mongoose.model('Review', reviewSchema);
+
+export default Review;
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+const criterionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Criterion key is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Criterion key can only contain letters, numbers and hyphens']
+  },
+  label: {
+    type: String,
+    required: [true, 'Criterion label is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  weight: {
+    type: Number,
+    default: 1,
+    min: [0.01, 'Criterion weight must be greater than zero']
+  }
+}, { _id: false });
+
+const rubricSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rubric name is required'],
+    trim: true
+  },
+  track: {
+    type: String,
+    required: [true, 'Track is required'],
+    enum: [
+      'project-management',
+      'frontend-development',
+      'backend-development',
+      'quality-assurance',
+      'devops'
+    ]
+  },
+  // Applies to every program of the track when not set
+  program: {
+    type: String,
+    enum: ['launchpad', 'professional', null],
+    default: null
+  },
+  criteria: {
+    type: [criterionSchema],
+    validate: [
+      {
+        validator: (criteria) => criteria.length > 0,
+        message: 'A rubric needs at least one criterion'
+      },
+      {
+        validator: (criteria) => new Set(criteria.map(c => c.key)).size === criteria.length,
+        message: 'Criterion keys must be unique'
+      }
+    ]
+  },
+  scale: {
+    min: {
+      type: Number,
+      default: 1
+    },
+    max: {
+      type: Number,
+      default: 5,
+      validate: {
+        validator: function(value) {
+          return value > (this.scale?.min ?? 1);
+        },
+        message: 'Scale maximum must be greater than the minimum'
+      }
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+rubricSchema.index({ track: 1, program: 1, isActive: 1 });
+
+// Find the rubric reviewers should use: a program-specific rubric wins over a track-wide one
+rubricSchema.statics.findActiveFor = async function(track, program) {
+  const rubrics = await this.find({
+    track,
+    program: { $in: [program, null] },
+    isActive: true
+  }).sort({ updatedAt: -1 });
+
+  return rubrics.find(rubric => rubric.program === program) || rubrics[0] || null;
+};
+
+const Rubric = mongoose.models.Rubric || mongoose.model('Rubric', rubricSchema);
+
+export default Rubric;
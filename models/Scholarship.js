@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// A sponsored scholarship program with a funding pool that awards draw from
+const scholarshipSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Scholarship name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  sponsor: {
+    type: String,
+    trim: true
+  },
+
+  // Scope; empty means every track or program
+  tracks: [{
+    type: String,
+    enum: ['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops']
+  }],
+  programs: [{
+    type: String,
+    enum: ['launchpad', 'professional']
+  }],
+
+  // Kobo available to award in total, and how much of it awards have taken
+  fundingPool: {
+    type: Number,
+    required: [true, 'Funding pool is required'],
+    min: [0, 'Funding pool cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return value >= (this.committed || 0);
+      },
+      message: 'Funding pool cannot be less than the amount already awarded'
+    }
+  },
+  committed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Window in which applicants can apply
+  opensAt: Date,
+  closesAt: Date,
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+scholarshipSchema.virtual('remaining').get(function() {
+  return this.fundingPool - this.committed;
+});
+
+// Take an award out of the pool atomically. Resolves to null when the pool cannot cover it.
+scholarshipSchema.statics.commitFunds = function(scholarshipId, amount, { session } = {}) {
+  return this.findOneAndUpdate(
+    {
+      _id: scholarshipId,
+      $expr: { $lte: [{ $add: ['$committed', amount] }, '$fundingPool'] }
+    },
+    { $inc: { committed: amount } },
+    { new: true, session }
+  );
+};
+
+// Return a revoked award to the pool
+scholarshipSchema.statics.releaseFunds = function(scholarshipId, amount, { session } = {}) {
+  return this.findOneAndUpdate(
+    { _id: scholarshipId, committed: { $gte: amount } },
+    { $inc: { committed: -amount } },
+    { new: true, session }
+  );
+};
+
+const Scholarship = mongoose.models.Scholarship || mongoose.model('Scholarship', scholarshipSchema);
+
+export default Scholarship;
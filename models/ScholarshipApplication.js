@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// An applicant's request for a scholarship, tied to their program application
+const scholarshipApplicationSchema = new mongoose.Schema({
+  scholarship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scholarship',
+    required: true
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  statement: {
+    type: String,
+    required: [true, 'Please tell us why you need this scholarship'],
+    trim: true,
+    minlength: [50, 'Statement must be at least 50 characters'],
+    maxlength: [2000, 'Statement must be at most 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'awarded', 'declined', 'revoked'],
+    default: 'pending'
+  },
+
+  // Set when an admin awards the scholarship
+  award: {
+    // Kobo of the fee the scholarship covers
+    amount: Number,
+    coverage: {
+      type: String,
+      enum: ['full', 'partial']
+    }
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  decisionNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+scholarshipApplicationSchema.index({ scholarship: 1, application: 1 }, { unique: true });
+scholarshipApplicationSchema.index({ scholarship: 1, status: 1, createdAt: 1 });
+// An application can hold at most one award at a time
+scholarshipApplicationSchema.index(
+  { application: 1 },
+  { unique: true, partialFilterExpression: { status: 'awarded' } }
+);
+
+const ScholarshipApplication = mongoose.models.ScholarshipApplication ||
+  mongoose.model('ScholarshipApplication', scholarshipApplicationSchema);
+
+export default ScholarshipApplication;
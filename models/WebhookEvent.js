@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENT_STATUSES = [
+  // Waiting for its first attempt or a retry
+  'pending',
+  'processing',
+  'processed',
+  // Out of attempts; can be replayed by an admin
+  'failed',
+  // Nothing handles this event type
+  'ignored'
+];
+
+// How a stored delivery passed the signature check (middleware/paystackWebhook.js);
+// deliveries that fail it are never stored
+export const SIGNATURE_CHECKS = [
+  'verified',
+  // Unsigned, let through because PAYSTACK_WEBHOOK_DEV_MODE is on
+  'dev-mode'
+];
+
+// A webhook delivery from Paystack, kept as received
+const webhookEventSchema = new mongoose.Schema({
+  // Paystack sends no event id, so deliveries are told apart by event type,
+  // the id of the object they are about and that object's status
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: String,
+  // Transaction reference the event is about, for looking events up
+  reference: String,
+  rawBody: {
+    type: String,
+    default: '',
+    select: false
+  },
+  signatureCheck: {
+    type: String,
+    enum: SIGNATURE_CHECKS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: WEBHOOK_EVENT_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // What the handler did, or why it failed
+  result: String,
+  error: String,
+  processedAt: Date,
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  replayedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+webhookEventSchema.index({ reference: 1 });
+
+const WebhookEvent = mongoose.models.WebhookEvent || mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
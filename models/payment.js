@@ -23,6 +23,42 @@ const paymentSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Catalog price before discounts; amount is what is actually charged
+  originalAmount: {
+    type: Number
+  },
+  discounts: [{
+    _id: false,
+    source: {
+      type: String,
+      enum: ['referral', 'coupon', 'scholarship']
+    },
+    code: String,
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    scholarship: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Scholarship'
+    },
+    amount: Number
+  }],
+  // Referral behind this checkout and the credit its owner earns once it is paid
+  referral: {
+    code: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReferralCode'
+    },
+    referrer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    referrerCredit: {
+      type: Number,
+      default: 0
+    }
+  },
   currency: {
     type: String,
     default: 'NGN'
@@ -32,11 +68,37 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Earlier Paystack references for this payment; a checkout that is initialized
+  // again gets a new one, but the payer may still complete the old one
+  previousReferences: [String],
   status: {
     type: String,
-    enum: ['pending', 'success', 'failed', 'cancelled', 'expired'],
+    // scheduled: a later installment that has not been checked out yet
+    // refunded: the whole amount went back to the payer; partial refunds stay 'success'
+    enum: ['pending', 'scheduled', 'success', 'failed', 'cancelled', 'expired', 'refunded'],
     default: 'pending'
   },
+  // Kobo returned by processed refunds (models/Refund.js)
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Kobo reserved by refunds processed or still in flight, so concurrent requests cannot overspend
+  refundCommitted: {
+    type: Number,
+    default: 0
+  },
+  // Set on each payment of an installment schedule; discounts and referral sit on the first
+  installment: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InstallmentPlan'
+    },
+    number: Number,
+    of: Number,
+    dueAt: Date
+  },
+  // 'waiver' for zero-amount records of fully waived fees
   paymentMethod: {
     type: String,
     default: 'paystack'
@@ -55,7 +117,9 @@ const paymentSchema = new mongoose.Schema({
   expiresAt: {
     type: Date,
     default: () => new Date(+new Date() + 24*60*60*1000) // 24 hours from now
-  }
+  },
+  // Hours-before-expiry reminders already sent (services/paymentExpiryService.js)
+  remindersSent: [Number]
 }, {
   timestamps: true
 });
@@ -64,6 +128,20 @@ const paymentSchema = new mongoose.Schema({
 paymentSchema.index({ reference: 1 });
 paymentSchema.index({ user: 1, status: 1 });
 paymentSchema.index({ createdAt: 1 });
+paymentSchema.index({ application: 1, 'installment.number': 1 });
+paymentSchema.index({ status: 1, expiresAt: 1 });
+paymentSchema.index({ previousReferences: 1 });
+
+// Find the payment a Paystack reference belongs to, current or earlier
+paymentSchema.statics.findByReference = function (reference) {
+  return this.findOne({ $or: [{ reference }, { previousReferences: reference }] });
+};
+
+// Switch to a new Paystack reference, keeping the old one so a charge on it still matches
+paymentSchema.methods.replaceReference = function (reference) {
+  if (this.reference && this.reference !== reference) this.previousReferences.push(this.reference);
+  this.reference = reference;
+};
 // Remove or fix the TTL index - it was set to expire immediately (0 seconds)
 // paymentSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
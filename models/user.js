@@ -63,6 +63,28 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['read', 'write', 'delete', 'manage_users']
   }],
+
+  // Reviewer assignment (reviewer/admissions roles)
+  reviewerProfile: {
+    // Tracks the reviewer specialises in; empty means any track
+    tracks: [{
+      type: String,
+      enum: [
+        'project-management',
+        'frontend-development',
+        'backend-development',
+        'quality-assurance',
+        'devops'
+      ]
+    }],
+    // Maximum number of open (under review / interview) applications at once
+    capacity: {
+      type: Number,
+      default: 25,
+      min: 0
+    },
+    lastAssignedAt: Date
+  },
   
   // Timestamps
   lastLogin: Date,
@@ -160,6 +182,17 @@ userSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+// Invite for an account created on someone's behalf: they choose a password
+// through the reset flow, with a longer window than a normal reset
+userSchema.methods.createInviteToken = function() {
+  const inviteToken = this.createPasswordResetToken();
+  const days = parseInt(process.env.INVITE_EXPIRY_DAYS || '7', 10);
+
+  this.resetPasswordExpires = Date.now() + days * 24 * 60 * 60 * 1000;
+
+  return inviteToken;
+};
+
 // Method to create email verification token
 userSchema.methods.createEmailVerificationToken = function() {
   const verificationToken = crypto.randomBytes(32).toString('hex');
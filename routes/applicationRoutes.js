@@ -5,25 +5,53 @@ import {
   getApplication,
   getAllApplications,
   updateApplicationStatus,
-  getApplicationStats
+  bulkUpdateApplicationStatus,
+  getApplicationStats,
+  getMyApplications,
+  updateMyApplication,
+  withdrawMyApplication
 } from '../controllers/applicationController.js';
+import {
+  createDraft,
+  getDraft,
+  saveDraftStep,
+  discardDraft,
+  loadDraftForSubmission
+} from '../controllers/draftController.js';
+import {
+  uploadApplicationDocument,
+  getApplicationDocuments,
+  downloadApplicationDocument,
+  deleteApplicationDocument
+} from '../controllers/documentController.js';
+import {
+  getApplicationRubric,
+  submitReview,
+  getApplicationReviews
+} from '../controllers/reviewController.js';
+import { exportApplications } from '../controllers/exportController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { 
   validatePhoneNumber, 
   checkDuplicateEmail,
   handleValidationErrors,
+  exportQueryValidation,
   sanitizeInput 
 } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { uploadDocument } from '../middleware/upload.js';
 import { rateLimitByUser } from '../middleware/auth.js';
+import { APPLICATION_STATUSES } from '../services/applicationWorkflow.js';
+import { RECOMMENDATIONS } from '../services/reviewService.js';
 
 const router = express.Router();
 
 // Apply sanitization to all routes
 router.use(sanitizeInput);
 
-// Validation rules
-const applicationValidation = [
+// Validation rules, grouped by form step so drafts can validate one step at a time
+// Step 1: personal details
+const personalStepValidation = [
   body('firstName')
     .notEmpty().withMessage('First name is required')
     .trim()
@@ -57,8 +85,11 @@ const applicationValidation = [
   
   body('state')
     .notEmpty().withMessage('State/Region is required')
-    .trim(),
-  
+    .trim()
+];
+
+// Step 2: program choice
+const programStepValidation = [
   body('track')
     .notEmpty().withMessage('Track is required')
     .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
@@ -69,14 +100,26 @@ const applicationValidation = [
     .isIn(['launchpad', 'professional'])
     .withMessage('Please select a valid program'),
   
+  body('preferredStartDate')
+    .optional()
+    .isIn(['immediately', 'within-2-weeks', 'within-month', 'next-cohort', 'flexible']),
+  
+  body('availableHours')
+    .optional()
+    .isIn(['5-10', '10-15', '15-20', '20-25', '25+', 'flexible']),
+  
+  body('hasLaptop')
+    .optional()
+    .isBoolean()
+];
+
+// Step 3: background and motivation
+const backgroundStepValidation = [
   body('motivation')
     .notEmpty().withMessage('Motivation is required')
     .trim()
     .isLength({ min: 50, max: 1000 }).withMessage('Motivation must be between 50 and 1000 characters'),
   
-  body('agreeToTerms')
-    .equals('true').withMessage('You must agree to the terms and conditions'),
-  
   body('education')
     .optional()
     .isIn(['high-school', 'associate', 'bachelor', 'master', 'phd', 'other']),
@@ -89,29 +132,92 @@ const applicationValidation = [
     .optional()
     .isIn(['student', 'recent-graduate', 'unemployed', 'entrepreneur', 'tech-developer', 'tech-other', 'finance', 'healthcare', 'education', 'marketing', 'sales', 'operations', 'hr', 'retail', 'consulting', 'government', 'ngo', 'media', 'manufacturing', 'oil-gas', 'agriculture', 'other']),
   
-  body('preferredStartDate')
-    .optional()
-    .isIn(['immediately', 'within-2-weeks', 'within-month', 'next-cohort', 'flexible']),
-  
-  body('availableHours')
-    .optional()
-    .isIn(['5-10', '10-15', '15-20', '20-25', '25+', 'flexible']),
-  
   body('referralSource')
     .optional()
     .isIn(['google', 'facebook', 'instagram', 'twitter', 'linkedin', 'youtube', 'whatsapp', 'friend', 'colleague', 'tech-community', 'university', 'job-board', 'podcast', 'blog', 'event', 'advertisement', 'other']),
   
-  body('hasLaptop')
+  body('referralCode')
     .optional()
-    .isBoolean(),
+    .trim()
+    .isLength({ max: 32 }).withMessage('Referral code is too long')
+];
+
+// Final step: consent (only checked on submission)
+const consentValidation = [
+  body('agreeToTerms')
+    .equals('true').withMessage('You must agree to the terms and conditions'),
   
   body('wantsUpdates')
     .optional()
-    .isBoolean(),
-  
+    .isBoolean()
+];
+
+export const applicationValidation = [
+  ...personalStepValidation,
+  ...programStepValidation,
+  ...backgroundStepValidation,
+  ...consentValidation,
+  handleValidationErrors
+];
+
+// Fields an applicant can edit on their own pending application
+const ownerUpdateValidation = [
+  body('phone').optional().trim().custom(validatePhoneNumber),
+  body('countryCode')
+    .optional()
+    .isIn(['+234', '+233', '+27', '+254', '+256', '+250', '+255', '+251', '+237', '+225', '+221', '+212', '+20', '+1', '+44', '+49', '+33'])
+    .withMessage('Invalid country code'),
+  body('state').optional().trim().notEmpty().withMessage('State/Region cannot be empty'),
+  body('motivation')
+    .optional()
+    .trim()
+    .isLength({ min: 50, max: 1000 }).withMessage('Motivation must be between 50 and 1000 characters'),
+  body('goals').optional().trim(),
+  body('education')
+    .optional()
+    .isIn(['high-school', 'associate', 'bachelor', 'master', 'phd', 'other']),
+  body('experience')
+    .optional()
+    .isIn(['entry', 'mid', 'senior', 'career-change']),
+  body('currentRole')
+    .optional()
+    .isIn(['student', 'recent-graduate', 'unemployed', 'entrepreneur', 'tech-developer', 'tech-other', 'finance', 'healthcare', 'education', 'marketing', 'sales', 'operations', 'hr', 'retail', 'consulting', 'government', 'ngo', 'media', 'manufacturing', 'oil-gas', 'agriculture', 'other']),
+  body('preferredStartDate')
+    .optional()
+    .isIn(['immediately', 'within-2-weeks', 'within-month', 'next-cohort', 'flexible']),
+  body('availableHours')
+    .optional()
+    .isIn(['5-10', '10-15', '15-20', '20-25', '25+', 'flexible']),
+  body('hasLaptop').optional().isBoolean(),
+  body('wantsUpdates').optional().isBoolean(),
   handleValidationErrors
 ];
 
+const draftStepValidation = {
+  personal: personalStepValidation,
+  program: programStepValidation,
+  background: backgroundStepValidation
+};
+
+// Run only the rules of the draft step being saved
+const validateDraftStep = async (req, res, next) => {
+  const step = req.params.step || req.body.step;
+
+  // A draft can be started empty
+  if (!step) return next();
+
+  const rules = draftStepValidation[step];
+  if (!rules) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown application step. Valid steps: ${Object.keys(draftStepValidation).join(', ')}`
+    });
+  }
+
+  await Promise.all(rules.map(rule => rule.run(req)));
+  handleValidationErrors(req, res, next);
+};
+
 // Public routes
 router.post(
   '/submit',
@@ -119,6 +225,18 @@ router.post(
   asyncHandler(submitApplication)
 );
 
+// Drafts: save the form step by step and submit it when complete
+router.post('/drafts', asyncHandler(validateDraftStep), asyncHandler(createDraft));
+router.get('/drafts/:token', asyncHandler(getDraft));
+router.put('/drafts/:token/steps/:step', asyncHandler(validateDraftStep), asyncHandler(saveDraftStep));
+router.delete('/drafts/:token', asyncHandler(discardDraft));
+router.post(
+  '/drafts/:token/submit',
+  asyncHandler(loadDraftForSubmission),
+  applicationValidation,
+  asyncHandler(submitApplication)
+);
+
 // Protected routes (admin only)
 router.get(
   '/',
@@ -128,6 +246,14 @@ router.get(
   asyncHandler(getAllApplications)
 );
 
+router.get(
+  '/export',
+  authenticate,
+  authorize(['admin']),
+  exportQueryValidation,
+  asyncHandler(exportApplications)
+);
+
 router.get(
   '/stats',
   authenticate,
@@ -135,13 +261,72 @@ router.get(
   asyncHandler(getApplicationStats)
 );
 
+// Applicant routes (ownership is checked in the controller)
+router.get(
+  '/mine',
+  authenticate,
+  asyncHandler(getMyApplications)
+);
+
+// Admins can read any application, applicants only their own
 router.get(
   '/:id',
   authenticate,
-  authorize(['admin']),
   asyncHandler(getApplication)
 );
 
+router.patch(
+  '/:id',
+  authenticate,
+  ownerUpdateValidation,
+  asyncHandler(updateMyApplication)
+);
+
+router.post(
+  '/:id/withdraw',
+  authenticate,
+  [
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+    handleValidationErrors
+  ],
+  asyncHandler(withdrawMyApplication)
+);
+
+router.post(
+  '/bulk/status',
+  authenticate,
+  authorize(['admin']),
+  [
+    body('status')
+      .notEmpty().withMessage('Status is required')
+      .isIn(APPLICATION_STATUSES)
+      .withMessage('Invalid status'),
+    body('ids')
+      .optional()
+      .isArray({ min: 1 }).withMessage('ids must be a non-empty array'),
+    body('ids.*')
+      .isMongoId().withMessage('Invalid application id'),
+    body('filters')
+      .optional()
+      .isObject().withMessage('filters must be an object'),
+    body(['filters.status', 'filters.track', 'filters.program', 'filters.consensus', 'filters.eligibility', 'filters.search'])
+      .optional()
+      .isString().withMessage('Filter values must be strings'),
+    body(['filters.startDate', 'filters.endDate'])
+      .optional()
+      .isISO8601().withMessage('Dates must be valid'),
+    body(['filters.minScore', 'filters.maxScore'])
+      .optional()
+      .isFloat({ min: 0, max: 100 }).withMessage('Scores must be between 0 and 100'),
+    body('adminNotes').optional().trim(),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+    body('atomic').optional().isBoolean().withMessage('atomic must be a boolean').toBoolean(),
+    body('expectedCount').optional().isInt({ min: 0 }).withMessage('expectedCount must be a non-negative integer'),
+    handleValidationErrors
+  ],
+  asyncHandler(bulkUpdateApplicationStatus)
+);
+
 router.patch(
   '/:id/status',
   authenticate,
@@ -149,7 +334,7 @@ router.patch(
   [
     body('status')
       .notEmpty().withMessage('Status is required')
-      .isIn(['pending', 'reviewing', 'accepted', 'rejected'])
+      .isIn(APPLICATION_STATUSES)
       .withMessage('Invalid status'),
     body('adminNotes').optional().trim(),
     handleValidationErrors
@@ -157,4 +342,66 @@ router.patch(
   asyncHandler(updateApplicationStatus)
 );
 
+// Document routes (access is checked per application in the controller)
+router.post(
+  '/:id/documents',
+  authenticate,
+  uploadDocument,
+  asyncHandler(uploadApplicationDocument)
+);
+
+router.get(
+  '/:id/documents',
+  authenticate,
+  asyncHandler(getApplicationDocuments)
+);
+
+router.get(
+  '/:id/documents/:documentId/download',
+  authenticate,
+  asyncHandler(downloadApplicationDocument)
+);
+
+router.delete(
+  '/:id/documents/:documentId',
+  authenticate,
+  asyncHandler(deleteApplicationDocument)
+);
+
+// Reviewer routes
+router.get(
+  '/:id/rubric',
+  authenticate,
+  authorize(['reviewer', 'admissions', 'admin']),
+  asyncHandler(getApplicationRubric)
+);
+
+router.get(
+  '/:id/reviews',
+  authenticate,
+  authorize(['reviewer', 'admissions', 'admin']),
+  asyncHandler(getApplicationReviews)
+);
+
+router.put(
+  '/:id/reviews',
+  authenticate,
+  authorize(['reviewer', 'admissions']),
+  [
+    body('scores')
+      .isArray({ min: 1 }).withMessage('Scores are required'),
+    body('scores.*.criterion')
+      .notEmpty().withMessage('Criterion is required'),
+    body('scores.*.score')
+      .isNumeric().withMessage('Score must be a number'),
+    body('recommendation')
+      .notEmpty().withMessage('Recommendation is required')
+      .isIn(RECOMMENDATIONS)
+      .withMessage('Invalid recommendation'),
+    body('comments').optional().trim().isLength({ max: 2000 }).withMessage('Comments must be at most 2000 characters'),
+    handleValidationErrors
+  ],
+  asyncHandler(submitReview)
+);
+
 export default router;
\ No newline at end of file
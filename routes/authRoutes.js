@@ -19,7 +19,7 @@ import { asyncHandler } from '../middleware/errorHandler.js';
 const router = express.Router();
 
 // Validation rules
-const registerValidation = [
+export const registerValidation = [
   body('email')
     .isEmail().withMessage('Please enter a valid email')
     .normalizeEmail(),
@@ -0,0 +1,84 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getOpenCohorts,
+  getAllCohorts,
+  getCohort,
+  createCohort,
+  updateCohort,
+  deleteCohort,
+  getCohortWaitlist,
+  reorderCohortWaitlist,
+  promoteCohortWaitlist
+} from '../controllers/cohortController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Validation rules
+const createCohortValidation = [
+  body('name')
+    .notEmpty().withMessage('Cohort name is required')
+    .trim(),
+  body('track')
+    .notEmpty().withMessage('Track is required')
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Please select a valid track'),
+  body('program')
+    .notEmpty().withMessage('Program is required')
+    .isIn(['launchpad', 'professional'])
+    .withMessage('Please select a valid program'),
+  body('startDate')
+    .isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate')
+    .isISO8601().withMessage('End date must be a valid date'),
+  body('applicationOpensAt')
+    .isISO8601().withMessage('Application open date must be a valid date'),
+  body('applicationClosesAt')
+    .isISO8601().withMessage('Application close date must be a valid date'),
+  body('capacity')
+    .isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+  handleValidationErrors
+];
+
+const updateCohortValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Cohort name cannot be empty'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('applicationOpensAt').optional().isISO8601().withMessage('Application open date must be a valid date'),
+  body('applicationClosesAt').optional().isISO8601().withMessage('Application close date must be a valid date'),
+  body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  handleValidationErrors
+];
+
+// Public routes
+router.get('/open', asyncHandler(getOpenCohorts));
+
+// Admin only routes
+router.get('/', authenticate, authorize(['admin']), asyncHandler(getAllCohorts));
+router.post('/', authenticate, authorize(['admin']), createCohortValidation, asyncHandler(createCohort));
+router.get('/:id', authenticate, authorize(['admin']), asyncHandler(getCohort));
+router.put('/:id', authenticate, authorize(['admin']), updateCohortValidation, asyncHandler(updateCohort));
+router.delete('/:id', authenticate, authorize(['admin']), asyncHandler(deleteCohort));
+
+// Waitlist management (admin only)
+router.get('/:id/waitlist', authenticate, authorize(['admin']), asyncHandler(getCohortWaitlist));
+router.patch(
+  '/:id/waitlist/:applicationId',
+  authenticate,
+  authorize(['admin']),
+  [
+    body('position').isInt({ min: 1 }).withMessage('Position must be a positive integer').toInt(),
+    handleValidationErrors
+  ],
+  asyncHandler(reorderCohortWaitlist)
+);
+router.post('/:id/waitlist/promote', authenticate, authorize(['admin']), asyncHandler(promoteCohortWaitlist));
+
+export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  validateCoupon
+} from '../controllers/couponController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Validation rules
+const couponValidation = [
+  body('discountType')
+    .optional()
+    .isIn(['percentage', 'fixed']).withMessage('Discount type must be percentage or fixed'),
+  body('discountValue')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Discount value must be greater than zero'),
+  body('tracks').optional().isArray().withMessage('Tracks must be an array'),
+  body('tracks.*')
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Please select a valid track'),
+  body('programs').optional().isArray().withMessage('Programs must be an array'),
+  body('programs.*')
+    .isIn(['launchpad', 'professional'])
+    .withMessage('Please select a valid program'),
+  body(['startsAt', 'endsAt'])
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Dates must be valid'),
+  body('maxRedemptions')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Maximum redemptions must be at least 1'),
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+const createCouponValidation = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9-]{3,32}$/).withMessage('Coupon code must be 3-32 letters, numbers or hyphens'),
+  body('discountType').notEmpty().withMessage('Discount type is required'),
+  body('discountValue').notEmpty().withMessage('Discount value is required'),
+  ...couponValidation,
+  handleValidationErrors
+];
+
+const updateCouponValidation = [...couponValidation, handleValidationErrors];
+
+const validateCouponValidation = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Coupon code is required')
+    .isLength({ max: 32 }).withMessage('Coupon code is too long'),
+  body('applicationId').isMongoId().withMessage('A valid application is required'),
+  handleValidationErrors
+];
+
+// Public, like payment initialization
+router.post('/validate', validateCouponValidation, asyncHandler(validateCoupon));
+
+// Admin only routes
+router.get('/', authenticate, authorize(['admin']), asyncHandler(getCoupons));
+router.post('/', authenticate, authorize(['admin']), createCouponValidation, asyncHandler(createCoupon));
+router.get('/:id', authenticate, authorize(['admin']), asyncHandler(getCoupon));
+router.put('/:id', authenticate, authorize(['admin']), updateCouponValidation, asyncHandler(updateCoupon));
+router.delete('/:id', authenticate, authorize(['admin']), asyncHandler(deleteCoupon));
+
+export default router;
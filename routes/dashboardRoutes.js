@@ -2,11 +2,15 @@
 import express from 'express';
 const DashboardRoutes = express.Router();
 import dashboardController from '../controllers/dashboardController.js';
+import { exportPayments } from '../controllers/exportController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { exportQueryValidation } from '../middleware/validation.js';
 
 // User dashboard routes
 DashboardRoutes.get('/stats', authenticate, dashboardController.getUserStats);
 DashboardRoutes.get('/admin/stats', authenticate, authorize('admin'), dashboardController.getAdminStats);
 DashboardRoutes.get('/admin/analytics', authenticate, authorize('admin'), dashboardController.getAnalytics);
+DashboardRoutes.get('/admin/payments', authenticate, authorize('admin'), dashboardController.getAllPayments);
+DashboardRoutes.get('/admin/payments/export', authenticate, authorize('admin'), exportQueryValidation, exportPayments);
 
 export default DashboardRoutes;
\ No newline at end of file
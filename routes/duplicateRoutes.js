@@ -0,0 +1,49 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getDuplicateFlags,
+  getDuplicateFlag,
+  mergeDuplicateFlag,
+  dismissDuplicateFlag,
+  scanDuplicates
+} from '../controllers/duplicateController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Validation rules
+const queueValidation = [
+  query('status')
+    .optional()
+    .isIn(['open', 'merged', 'dismissed', 'all']).withMessage('Invalid flag status'),
+  query('minScore')
+    .optional()
+    .isInt({ min: 0, max: 100 }).withMessage('minScore must be between 0 and 100'),
+  query('application').optional().isMongoId().withMessage('Invalid application id'),
+  handleValidationErrors
+];
+
+const resolveValidation = [
+  body('keep').optional().isMongoId().withMessage('Invalid application id'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters'),
+  handleValidationErrors
+];
+
+const scanValidation = [
+  body('application').optional().isMongoId().withMessage('Invalid application id'),
+  body('since').optional().isISO8601().withMessage('since must be a valid date'),
+  handleValidationErrors
+];
+
+// Admin only routes
+router.use(authenticate, authorize(['admin']));
+
+router.get('/', queueValidation, asyncHandler(getDuplicateFlags));
+router.post('/scan', scanValidation, asyncHandler(scanDuplicates));
+router.get('/:id', asyncHandler(getDuplicateFlag));
+router.post('/:id/merge', resolveValidation, asyncHandler(mergeDuplicateFlag));
+router.post('/:id/dismiss', resolveValidation, asyncHandler(dismissDuplicateFlag));
+
+export default router;
@@ -0,0 +1,93 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getAllRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  previewEligibility
+} from '../controllers/eligibilityController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  ELIGIBILITY_FIELDS,
+  CONDITION_OPERATORS,
+  RULE_OUTCOMES
+} from '../models/EligibilityRule.js';
+
+const router = express.Router();
+
+// All eligibility rule management is admin only
+router.use(authenticate, authorize(['admin']));
+
+// Validation rules. Whether a value fits its field and operator is checked by the model.
+const ruleValidation = [
+  body('track')
+    .optional({ nullable: true })
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Please select a valid track'),
+  body('program')
+    .optional({ nullable: true })
+    .isIn(['launchpad', 'professional'])
+    .withMessage('Please select a valid program'),
+  body('cohort')
+    .optional({ nullable: true })
+    .isMongoId().withMessage('Invalid cohort id'),
+  body('conditions.*.field')
+    .isIn(Object.keys(ELIGIBILITY_FIELDS))
+    .withMessage(`Condition field must be one of: ${Object.keys(ELIGIBILITY_FIELDS).join(', ')}`),
+  body('conditions.*.operator')
+    .isIn(CONDITION_OPERATORS)
+    .withMessage(`Condition operator must be one of: ${CONDITION_OPERATORS.join(', ')}`),
+  body('conditions.*.value')
+    .exists().withMessage('Condition value is required'),
+  body('match')
+    .optional()
+    .isIn(['all', 'any']).withMessage('match must be all or any'),
+  body('priority')
+    .optional()
+    .isInt().withMessage('Priority must be an integer'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+const createRuleValidation = [
+  body('name')
+    .notEmpty().withMessage('Rule name is required')
+    .trim(),
+  body('conditions')
+    .isArray({ min: 1 }).withMessage('At least one condition is required'),
+  body('outcome')
+    .isIn(RULE_OUTCOMES).withMessage(`Outcome must be one of: ${RULE_OUTCOMES.join(', ')}`),
+  ...ruleValidation,
+  handleValidationErrors
+];
+
+const updateRuleValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Rule name cannot be empty'),
+  body('conditions')
+    .optional()
+    .isArray({ min: 1 }).withMessage('At least one condition is required'),
+  body('outcome')
+    .optional()
+    .isIn(RULE_OUTCOMES).withMessage(`Outcome must be one of: ${RULE_OUTCOMES.join(', ')}`),
+  ...ruleValidation,
+  handleValidationErrors
+];
+
+const previewValidation = [
+  body('application').isMongoId().withMessage('A valid application is required'),
+  handleValidationErrors
+];
+
+router.get('/', asyncHandler(getAllRules));
+router.post('/', createRuleValidation, asyncHandler(createRule));
+router.post('/preview', previewValidation, asyncHandler(previewEligibility));
+router.get('/:id', asyncHandler(getRule));
+router.put('/:id', updateRuleValidation, asyncHandler(updateRule));
+router.delete('/:id', asyncHandler(deleteRule));
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getMyExports,
+  getExport,
+  downloadExport
+} from '../controllers/exportController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Signed link, so it works straight from the email without a login session
+router.get('/:id/download', asyncHandler(downloadExport));
+
+// Admin only routes
+router.get('/', authenticate, authorize(['admin']), asyncHandler(getMyExports));
+router.get('/:id', authenticate, authorize(['admin']), asyncHandler(getExport));
+
+export default router;
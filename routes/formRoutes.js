@@ -0,0 +1,101 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getActiveForm,
+  getAllForms,
+  getForm,
+  createForm,
+  updateForm,
+  deleteForm
+} from '../controllers/formController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { QUESTION_TYPES } from '../models/ApplicationForm.js';
+
+const router = express.Router();
+
+// Validation rules
+const activeFormValidation = [
+  query('track')
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Please select a valid track'),
+  query('program')
+    .isIn(['launchpad', 'professional'])
+    .withMessage('Please select a valid program'),
+  handleValidationErrors
+];
+
+const questionsValidation = [
+  body('questions.*.key')
+    .notEmpty().withMessage('Question key is required')
+    .matches(/^[a-z0-9-]+$/i).withMessage('Question key can only contain letters, numbers and hyphens'),
+  body('questions.*.label')
+    .notEmpty().withMessage('Question label is required')
+    .trim(),
+  body('questions.*.type')
+    .isIn(QUESTION_TYPES).withMessage(`Question type must be one of: ${QUESTION_TYPES.join(', ')}`),
+  body('questions.*.options')
+    .optional()
+    .isArray().withMessage('Options must be an array'),
+  body('questions.*.required')
+    .optional()
+    .isBoolean().withMessage('required must be a boolean'),
+  body('questions.*.minLength')
+    .optional()
+    .isInt({ min: 0 }).withMessage('minLength must be a whole number'),
+  body('questions.*.maxLength')
+    .optional()
+    .isInt({ min: 1 }).withMessage('maxLength must be a positive whole number'),
+  body('questions.*.min')
+    .optional()
+    .isFloat().withMessage('min must be a number'),
+  body('questions.*.max')
+    .optional()
+    .isFloat().withMessage('max must be a number')
+];
+
+const createFormValidation = [
+  body('name')
+    .notEmpty().withMessage('Form name is required')
+    .trim(),
+  body('track')
+    .notEmpty().withMessage('Track is required')
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Please select a valid track'),
+  body('program')
+    .optional({ nullable: true })
+    .isIn(['launchpad', 'professional'])
+    .withMessage('Please select a valid program'),
+  body('questions')
+    .isArray({ min: 1 }).withMessage('At least one question is required'),
+  ...questionsValidation,
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+  handleValidationErrors
+];
+
+const updateFormValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Form name cannot be empty'),
+  body('questions')
+    .optional()
+    .isArray({ min: 1 }).withMessage('At least one question is required'),
+  ...questionsValidation,
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+  handleValidationErrors
+];
+
+// Public: the questions the application form should render
+router.get('/active', activeFormValidation, asyncHandler(getActiveForm));
+
+// Form management is admin only
+router.get('/', authenticate, authorize(['admin']), asyncHandler(getAllForms));
+router.post('/', authenticate, authorize(['admin']), createFormValidation, asyncHandler(createForm));
+router.get('/:id', authenticate, authorize(['admin']), asyncHandler(getForm));
+router.put('/:id', authenticate, authorize(['admin']), updateFormValidation, asyncHandler(updateForm));
+router.delete('/:id', authenticate, authorize(['admin']), asyncHandler(deleteForm));
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  importApplicationsCsv,
+  importUsersCsv
+} from '../controllers/importController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { uploadCsv } from '../middleware/upload.js';
+
+const router = express.Router();
+
+const importValidation = [
+  body('dryRun')
+    .optional()
+    .isBoolean().withMessage('dryRun must be true or false'),
+  handleValidationErrors
+];
+
+// Admin only routes
+router.use(authenticate, authorize(['admin']));
+
+router.post('/applications', uploadCsv, importValidation, asyncHandler(importApplicationsCsv));
+router.post('/users', uploadCsv, importValidation, asyncHandler(importUsersCsv));
+
+export default router;
@@ -0,0 +1,67 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getAvailablePlans,
+  getInstallmentPlans,
+  createInstallmentPlan,
+  updateInstallmentPlan,
+  deleteInstallmentPlan
+} from '../controllers/installmentPlanController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { INSTALLMENT_INTERVALS } from '../models/InstallmentPlan.js';
+
+const router = express.Router();
+
+// Validation rules
+const planValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 }).withMessage('Name must be between 3 and 100 characters'),
+  body('tracks').optional().isArray().withMessage('Tracks must be an array'),
+  body('tracks.*')
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Please select a valid track'),
+  body('programs').optional().isArray().withMessage('Programs must be an array'),
+  body('programs.*')
+    .isIn(['launchpad', 'professional'])
+    .withMessage('Please select a valid program'),
+  body('installmentCount')
+    .optional()
+    .isInt({ min: 2, max: 12 }).withMessage('Number of installments must be between 2 and 12'),
+  body('interval')
+    .optional()
+    .isIn(INSTALLMENT_INTERVALS).withMessage(`Interval must be one of: ${INSTALLMENT_INTERVALS.join(', ')}`),
+  body('gracePeriodDays')
+    .optional()
+    .isInt({ min: 0, max: 90 }).withMessage('Grace period must be between 0 and 90 days'),
+  body(['autoDebit', 'isActive'])
+    .optional()
+    .isBoolean().withMessage('Must be a boolean')
+];
+
+const createValidation = [
+  body('name').notEmpty().withMessage('Plan name is required'),
+  body('installmentCount').notEmpty().withMessage('Number of installments is required'),
+  ...planValidation,
+  handleValidationErrors
+];
+
+const updateValidation = [...planValidation, handleValidationErrors];
+
+// Public, like payment initialization
+router.get(
+  '/available',
+  [query('applicationId').isMongoId().withMessage('A valid application is required'), handleValidationErrors],
+  asyncHandler(getAvailablePlans)
+);
+
+// Admin only routes
+router.get('/', authenticate, authorize(['admin']), asyncHandler(getInstallmentPlans));
+router.post('/', authenticate, authorize(['admin']), createValidation, asyncHandler(createInstallmentPlan));
+router.put('/:id', authenticate, authorize(['admin']), updateValidation, asyncHandler(updateInstallmentPlan));
+router.delete('/:id', authenticate, authorize(['admin']), asyncHandler(deleteInstallmentPlan));
+
+export default router;
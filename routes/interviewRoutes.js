@@ -0,0 +1,110 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  createSlots,
+  getMySlots,
+  deleteSlot,
+  getAvailableSlots,
+  bookInterview,
+  rescheduleInterview,
+  cancelInterview,
+  getInterviews,
+  recordInterviewOutcome
+} from '../controllers/interviewController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const INTERVIEWER_ROLES = ['reviewer', 'admissions', 'admin'];
+
+// Validation rules
+const createSlotsValidation = [
+  body('slots')
+    .isArray({ min: 1, max: 100 }).withMessage('Provide between 1 and 100 slots'),
+  body('slots.*.startsAt')
+    .isISO8601().withMessage('Start time must be a valid date'),
+  body('slots.*.endsAt')
+    .isISO8601().withMessage('End time must be a valid date'),
+  body('slots.*.tracks')
+    .optional()
+    .isArray().withMessage('Tracks must be an array'),
+  body('slots.*.tracks.*')
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Please select a valid track'),
+  body('slots.*.location').optional().trim(),
+  body('slots.*.meetingUrl')
+    .optional()
+    .isURL().withMessage('Meeting URL must be a valid URL'),
+  handleValidationErrors
+];
+
+const bookInterviewValidation = [
+  body('application').isMongoId().withMessage('A valid application is required'),
+  body('slot').isMongoId().withMessage('A valid slot is required'),
+  handleValidationErrors
+];
+
+const outcomeValidation = [
+  body('noShow').optional().isBoolean().withMessage('noShow must be a boolean'),
+  body('recommendation')
+    .if(body('noShow').not().equals('true'))
+    .isIn(['accept', 'reject', 'waitlist'])
+    .withMessage('Recommendation must be accept, reject or waitlist'),
+  body('score')
+    .if(body('noShow').not().equals('true'))
+    .isFloat({ min: 0, max: 100 }).withMessage('Score must be between 0 and 100')
+    .toFloat(),
+  body('notes').optional().trim().isLength({ max: 5000 }).withMessage('Notes must be at most 5000 characters'),
+  handleValidationErrors
+];
+
+// Interviewer availability
+router.post('/slots', authenticate, authorize(INTERVIEWER_ROLES), createSlotsValidation, asyncHandler(createSlots));
+router.get('/slots/mine', authenticate, authorize(INTERVIEWER_ROLES), asyncHandler(getMySlots));
+router.delete('/slots/:id', authenticate, authorize(INTERVIEWER_ROLES), asyncHandler(deleteSlot));
+
+// Applicant booking
+router.get(
+  '/slots/available',
+  authenticate,
+  [
+    query('application').isMongoId().withMessage('A valid application is required'),
+    handleValidationErrors
+  ],
+  asyncHandler(getAvailableSlots)
+);
+router.post('/', authenticate, bookInterviewValidation, asyncHandler(bookInterview));
+router.post(
+  '/:id/reschedule',
+  authenticate,
+  [
+    body('slot').isMongoId().withMessage('A valid slot is required'),
+    handleValidationErrors
+  ],
+  asyncHandler(rescheduleInterview)
+);
+
+// Shared (access is checked per interview in the controller)
+router.get('/', authenticate, asyncHandler(getInterviews));
+router.post(
+  '/:id/cancel',
+  authenticate,
+  [
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+    handleValidationErrors
+  ],
+  asyncHandler(cancelInterview)
+);
+
+// Interview outcome
+router.post(
+  '/:id/outcome',
+  authenticate,
+  authorize(INTERVIEWER_ROLES),
+  outcomeValidation,
+  asyncHandler(recordInterviewOutcome)
+);
+
+export default router;
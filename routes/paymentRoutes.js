@@ -1,17 +1,18 @@
 import express from 'express';
 import paymentController from '../controllers/paymentController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { verifyPaystackWebhook } from '../middleware/paystackWebhook.js';
 
 const router = express.Router();
 
-// Public webhook endpoint (no authentication)
-router.post('/webhook', paymentController.handleWebhook);
+// Public webhook endpoint (no authentication; signed by Paystack instead)
+router.post('/webhook', verifyPaystackWebhook, paymentController.handleWebhook);
 
 // Protected routes
 // router.use(authenticate);
 
-// Initialize payment
-router.post('/initialize', paymentController.initializePayment);
+// Initialize payment for one of your applications
+router.post('/initialize', authenticate, paymentController.initializePayment);
 
 // Verify payment
 router.get('/verify', paymentController.verifyPayment);
@@ -19,6 +20,11 @@ router.get('/verify', paymentController.verifyPayment);
 // Get payment history
 router.get('/history', paymentController.getPaymentHistory);
 
+// Installment plans
+router.get('/installments/overdue', authenticate, authorize(['admin']), paymentController.getOverdueInstallments);
+router.get('/installments/:applicationId', authenticate, paymentController.getInstallments);
+router.post('/installments/:paymentId/pay', authenticate, paymentController.payInstallment);
+
 // Get payment details
 router.get('/:paymentId', paymentController.getPaymentDetails);
 
@@ -0,0 +1,87 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getCurrentPrice,
+  getAllPrices,
+  getPrice,
+  createPrice,
+  updatePrice,
+  deletePrice
+} from '../controllers/priceController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Validation rules
+const currentPriceValidation = [
+  query('track')
+    .notEmpty().withMessage('Track is required')
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Please select a valid track'),
+  query('program')
+    .notEmpty().withMessage('Program is required')
+    .isIn(['launchpad', 'professional'])
+    .withMessage('Please select a valid program'),
+  handleValidationErrors
+];
+
+const createPriceValidation = [
+  body('track')
+    .notEmpty().withMessage('Track is required')
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Please select a valid track'),
+  body('program')
+    .notEmpty().withMessage('Program is required')
+    .isIn(['launchpad', 'professional'])
+    .withMessage('Please select a valid program'),
+  body('amount')
+    .isInt({ min: 1 }).withMessage('Amount must be a positive integer in the lowest currency unit (kobo)'),
+  body('currency')
+    .optional()
+    .isISO4217().withMessage('Invalid currency code'),
+  body('effectiveFrom')
+    .optional()
+    .isISO8601().withMessage('effectiveFrom must be a valid date'),
+  body('effectiveTo')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('effectiveTo must be a valid date'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+  body('description').optional().trim(),
+  handleValidationErrors
+];
+
+const updatePriceValidation = [
+  body('amount')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Amount must be a positive integer in the lowest currency unit (kobo)'),
+  body('currency')
+    .optional()
+    .isISO4217().withMessage('Invalid currency code'),
+  body('effectiveFrom')
+    .optional()
+    .isISO8601().withMessage('effectiveFrom must be a valid date'),
+  body('effectiveTo')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('effectiveTo must be a valid date'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+  body('description').optional().trim(),
+  handleValidationErrors
+];
+
+// Public routes
+router.get('/current', currentPriceValidation, asyncHandler(getCurrentPrice));
+
+// Admin only routes
+router.get('/', authenticate, authorize(['admin']), asyncHandler(getAllPrices));
+router.post('/', authenticate, authorize(['admin']), createPriceValidation, asyncHandler(createPrice));
+router.get('/:id', authenticate, authorize(['admin']), asyncHandler(getPrice));
+router.put('/:id', authenticate, authorize(['admin']), updatePriceValidation, asyncHandler(updatePrice));
+router.delete('/:id', authenticate, authorize(['admin']), asyncHandler(deletePrice));
+
+export default router;
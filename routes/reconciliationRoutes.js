@@ -0,0 +1,63 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getReconciliationRuns,
+  getReconciliationRun,
+  startReconciliationRun,
+  getDiscrepancies,
+  resolvePaymentDiscrepancy
+} from '../controllers/reconciliationController.js';
+import { exportDiscrepancies } from '../controllers/exportController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors, exportQueryValidation } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { DISCREPANCY_TYPES } from '../models/PaymentDiscrepancy.js';
+
+const router = express.Router();
+
+// Validation rules
+const runValidation = [
+  body('from').optional().isISO8601().withMessage('from must be a date'),
+  body('to')
+    .optional()
+    .isISO8601().withMessage('to must be a date')
+    .custom((to, { req }) => !req.body.from || new Date(to) > new Date(req.body.from))
+    .withMessage('to must be after from'),
+  handleValidationErrors
+];
+
+const discrepancyFilters = [
+  query('run').optional().isMongoId().withMessage('Invalid reconciliation run'),
+  query('type').optional().isIn(DISCREPANCY_TYPES).withMessage('Invalid discrepancy type'),
+  query('status').optional().isIn(['open', 'resolved']).withMessage('Status must be open or resolved')
+];
+
+const resolveValidation = [
+  param('id').isMongoId().withMessage('Invalid discrepancy'),
+  body('resolution')
+    .trim()
+    .notEmpty().withMessage('Describe how the discrepancy was resolved')
+    .isLength({ max: 1000 }).withMessage('Resolution must be at most 1000 characters'),
+  handleValidationErrors
+];
+
+// Admin only routes
+router.use(authenticate, authorize(['admin']));
+
+router.get(
+  '/runs',
+  [query('status').optional().isIn(['running', 'completed', 'failed']).withMessage('Invalid run status'), handleValidationErrors],
+  asyncHandler(getReconciliationRuns)
+);
+router.post('/runs', runValidation, asyncHandler(startReconciliationRun));
+router.get(
+  '/runs/:id',
+  [param('id').isMongoId().withMessage('Invalid reconciliation run'), handleValidationErrors],
+  asyncHandler(getReconciliationRun)
+);
+
+router.get('/discrepancies', [...discrepancyFilters, handleValidationErrors], asyncHandler(getDiscrepancies));
+router.get('/discrepancies/export', [...discrepancyFilters, ...exportQueryValidation], asyncHandler(exportDiscrepancies));
+router.post('/discrepancies/:id/resolve', resolveValidation, asyncHandler(resolvePaymentDiscrepancy));
+
+export default router;
@@ -0,0 +1,76 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getReferralCodes,
+  createReferralCode,
+  updateReferralCode,
+  validateReferralCode,
+  getLeaderboard,
+  getMyReferrals
+} from '../controllers/referralController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { REFERRER_TYPES } from '../models/ReferralCode.js';
+
+const router = express.Router();
+
+// Validation rules
+const rewardValidation = [
+  body('ownerType')
+    .optional()
+    .isIn(REFERRER_TYPES).withMessage(`Referrer type must be one of: ${REFERRER_TYPES.join(', ')}`),
+  body('applicantDiscount')
+    .optional({ nullable: true })
+    .isObject().withMessage('applicantDiscount must be an object'),
+  body('applicantDiscount.type')
+    .if(body('applicantDiscount').exists({ checkNull: true }))
+    .isIn(['percentage', 'fixed']).withMessage('Discount type must be percentage or fixed'),
+  body('applicantDiscount.value')
+    .if(body('applicantDiscount').exists({ checkNull: true }))
+    .isFloat({ gt: 0 }).withMessage('Discount value must be greater than zero'),
+  body('referrerCredit')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Referrer credit must be a whole amount in kobo'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+const createValidation = [
+  body('owner').isMongoId().withMessage('A valid owner is required'),
+  body('ownerType').notEmpty().withMessage('Referrer type is required'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{4,32}$/).withMessage('Referral code must be 4-32 letters, numbers or hyphens'),
+  ...rewardValidation,
+  handleValidationErrors
+];
+
+const updateValidation = [...rewardValidation, handleValidationErrors];
+
+const leaderboardValidation = [
+  query(['from', 'to']).optional().isISO8601().withMessage('Dates must be valid'),
+  query('ownerType').optional().isIn(REFERRER_TYPES).withMessage('Invalid referrer type'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+// Public: check a code on the application form
+router.get(
+  '/validate/:code',
+  [param('code').matches(/^[A-Za-z0-9-]{1,32}$/).withMessage('Invalid referral code'), handleValidationErrors],
+  asyncHandler(validateReferralCode)
+);
+
+// Any signed-in referrer
+router.get('/mine', authenticate, asyncHandler(getMyReferrals));
+
+// Admin only routes
+router.get('/leaderboard', authenticate, authorize(['admin']), leaderboardValidation, asyncHandler(getLeaderboard));
+router.get('/', authenticate, authorize(['admin']), asyncHandler(getReferralCodes));
+router.post('/', authenticate, authorize(['admin']), createValidation, asyncHandler(createReferralCode));
+router.put('/:id', authenticate, authorize(['admin']), updateValidation, asyncHandler(updateReferralCode));
+
+export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getRefunds,
+  getRefund,
+  getRefundPolicy,
+  createRefund,
+  syncRefundStatus
+} from '../controllers/refundController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { REFUND_STATUSES } from '../models/Refund.js';
+
+const router = express.Router();
+
+// Validation rules
+const listValidation = [
+  query('status').optional().isIn(REFUND_STATUSES).withMessage('Invalid refund status'),
+  query('payment').optional().isMongoId().withMessage('Invalid payment'),
+  handleValidationErrors
+];
+
+const createValidation = [
+  body('paymentId').isMongoId().withMessage('A valid payment is required'),
+  body('amount')
+    .optional()
+    .isInt({ gt: 0 }).withMessage('Refund amount must be a whole amount in kobo greater than zero'),
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('A reason for the refund is required')
+    .isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  body('overridePolicy')
+    .optional()
+    .isBoolean().withMessage('overridePolicy must be a boolean'),
+  body('reverseEnrollment')
+    .optional()
+    .isBoolean().withMessage('reverseEnrollment must be a boolean'),
+  handleValidationErrors
+];
+
+// Admin only routes
+router.use(authenticate, authorize(['admin']));
+
+router.get('/', listValidation, asyncHandler(getRefunds));
+router.post('/', createValidation, asyncHandler(createRefund));
+router.get(
+  '/policy/:paymentId',
+  [param('paymentId').isMongoId().withMessage('Invalid payment'), handleValidationErrors],
+  asyncHandler(getRefundPolicy)
+);
+router.get('/:id', asyncHandler(getRefund));
+router.post('/:id/sync', asyncHandler(syncRefundStatus));
+
+export default router;
@@ -0,0 +1,77 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getAllRubrics,
+  getRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric
+} from '../controllers/rubricController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// All rubric management is admin only
+router.use(authenticate, authorize(['admin']));
+
+// Validation rules
+const criteriaValidation = [
+  body('criteria.*.key')
+    .notEmpty().withMessage('Criterion key is required')
+    .matches(/^[a-z0-9-]+$/i).withMessage('Criterion key can only contain letters, numbers and hyphens'),
+  body('criteria.*.label')
+    .notEmpty().withMessage('Criterion label is required')
+    .trim(),
+  body('criteria.*.weight')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Criterion weight must be greater than zero'),
+  body('scale.min')
+    .optional()
+    .isInt().withMessage('Scale minimum must be an integer'),
+  body('scale.max')
+    .optional()
+    .isInt().withMessage('Scale maximum must be an integer')
+];
+
+const createRubricValidation = [
+  body('name')
+    .notEmpty().withMessage('Rubric name is required')
+    .trim(),
+  body('track')
+    .notEmpty().withMessage('Track is required')
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Please select a valid track'),
+  body('program')
+    .optional({ nullable: true })
+    .isIn(['launchpad', 'professional'])
+    .withMessage('Please select a valid program'),
+  body('criteria')
+    .isArray({ min: 1 }).withMessage('At least one criterion is required'),
+  ...criteriaValidation,
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+  handleValidationErrors
+];
+
+const updateRubricValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Rubric name cannot be empty'),
+  body('criteria')
+    .optional()
+    .isArray({ min: 1 }).withMessage('At least one criterion is required'),
+  ...criteriaValidation,
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+  handleValidationErrors
+];
+
+router.get('/', asyncHandler(getAllRubrics));
+router.post('/', createRubricValidation, asyncHandler(createRubric));
+router.get('/:id', asyncHandler(getRubric));
+router.put('/:id', updateRubricValidation, asyncHandler(updateRubric));
+router.delete('/:id', asyncHandler(deleteRubric));
+
+export default router;
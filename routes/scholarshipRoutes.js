@@ -0,0 +1,97 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getScholarships,
+  getScholarship,
+  createScholarship,
+  updateScholarship,
+  deleteScholarship,
+  applyScholarship,
+  getMyScholarshipApplications,
+  getScholarshipApplications,
+  awardScholarshipApplication,
+  declineScholarshipApplication,
+  revokeScholarshipApplication
+} from '../controllers/scholarshipController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Validation rules
+const scholarshipValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 }).withMessage('Name must be between 3 and 100 characters'),
+  body('fundingPool')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Funding pool must be a whole amount in kobo'),
+  body('tracks').optional().isArray().withMessage('Tracks must be an array'),
+  body('tracks.*')
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Please select a valid track'),
+  body('programs').optional().isArray().withMessage('Programs must be an array'),
+  body('programs.*')
+    .isIn(['launchpad', 'professional'])
+    .withMessage('Please select a valid program'),
+  body(['opensAt', 'closesAt'])
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Dates must be valid'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+const createValidation = [
+  body('name').notEmpty().withMessage('Scholarship name is required'),
+  body('fundingPool').notEmpty().withMessage('Funding pool is required'),
+  ...scholarshipValidation,
+  handleValidationErrors
+];
+
+const updateValidation = [...scholarshipValidation, handleValidationErrors];
+
+const applyValidation = [
+  body('applicationId').isMongoId().withMessage('A valid application is required'),
+  body('statement')
+    .trim()
+    .isLength({ min: 50, max: 2000 }).withMessage('Statement must be between 50 and 2000 characters'),
+  handleValidationErrors
+];
+
+const listApplicationsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'awarded', 'declined', 'revoked']).withMessage('Invalid status'),
+  handleValidationErrors
+];
+
+const decisionValidation = [
+  body('amount')
+    .optional()
+    .isInt({ gt: 0 }).withMessage('Award amount must be a whole amount in kobo greater than zero'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters'),
+  handleValidationErrors
+];
+
+// Any signed-in user
+router.get('/', authenticate, asyncHandler(getScholarships));
+router.get('/applications/mine', authenticate, asyncHandler(getMyScholarshipApplications));
+router.post('/:id/apply', authenticate, applyValidation, asyncHandler(applyScholarship));
+
+// Admin only routes
+router.post('/', authenticate, authorize(['admin']), createValidation, asyncHandler(createScholarship));
+router.post('/applications/:id/award', authenticate, authorize(['admin']), decisionValidation, asyncHandler(awardScholarshipApplication));
+router.post('/applications/:id/decline', authenticate, authorize(['admin']), decisionValidation, asyncHandler(declineScholarshipApplication));
+router.post('/applications/:id/revoke', authenticate, authorize(['admin']), decisionValidation, asyncHandler(revokeScholarshipApplication));
+router.get('/:id', authenticate, authorize(['admin']), asyncHandler(getScholarship));
+router.put('/:id', authenticate, authorize(['admin']), updateValidation, asyncHandler(updateScholarship));
+router.delete('/:id', authenticate, authorize(['admin']), asyncHandler(deleteScholarship));
+router.get('/:id/applications', authenticate, authorize(['admin']), listApplicationsValidation, asyncHandler(getScholarshipApplications));
+
+export default router;
@@ -7,11 +7,15 @@ import {
   deleteUser,
   getUserStats,
   assignApplicationsToReviewer,
+  autoAssignApplications,
+  reassignReviewer,
   getReviewerApplications
 } from '../controllers/userController.js';
+import { exportUsers } from '../controllers/exportController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
-import { handleValidationErrors } from '../middleware/validation.js';
+import { handleValidationErrors, exportQueryValidation } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { ASSIGNMENT_STRATEGIES } from '../services/assignmentService.js';
 
 const router = express.Router();
 
@@ -37,6 +41,15 @@ const updateUserValidation = [
   body('phone')
     .optional()
     .isMobilePhone().withMessage('Invalid phone number'),
+  body('reviewerProfile.tracks')
+    .optional()
+    .isArray().withMessage('Reviewer tracks must be an array'),
+  body('reviewerProfile.tracks.*')
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Invalid track'),
+  body('reviewerProfile.capacity')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Reviewer capacity must be a non-negative integer'),
   handleValidationErrors
 ];
 
@@ -52,10 +65,27 @@ const assignApplicationsValidation = [
   handleValidationErrors
 ];
 
+const autoAssignValidation = [
+  body('strategy')
+    .optional()
+    .isIn(ASSIGNMENT_STRATEGIES).withMessage('Invalid assignment strategy'),
+  body('track')
+    .optional()
+    .isIn(['project-management', 'frontend-development', 'backend-development', 'quality-assurance', 'devops'])
+    .withMessage('Invalid track'),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+  handleValidationErrors
+];
+
 // Admin only routes
 router.get('/', authorize(['admin']), asyncHandler(getAllUsers));
 router.get('/stats', authorize(['admin']), asyncHandler(getUserStats));
+router.get('/export', authorize(['admin']), exportQueryValidation, asyncHandler(exportUsers));
 router.post('/assign-applications', authorize(['admin']), assignApplicationsValidation, asyncHandler(assignApplicationsToReviewer));
+router.post('/auto-assign', authorize(['admin']), autoAssignValidation, asyncHandler(autoAssignApplications));
+router.post('/:id/reassign', authorize(['admin']), autoAssignValidation, asyncHandler(reassignReviewer));
 
 // Shared routes (admin can access all, users can access their own)
 router.get('/:id', asyncHandler(getUserById));
@@ -0,0 +1,35 @@
+import express from 'express';
+import { param, query } from 'express-validator';
+import {
+  getWebhookEvents,
+  getWebhookEvent,
+  replayEvent
+} from '../controllers/webhookController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { WEBHOOK_EVENT_STATUSES } from '../models/WebhookEvent.js';
+
+const router = express.Router();
+
+// Validation rules
+const listValidation = [
+  query('status').optional().isIn(WEBHOOK_EVENT_STATUSES).withMessage('Invalid webhook event status'),
+  query('event').optional().isString().trim(),
+  query('reference').optional().isString().trim(),
+  handleValidationErrors
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid webhook event'),
+  handleValidationErrors
+];
+
+// Admin only routes
+router.use(authenticate, authorize(['admin']));
+
+router.get('/', listValidation, asyncHandler(getWebhookEvents));
+router.get('/:id', idValidation, asyncHandler(getWebhookEvent));
+router.post('/:id/replay', idValidation, asyncHandler(replayEvent));
+
+export default router;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import User from '../models/user.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Backfill Application.user for applications submitted before the owner link existed
+const linkApplicationOwners = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const applications = await Application.find({ user: { $exists: false } }).select('email');
+
+    let linked = 0;
+    let unmatched = 0;
+
+    for (const application of applications) {
+      const user = await User.findOne({ email: application.email }).select('_id');
+
+      if (!user) {
+        unmatched++;
+        continue;
+      }
+
+      await Application.updateOne({ _id: application._id }, { user: user._id });
+      linked++;
+    }
+
+    console.log(`Linked ${linked} applications, ${unmatched} without a matching user`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error linking application owners:', error);
+    process.exit(1);
+  }
+};
+
+linkApplicationOwners();
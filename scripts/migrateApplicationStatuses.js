@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Legacy statuses written before the application workflow existed
+const legacyStatusMap = {
+  pending: 'submitted',
+  reviewing: 'under-review',
+  approved: 'accepted',
+  accepted: 'accepted',
+  rejected: 'rejected',
+  enrolled: 'enrolled'
+};
+
+const migrateApplicationStatuses = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Work on the raw collection: legacy values do not pass the current enum
+    const applications = await Application.collection
+      .find({ statusHistory: { $exists: false } })
+      .project({ status: 1, applicationDate: 1 })
+      .toArray();
+
+    let migrated = 0;
+
+    for (const application of applications) {
+      const status = legacyStatusMap[application.status] || 'submitted';
+
+      await Application.collection.updateOne(
+        { _id: application._id },
+        {
+          $set: {
+            status,
+            statusHistory: [{
+              from: null,
+              to: status,
+              changedBy: null,
+              changedAt: application.applicationDate || new Date(),
+              note: `Migrated from legacy status '${application.status}'`
+            }]
+          }
+        }
+      );
+      migrated++;
+    }
+
+    console.log(`Migrated ${migrated} applications`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating application statuses:', error);
+    process.exit(1);
+  }
+};
+
+migrateApplicationStatuses();
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Bring database indexes in line with the schemas: creates new indexes and
+// drops ones that were removed or changed (e.g. a unique index that gained a field)
+const syncIndexes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const modelsDir = path.join(__dirname, '../models');
+    for (const file of fs.readdirSync(modelsDir).filter(name => name.endsWith('.js'))) {
+      await import(pathToFileURL(path.join(modelsDir, file)).href);
+    }
+
+    for (const modelName of mongoose.modelNames()) {
+      const dropped = await mongoose.model(modelName).syncIndexes();
+      console.log(`${modelName}: synced${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error syncing indexes:', error);
+    process.exit(1);
+  }
+};
+
+syncIndexes();
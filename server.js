@@ -14,14 +14,36 @@ import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js'; // ADD THIS
 import dashboardRoutes from './routes/dashboardRoutes.js'
+import priceRoutes from './routes/priceRoutes.js';
+import cohortRoutes from './routes/cohortRoutes.js';
+import rubricRoutes from './routes/rubricRoutes.js';
+import interviewRoutes from './routes/interviewRoutes.js';
+import exportRoutes from './routes/exportRoutes.js';
+import importRoutes from './routes/importRoutes.js';
+import duplicateRoutes from './routes/duplicateRoutes.js';
+import formRoutes from './routes/formRoutes.js';
+import eligibilityRoutes from './routes/eligibilityRoutes.js';
+import referralRoutes from './routes/referralRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import scholarshipRoutes from './routes/scholarshipRoutes.js';
+import installmentPlanRoutes from './routes/installmentPlanRoutes.js';
+import refundRoutes from './routes/refundRoutes.js';
+import reconciliationRoutes from './routes/reconciliationRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
 // Import middleware
 import { requestLogger, applicationLogger } from './middleware/logger.js';
 import { notFound, errorHandler } from './middleware/errorHandler.js';
+import { startScheduler, stopScheduler } from './jobs/scheduler.js';
 
 dotenv.config();
 
 const app = express();
 
+// Behind a load balancer, TRUST_PROXY (e.g. 1) makes req.ip the caller's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Database connection
 const connectDB = async () => {
   try {
@@ -32,6 +54,7 @@ const connectDB = async () => {
       socketTimeoutMS: 45000,
     });
     console.log('Connected to MongoDB');
+    startScheduler();
   } catch (err) {
     console.error('MongoDB connection error:', err);
     process.exit(1);
@@ -117,20 +140,31 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  skipSuccessfulRequests: false
+  skipSuccessfulRequests: false,
+  // Paystack sends every event from the same few addresses; the webhook has its own limit below
+  skip: (req) => req.originalUrl.startsWith('/api/payments/webhook')
 });
 
-// Webhook endpoint should NOT have rate limiting
-app.use('/api/payments/webhook', (req, res, next) => {
-  // Skip rate limiting for webhooks
-  next();
+// Webhook rate limiting, per minute (WEBHOOK_RATE_LIMIT), roomy enough for Paystack's bursts
+const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.WEBHOOK_RATE_LIMIT || '300', 10),
+  message: {
+    success: false,
+    message: 'Too many webhook requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
 });
 
+app.use('/api/payments/webhook', webhookLimiter);
+
 // Apply rate limiting to other routes
 app.use('/api/', limiter);
 
-// Webhook body parser (MUST come before regular body parsers)
-app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+// Webhook body parser (MUST come before regular body parsers). Every content type is
+// kept as raw bytes, since the signature covers exactly what Paystack sent
+app.use('/api/payments/webhook', express.raw({ type: () => true, limit: '1mb' }));
 
 // Other middleware
 app.use(compression());
@@ -205,6 +239,22 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/payments', paymentRoutes);    
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/prices', priceRoutes);
+app.use('/api/cohorts', cohortRoutes);
+app.use('/api/rubrics', rubricRoutes);
+app.use('/api/interviews', interviewRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/duplicates', duplicateRoutes);
+app.use('/api/forms', formRoutes);
+app.use('/api/eligibility-rules', eligibilityRoutes);
+app.use('/api/referrals', referralRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/scholarships', scholarshipRoutes);
+app.use('/api/installment-plans', installmentPlanRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/webhook-events', webhookRoutes);
 // 404 handler
 app.use(notFound);
 
@@ -258,6 +308,7 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 const gracefulShutdown = () => {
   console.log('Received shutdown signal, closing server...');
+  stopScheduler();
   
   server.close(() => {
     console.log('HTTP server closed');
@@ -0,0 +1,73 @@
+// Filters shared by the application list and the endpoints that act on the same result set
+
+export const APPLICATION_FILTERS = [
+  'status',
+  'track',
+  'program',
+  'startDate',
+  'endDate',
+  'search',
+  'consensus',
+  'eligibility',
+  'minScore',
+  'maxScore'
+];
+
+const SORT_FIELDS = {
+  applicationDate: 'applicationDate',
+  score: 'reviewSummary.averageScore',
+  reviewCount: 'reviewSummary.reviewCount'
+};
+
+// Build a MongoDB query from list filters (query string or request body)
+export const buildApplicationQuery = (filters = {}) => {
+  const {
+    status,
+    track,
+    program,
+    startDate,
+    endDate,
+    search,
+    consensus,
+    eligibility,
+    minScore,
+    maxScore
+  } = filters;
+
+  const query = {};
+
+  if (status) query.status = status;
+  if (track) query.track = track;
+  if (program) query.program = program;
+  if (consensus) query['reviewSummary.consensus'] = consensus;
+  if (eligibility) query['eligibility.outcome'] = eligibility;
+
+  // Aggregated review score filter
+  if (minScore !== undefined || maxScore !== undefined) {
+    query['reviewSummary.averageScore'] = {};
+    if (minScore !== undefined) query['reviewSummary.averageScore'].$gte = Number(minScore);
+    if (maxScore !== undefined) query['reviewSummary.averageScore'].$lte = Number(maxScore);
+  }
+
+  // Date range filter
+  if (startDate || endDate) {
+    query.applicationDate = {};
+    if (startDate) query.applicationDate.$gte = new Date(startDate);
+    if (endDate) query.applicationDate.$lte = new Date(endDate);
+  }
+
+  // Search filter
+  if (search) {
+    query.$or = [
+      { firstName: { $regex: search, $options: 'i' } },
+      { lastName: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return query;
+};
+
+export const buildApplicationSort = ({ sortBy = 'applicationDate', sortOrder = 'desc' } = {}) => ({
+  [SORT_FIELDS[sortBy] || 'applicationDate']: sortOrder === 'desc' ? -1 : 1
+});
@@ -0,0 +1,177 @@
+import Application from '../models/Application.js';
+import Cohort from '../models/Cohort.js';
+import Interview from '../models/Interview.js';
+import InterviewSlot from '../models/InterviewSlot.js';
+import Payment from '../models/payment.js';
+import User from '../models/user.js';
+
+// Application lifecycle:
+//   submitted → under-review → interview → accepted | rejected | waitlisted → paid → enrolled
+// Any application that is still in progress can be withdrawn.
+export const APPLICATION_STATUSES = [
+  'submitted',
+  'under-review',
+  'interview',
+  'accepted',
+  'rejected',
+  'waitlisted',
+  'paid',
+  'enrolled',
+  'withdrawn'
+];
+
+export const STATUS_TRANSITIONS = {
+  'submitted': ['under-review', 'rejected', 'withdrawn'],
+  'under-review': ['interview', 'accepted', 'rejected', 'waitlisted', 'withdrawn'],
+  'interview': ['accepted', 'rejected', 'waitlisted', 'withdrawn'],
+  'waitlisted': ['accepted', 'rejected', 'withdrawn'],
+  'accepted': ['paid', 'withdrawn'],
+  'paid': ['enrolled', 'withdrawn'],
+  'enrolled': ['withdrawn'],
+  'rejected': [],
+  'withdrawn': []
+};
+
+// Statuses that count as a live application (blocks a second submission with the same email)
+export const OPEN_STATUSES = ['submitted', 'under-review', 'interview', 'waitlisted', 'accepted', 'paid'];
+
+export class InvalidStatusTransitionError extends Error {
+  constructor(from, to, message) {
+    super(message || `Cannot move application from '${from}' to '${to}'`);
+    this.name = 'InvalidStatusTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export const canTransition = (from, to) => {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+export const allowedTransitions = (from) => STATUS_TRANSITIONS[from] || [];
+
+// Status fields for a brand new application
+export const initialStatus = (actorId = null, note = 'Application submitted') => ({
+  status: 'submitted',
+  statusHistory: [{
+    from: null,
+    to: 'submitted',
+    changedBy: actorId,
+    changedAt: new Date(),
+    note
+  }]
+});
+
+/**
+ * Move an application to a new status and append the change to its history.
+ *
+ * The update is conditional on the status read beforehand, so two concurrent
+ * transitions cannot both succeed. `update` lets callers set related fields
+ * (paymentStatus, reviewedAt, ...) in the same write.
+ *
+ * Resolves to the updated application, or null when it does not exist.
+ */
+export const transitionApplication = async (applicationId, to, { actor = null, note, update = {}, session } = {}) => {
+  const current = await Application.findById(applicationId, 'status', { session });
+
+  if (!current) return null;
+
+  const from = current.status;
+
+  if (!canTransition(from, to)) {
+    throw new InvalidStatusTransitionError(from, to);
+  }
+
+  const application = await Application.findOneAndUpdate(
+    { _id: applicationId, status: from },
+    {
+      $set: { ...update, status: to },
+      $push: {
+        statusHistory: {
+          from,
+          to,
+          changedBy: actor,
+          changedAt: new Date(),
+          note
+        }
+      }
+    },
+    { new: true, runValidators: true, session }
+  ).select('-password -confirmPassword');
+
+  if (!application) {
+    throw new InvalidStatusTransitionError(from, to, 'Application status was changed by another request. Please retry.');
+  }
+
+  return application;
+};
+
+/**
+ * Give back the cohort seat an application holds. The seatReserved flag is
+ * cleared atomically, so calling this twice releases the seat only once.
+ */
+export const releaseApplicationSeat = async (application, { session } = {}) => {
+  if (!application.cohort) return false;
+
+  const held = await Application.findOneAndUpdate(
+    { _id: application._id, seatReserved: true },
+    { seatReserved: false },
+    { session }
+  );
+
+  if (!held) return false;
+
+  await Cohort.releaseSeat(application.cohort, { session });
+  return true;
+};
+
+/**
+ * Withdraw an application. A reserved or enrolled seat is given back (and
+ * the program taken off an enrolled student's account), any checkout still in
+ * progress is cancelled and an upcoming interview is cancelled with its slot
+ * put back on offer.
+ */
+export const withdrawApplication = async (applicationId, { actor = null, reason, session } = {}) => {
+  const application = await transitionApplication(applicationId, 'withdrawn', {
+    actor,
+    note: reason || 'Application withdrawn',
+    session
+  });
+
+  if (!application) return null;
+
+  // Applications enrolled before seats were reserved on acceptance hold a seat without the flag
+  const { from } = application.statusHistory[application.statusHistory.length - 1];
+  const released = await releaseApplicationSeat(application, { session });
+  if (!released && from === 'enrolled' && application.cohort) {
+    await Cohort.releaseSeat(application.cohort, { session });
+  }
+
+  if (from === 'enrolled' && application.user) {
+    await User.findByIdAndUpdate(application.user, {
+      $pull: { enrolledPrograms: application._id }
+    }, { runValidators: false, session });
+  }
+
+  // Including installments not yet due
+  await Payment.updateMany(
+    { application: applicationId, status: { $in: ['pending', 'scheduled'] } },
+    { status: 'cancelled' },
+    { session }
+  );
+
+  const interviews = await Interview.find({ application: applicationId, status: 'scheduled' }, 'slot', { session });
+  for (const interview of interviews) {
+    await Interview.updateOne(
+      { _id: interview._id, status: 'scheduled' },
+      {
+        $set: { status: 'cancelled', cancelledBy: actor, cancelledAt: new Date(), cancellationReason: 'Application withdrawn' },
+        $inc: { calendarSequence: 1 }
+      },
+      { session }
+    );
+    await InterviewSlot.release(interview.slot, { session });
+  }
+
+  return application;
+};
@@ -0,0 +1,169 @@
+import Application from '../models/Application.js';
+import User from '../models/user.js';
+import Review from '../models/Review.js';
+import { transitionApplication } from './applicationWorkflow.js';
+
+export const ASSIGNMENT_STRATEGIES = ['round-robin', 'least-loaded'];
+
+export const REVIEWER_ROLES = ['reviewer', 'admissions'];
+
+// Applications that still need the reviewer's attention count towards their workload
+const WORKLOAD_STATUSES = ['under-review', 'interview'];
+
+export const defaultStrategy = () => {
+  const strategy = process.env.REVIEW_ASSIGNMENT_STRATEGY;
+  return ASSIGNMENT_STRATEGIES.includes(strategy) ? strategy : 'least-loaded';
+};
+
+export const isAutoAssignEnabled = () => process.env.AUTO_ASSIGN_REVIEWERS === 'true';
+
+// Active reviewers who cover the track: specialists, plus generalists with no tracks set
+const findEligibleReviewers = (track, excludeIds = []) => {
+  return User.find({
+    _id: { $nin: excludeIds },
+    role: { $in: REVIEWER_ROLES },
+    isActive: true,
+    $or: [
+      { 'reviewerProfile.tracks': track },
+      { 'reviewerProfile.tracks': { $size: 0 } },
+      { 'reviewerProfile.tracks': { $exists: false } }
+    ]
+  });
+};
+
+const countWorkload = (reviewer) => {
+  return Application.countDocuments({
+    _id: { $in: reviewer.assignedApplications },
+    status: { $in: WORKLOAD_STATUSES }
+  });
+};
+
+/**
+ * Choose a reviewer for an application.
+ *
+ * Reviewers at or over their capacity are skipped. Round-robin picks whoever
+ * was assigned least recently; least-loaded picks the smallest open workload
+ * and falls back to round-robin order on ties.
+ */
+export const pickReviewer = async (application, { strategy = defaultStrategy(), excludeIds = [] } = {}) => {
+  const reviewers = await findEligibleReviewers(application.track, excludeIds);
+
+  const candidates = [];
+  for (const reviewer of reviewers) {
+    if ((reviewer.assignedApplications || []).some(id => id.toString() === application._id.toString())) {
+      continue;
+    }
+
+    const workload = await countWorkload(reviewer);
+    const capacity = reviewer.reviewerProfile?.capacity ?? 25;
+
+    if (workload < capacity) {
+      candidates.push({ reviewer, workload });
+    }
+  }
+
+  const lastAssigned = (candidate) => candidate.reviewer.reviewerProfile?.lastAssignedAt?.getTime() || 0;
+
+  candidates.sort((a, b) => {
+    if (strategy === 'least-loaded' && a.workload !== b.workload) {
+      return a.workload - b.workload;
+    }
+    return lastAssigned(a) - lastAssigned(b);
+  });
+
+  return candidates[0]?.reviewer || null;
+};
+
+/**
+ * Assign an application to a reviewer and move it under review if it was
+ * still waiting. Used by both manual and automatic assignment.
+ */
+export const assignApplication = async (application, reviewer, { actor = null } = {}) => {
+  await User.findByIdAndUpdate(reviewer._id, {
+    $addToSet: { assignedApplications: application._id },
+    'reviewerProfile.lastAssignedAt': new Date()
+  });
+
+  if (application.status === 'submitted') {
+    await transitionApplication(application._id, 'under-review', {
+      actor,
+      note: `Assigned to ${reviewer.fullName}`
+    });
+  }
+};
+
+// Assign a single application using the configured strategy. Resolves to the reviewer or null.
+export const autoAssignApplication = async (application, { strategy, actor, excludeIds } = {}) => {
+  const reviewer = await pickReviewer(application, { strategy, excludeIds });
+
+  if (!reviewer) return null;
+
+  await assignApplication(application, reviewer, { actor });
+  return reviewer;
+};
+
+// Distribute every submitted application that no reviewer holds yet
+export const autoAssignPending = async ({ strategy = defaultStrategy(), track, limit = 100, actor = null } = {}) => {
+  const assignedIds = await User.distinct('assignedApplications', { role: { $in: REVIEWER_ROLES } });
+
+  const query = { status: 'submitted', _id: { $nin: assignedIds } };
+  if (track) query.track = track;
+
+  const applications = await Application.find(query)
+    .select('track program status')
+    .sort({ applicationDate: 1 })
+    .limit(limit);
+
+  const report = { strategy, assigned: [], unassigned: [] };
+
+  for (const application of applications) {
+    const reviewer = await autoAssignApplication(application, { strategy, actor });
+
+    if (reviewer) {
+      report.assigned.push({ applicationId: application._id, reviewerId: reviewer._id });
+    } else {
+      report.unassigned.push({ applicationId: application._id, reason: 'No reviewer with spare capacity for this track' });
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Hand a reviewer's open, not-yet-reviewed applications to other reviewers,
+ * e.g. when the reviewer is deactivated. Applications they already reviewed
+ * stay with them so their review keeps counting.
+ */
+export const reassignReviewerApplications = async (reviewerId, { strategy = defaultStrategy(), actor = null } = {}) => {
+  const reviewer = await User.findById(reviewerId);
+  const report = { strategy, reassigned: [], unassigned: [] };
+
+  if (!reviewer) return report;
+
+  const reviewedIds = await Review.distinct('application', { reviewer: reviewer._id });
+
+  const applications = await Application.find({
+    _id: { $in: reviewer.assignedApplications, $nin: reviewedIds },
+    status: { $in: WORKLOAD_STATUSES }
+  }).select('track program status');
+
+  for (const application of applications) {
+    await User.findByIdAndUpdate(reviewer._id, {
+      $pull: { assignedApplications: application._id }
+    });
+
+    const replacement = await autoAssignApplication(application, {
+      strategy,
+      actor,
+      excludeIds: [reviewer._id]
+    });
+
+    if (replacement) {
+      report.reassigned.push({ applicationId: application._id, reviewerId: replacement._id });
+    } else {
+      report.unassigned.push({ applicationId: application._id, reason: 'No reviewer with spare capacity for this track' });
+    }
+  }
+
+  return report;
+};
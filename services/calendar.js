@@ -0,0 +1,70 @@
+// Minimal iCalendar (RFC 5545) builder for interview invitations
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  parts.push(rest);
+
+  return parts.join('\r\n');
+};
+
+/**
+ * Build a single-event calendar. Use the same uid with a higher sequence to
+ * update an event, and method CANCEL with status CANCELLED to cancel it.
+ */
+export const buildIcsEvent = ({
+  uid,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendee,
+  method = 'REQUEST',
+  status = 'CONFIRMED',
+  sequence = 0
+}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Binarify Academy//Admissions//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${status}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizer) lines.push(`ORGANIZER;CN=${escapeText(organizer.name)}:mailto:${organizer.email}`);
+  if (attendee) lines.push(`ATTENDEE;CN=${escapeText(attendee.name)};RSVP=TRUE:mailto:${attendee.email}`);
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
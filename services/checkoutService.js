@@ -0,0 +1,29 @@
+import { referralRewardsFor } from './referralService.js';
+import { couponDiscountFor } from './couponService.js';
+import { scholarshipDiscountFor } from './scholarshipService.js';
+
+// Price a new checkout: the catalog price less any scholarship award, then less the
+// referral reward and the coupon (if any), each on what is left. Throws CouponError
+// when the coupon cannot be used.
+export const priceCheckout = async (application, price, { couponCode, userId } = {}) => {
+  const discounts = [];
+  const remaining = () => price.amount - discounts.reduce((sum, discount) => sum + discount.amount, 0);
+
+  const scholarship = await scholarshipDiscountFor(application, price.amount);
+  if (scholarship) discounts.push(scholarship);
+
+  const rewards = await referralRewardsFor(application, remaining());
+  if (rewards?.discount) discounts.push(rewards.discount);
+
+  if (couponCode && remaining() > 0) {
+    const couponDiscount = await couponDiscountFor(couponCode, { application, userId, amount: remaining() });
+    if (couponDiscount) discounts.push(couponDiscount);
+  }
+
+  return {
+    amount: remaining(),
+    originalAmount: price.amount,
+    discounts,
+    referral: rewards?.referral
+  };
+};
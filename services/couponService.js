@@ -0,0 +1,96 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { discountAmount } from './discounts.js';
+
+export class CouponError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponError';
+  }
+}
+
+export const normaliseCouponCode = (code) => String(code).trim().toUpperCase();
+
+/**
+ * Find a coupon and check it can be used for an application's checkout by
+ * this user right now: active, within its dates, in scope for the track and
+ * program, and under both its redemption limits. Only verified charges count
+ * towards the limits. Throws CouponError explaining why it cannot be used.
+ */
+export const findRedeemableCoupon = async (code, { application, userId, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: normaliseCouponCode(code) });
+
+  if (!coupon || !coupon.isActive) {
+    throw new CouponError('Coupon code is not valid');
+  }
+
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new CouponError('This coupon is not active yet');
+  }
+
+  if (coupon.endsAt && coupon.endsAt <= now) {
+    throw new CouponError('This coupon has expired');
+  }
+
+  if (coupon.tracks.length && !coupon.tracks.includes(application.track)) {
+    throw new CouponError('This coupon does not apply to your track');
+  }
+
+  if (coupon.programs.length && !coupon.programs.includes(application.program)) {
+    throw new CouponError('This coupon does not apply to your program');
+  }
+
+  if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+    throw new CouponError('This coupon has been fully redeemed');
+  }
+
+  const usedByUser = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+  if (usedByUser >= coupon.perUserLimit) {
+    throw new CouponError('You have already used this coupon');
+  }
+
+  return coupon;
+};
+
+/**
+ * The discount entry a coupon gives on a price, as stored on Payment.discounts.
+ * Resolves to null when the coupon takes nothing off.
+ */
+export const couponDiscountFor = async (code, { application, userId, amount }) => {
+  const coupon = await findRedeemableCoupon(code, { application, userId });
+  const off = discountAmount(amount, coupon.discount);
+
+  return off > 0
+    ? { source: 'coupon', code: coupon.code, coupon: coupon._id, amount: off }
+    : null;
+};
+
+/**
+ * Commit the coupon redemptions behind a verified successful payment. The
+ * count is only raised the first time a payment is recorded, so repeated
+ * verification (callback and webhook) counts it once. A charge that was
+ * already made at the discounted price is counted even if the coupon filled
+ * up in the meantime.
+ */
+export const redeemCoupons = async (payment) => {
+  const couponDiscounts = (payment.discounts || []).filter(discount => discount.source === 'coupon' && discount.coupon);
+
+  for (const discount of couponDiscounts) {
+    const result = await CouponRedemption.updateOne(
+      { payment: payment._id, coupon: discount.coupon },
+      {
+        $setOnInsert: {
+          user: payment.user?._id || payment.user,
+          application: payment.application?._id || payment.application,
+          amount: discount.amount,
+          currency: payment.currency
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      await Coupon.updateOne({ _id: discount.coupon }, { $inc: { redemptionCount: 1 } });
+    }
+  }
+};
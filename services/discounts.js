@@ -0,0 +1,11 @@
+// Discounts are stored as { type: 'percentage' | 'fixed', value }: a percent,
+// or an amount in kobo like every other amount
+
+// Kobo a discount takes off a price, never more than the price itself
+export const discountAmount = (amount, { type, value }) => {
+  const off = type === 'percentage'
+    ? Math.round(amount * value / 100)
+    : Math.round(value);
+
+  return Math.min(Math.max(off, 0), amount);
+};
@@ -0,0 +1,348 @@
+import Application from '../models/Application.js';
+import ApplicationDocument from '../models/ApplicationDocument.js';
+import DuplicateFlag from '../models/DuplicateFlag.js';
+import User from '../models/user.js';
+import { canTransition, withdrawApplication } from './applicationWorkflow.js';
+import { promoteFromWaitlist } from './waitlistService.js';
+
+// Score (0-100) at which a pair of applications goes to the review queue
+export const duplicateFlagThreshold = () => parseInt(process.env.DUPLICATE_FLAG_THRESHOLD || '50', 10);
+
+// Applications from one IP and browser within a week before it looks like a burst
+const deviceBurstSize = () => parseInt(process.env.DUPLICATE_DEVICE_BURST || '5', 10);
+
+// Most earlier applications compared against a new one
+const CANDIDATE_LIMIT = 50;
+
+// How much each signal adds to a pair's score
+const WEIGHTS = {
+  email: 60,
+  phone: 50,
+  name: 30,
+  ip: 15,
+  device: 25,
+  deviceBurst: 50
+};
+
+// Names at least this similar (0-1) count as the same person
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+export class DuplicateResolutionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DuplicateResolutionError';
+  }
+}
+
+// Mailboxes that ignore dots in the local part
+const DOTLESS_DOMAINS = ['gmail.com'];
+const DOMAIN_ALIASES = { 'googlemail.com': 'gmail.com' };
+
+/**
+ * Reduce an email to the mailbox it delivers to: lowercased, without a
+ * "+tag", and for Gmail without dots. a.b+x@googlemail.com → ab@gmail.com
+ */
+export const normaliseEmail = (email) => {
+  if (!email) return null;
+
+  const [local, domain] = email.trim().toLowerCase().split('@');
+  if (!local || !domain) return null;
+
+  const mailDomain = DOMAIN_ALIASES[domain] || domain;
+  let mailbox = local.split('+')[0];
+  if (DOTLESS_DOMAINS.includes(mailDomain)) mailbox = mailbox.replace(/\./g, '');
+
+  return `${mailbox}@${mailDomain}`;
+};
+
+/**
+ * Full international number as digits: countryCode + phone, with the national
+ * trunk "0" dropped and a country code typed into the phone field tolerated.
+ */
+export const normalisePhone = (countryCode, phone) => {
+  const phoneDigits = (phone || '').replace(/\D/g, '');
+  if (!phoneDigits) return null;
+
+  const codeDigits = (countryCode || '+234').replace(/\D/g, '');
+
+  if (phoneDigits.startsWith(codeDigits) && phoneDigits.length > 10) return phoneDigits;
+
+  return codeDigits + phoneDigits.replace(/^0+/, '');
+};
+
+// Lowercase letters only, accents stripped, words sorted so "Ade Bola" matches "Bola Ade"
+export const normaliseName = (firstName, lastName) => {
+  return `${firstName || ''} ${lastName || ''}`
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Similarity of two normalised names, 1 for identical and 0 for nothing in common
+export const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+export const fingerprintFor = (application) => ({
+  email: normaliseEmail(application.email),
+  phone: normalisePhone(application.countryCode, application.phone),
+  name: normaliseName(application.firstName, application.lastName)
+});
+
+/**
+ * Compare two applications and list the signals they share.
+ * `burst` says the application's IP and browser have been used for many submissions.
+ */
+export const scorePair = (application, other, { burst = false } = {}) => {
+  const signals = [];
+  const mine = application.fingerprint;
+  const theirs = other.fingerprint;
+
+  if (mine.email && mine.email === theirs?.email) {
+    signals.push({ type: 'email', weight: WEIGHTS.email, detail: `Both use the mailbox ${mine.email}` });
+  }
+
+  if (mine.phone && mine.phone === theirs?.phone) {
+    signals.push({ type: 'phone', weight: WEIGHTS.phone, detail: `Both use the phone number +${mine.phone}` });
+  }
+
+  const similarity = nameSimilarity(mine.name, theirs?.name);
+  if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+    signals.push({
+      type: 'name',
+      weight: Math.round(WEIGHTS.name * similarity),
+      detail: `Names are ${Math.round(similarity * 100)}% similar`
+    });
+  }
+
+  if (application.ipAddress && application.ipAddress === other.ipAddress) {
+    if (application.userAgent && application.userAgent === other.userAgent) {
+      signals.push({
+        type: 'device',
+        weight: burst ? WEIGHTS.deviceBurst : WEIGHTS.device,
+        detail: burst
+          ? `Same IP address and browser, which have been used for ${deviceBurstSize()} or more applications this week`
+          : 'Same IP address and browser'
+      });
+    } else {
+      signals.push({ type: 'ip', weight: WEIGHTS.ip, detail: `Same IP address (${application.ipAddress})` });
+    }
+  }
+
+  const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.weight, 0));
+
+  return { score, signals };
+};
+
+const isDeviceBurst = async (application) => {
+  if (!application.ipAddress || !application.userAgent) return false;
+
+  const count = await Application.countDocuments({
+    ipAddress: application.ipAddress,
+    userAgent: application.userAgent,
+    applicationDate: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
+  });
+
+  return count >= deviceBurstSize();
+};
+
+/**
+ * Fingerprint an application, compare it with earlier applications that share
+ * an email, phone number, name or IP address, and flag every pair that scores
+ * at or above the threshold. Pairs an admin already dismissed stay dismissed.
+ * Resolves to the open flags for the application.
+ */
+export const scoreApplication = async (applicationOrId) => {
+  const application = await Application.findById(applicationOrId._id || applicationOrId)
+    .select('firstName lastName email countryCode phone ipAddress userAgent applicationDate mergedInto');
+
+  if (!application || application.mergedInto) return [];
+
+  application.fingerprint = fingerprintFor(application);
+  await Application.updateOne({ _id: application._id }, { fingerprint: application.fingerprint });
+
+  const { email, phone, name } = application.fingerprint;
+  const matches = [
+    email && { 'fingerprint.email': email },
+    phone && { 'fingerprint.phone': phone },
+    name && { 'fingerprint.name': name },
+    application.ipAddress && { ipAddress: application.ipAddress }
+  ].filter(Boolean);
+
+  if (matches.length === 0) return [];
+
+  const candidates = await Application.find({
+    _id: { $ne: application._id },
+    mergedInto: null,
+    $or: matches
+  })
+    .select('fingerprint ipAddress userAgent applicationDate')
+    .sort({ applicationDate: -1 })
+    .limit(CANDIDATE_LIMIT);
+
+  const burst = await isDeviceBurst(application);
+
+  for (const candidate of candidates) {
+    const { score, signals } = scorePair(application, candidate, { burst });
+    if (score < duplicateFlagThreshold()) continue;
+
+    // The later submission is always the suspected duplicate of the earlier one
+    const [later, earlier] = candidate.applicationDate > application.applicationDate
+      ? [candidate, application]
+      : [application, candidate];
+
+    await DuplicateFlag.findOneAndUpdate(
+      { application: later._id, duplicateOf: earlier._id },
+      { $set: { score, signals }, $setOnInsert: { status: 'open' } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  return DuplicateFlag.find({
+    $or: [{ application: application._id }, { duplicateOf: application._id }],
+    status: 'open'
+  }).sort({ score: -1 });
+};
+
+/**
+ * Score applications submitted since a date (all of them when omitted), for
+ * instance after changing the weights or to cover applications that predate
+ * duplicate detection. Resolves to the number of applications scored.
+ */
+export const scanApplications = async ({ since } = {}) => {
+  const query = { mergedInto: null };
+  if (since) query.applicationDate = { $gte: since };
+
+  const cursor = Application.find(query).select('_id').sort({ applicationDate: 1 }).cursor();
+  let scanned = 0;
+
+  for await (const { _id } of cursor) {
+    await scoreApplication(_id);
+    scanned++;
+  }
+
+  return scanned;
+};
+
+const loadOpenFlag = async (flagId) => {
+  const flag = await DuplicateFlag.findById(flagId);
+
+  if (!flag) return null;
+
+  if (flag.status !== 'open') {
+    throw new DuplicateResolutionError(`This flag was already ${flag.status}`);
+  }
+
+  return flag;
+};
+
+/**
+ * Merge a flagged pair: keep one application (the earlier one unless `keep`
+ * says otherwise) and fold the other into it. The other application is
+ * withdrawn, which releases its seat and cancels its checkouts and
+ * interviews; its documents move to the kept application and its account is
+ * deactivated when nothing else uses it.
+ *
+ * Resolves to the resolved flag, or null when it does not exist.
+ */
+export const mergeDuplicate = async (flagId, { keep, actor = null, note } = {}) => {
+  const flag = await loadOpenFlag(flagId);
+  if (!flag) return null;
+
+  const keptId = keep || flag.duplicateOf;
+  const pair = [flag.application, flag.duplicateOf];
+
+  if (!pair.some(id => id.toString() === keptId.toString())) {
+    throw new DuplicateResolutionError('The application to keep must be one of the flagged pair');
+  }
+
+  const mergedId = pair.find(id => id.toString() !== keptId.toString());
+  const [kept, merged] = await Promise.all([
+    Application.findById(keptId).select('user status'),
+    Application.findById(mergedId).select('user status paymentStatus cohort')
+  ]);
+
+  if (!kept || !merged) {
+    throw new DuplicateResolutionError('One of the flagged applications no longer exists');
+  }
+
+  if (['paid', 'partially-waived', 'waived'].includes(merged.paymentStatus)) {
+    throw new DuplicateResolutionError('The application being merged away has been paid for; keep that one instead');
+  }
+
+  const reason = `Merged into application ${keptId}${note ? `: ${note}` : ''}`;
+
+  if (canTransition(merged.status, 'withdrawn')) {
+    await withdrawApplication(mergedId, { actor, reason });
+  }
+
+  await Application.updateOne({ _id: mergedId }, { mergedInto: keptId });
+  await ApplicationDocument.updateMany({ application: mergedId }, { application: keptId });
+
+  // A second account opened only for the duplicate is no longer needed
+  if (merged.user && kept.user && merged.user.toString() !== kept.user.toString()) {
+    const inUse = await Application.exists({ user: merged.user, mergedInto: null });
+    if (!inUse) await User.updateOne({ _id: merged.user }, { isActive: false });
+  }
+
+  flag.status = 'merged';
+  flag.keptApplication = keptId;
+  flag.resolvedBy = actor;
+  flag.resolvedAt = new Date();
+  flag.note = note;
+  await flag.save();
+
+  // Other open flags on the merged application have nothing left to review
+  await DuplicateFlag.updateMany(
+    { _id: { $ne: flag._id }, status: 'open', $or: [{ application: mergedId }, { duplicateOf: mergedId }] },
+    { status: 'dismissed', resolvedBy: actor, resolvedAt: new Date(), note: `Closed when application ${mergedId} was merged` }
+  );
+
+  if (merged.cohort && canTransition(merged.status, 'withdrawn')) {
+    await promoteFromWaitlist(merged.cohort, { actor });
+  }
+
+  return flag;
+};
+
+/**
+ * Mark a flagged pair as two different people. Rescoring will not reopen it.
+ * Resolves to the resolved flag, or null when it does not exist.
+ */
+export const dismissDuplicate = async (flagId, { actor = null, note } = {}) => {
+  const flag = await loadOpenFlag(flagId);
+  if (!flag) return null;
+
+  flag.status = 'dismissed';
+  flag.resolvedBy = actor;
+  flag.resolvedAt = new Date();
+  flag.note = note;
+
+  return flag.save();
+};
@@ -0,0 +1,104 @@
+import Application from '../models/Application.js';
+import EligibilityRule, { ELIGIBILITY_FIELDS, RULE_OUTCOMES } from '../models/EligibilityRule.js';
+import { transitionApplication } from './applicationWorkflow.js';
+
+// Application-level result recorded for the most severe matching rule
+const OUTCOME_RESULTS = {
+  reject: 'rejected',
+  flag: 'flagged',
+  shortlist: 'shortlisted'
+};
+
+// Fields an unanswered optional question falls back to on the model
+const FIELD_DEFAULTS = {
+  hasLaptop: false
+};
+
+const rank = (field, value) => (ELIGIBILITY_FIELDS[field].order || []).indexOf(value);
+
+/**
+ * Test one condition against an application. A missing answer satisfies only
+ * the negative operators (notEquals, notIn), and values outside a field's
+ * order ('flexible', 'other', ...) never satisfy an ordered comparison.
+ */
+export const conditionMatches = ({ field, operator, value }, application) => {
+  const actual = application[field] ?? FIELD_DEFAULTS[field];
+
+  if (actual === undefined || actual === null) {
+    return ['notEquals', 'notIn'].includes(operator);
+  }
+
+  switch (operator) {
+    case 'equals': return actual === value;
+    case 'notEquals': return actual !== value;
+    case 'in': return value.includes(actual);
+    case 'notIn': return !value.includes(actual);
+    default: {
+      const actualRank = rank(field, actual);
+      const valueRank = rank(field, value);
+      if (actualRank === -1 || valueRank === -1) return false;
+
+      if (operator === 'lessThan') return actualRank < valueRank;
+      if (operator === 'atMost') return actualRank <= valueRank;
+      if (operator === 'greaterThan') return actualRank > valueRank;
+      if (operator === 'atLeast') return actualRank >= valueRank;
+      return false;
+    }
+  }
+};
+
+export const ruleMatches = (rule, application) => {
+  const results = rule.conditions.map(condition => conditionMatches(condition, application));
+  return rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+};
+
+/**
+ * Run the active rules in scope for an application (its track, program and
+ * cohort) without changing anything. Resolves to { outcome, matchedRules }
+ * where outcome comes from the most severe matching rule, or 'eligible'.
+ */
+export const evaluateEligibility = async (application) => {
+  const rules = await EligibilityRule.findApplicable(application);
+  const matched = rules.filter(rule => ruleMatches(rule, application));
+
+  const decisive = RULE_OUTCOMES.find(outcome => matched.some(rule => rule.outcome === outcome));
+
+  return {
+    outcome: decisive ? OUTCOME_RESULTS[decisive] : 'eligible',
+    matchedRules: matched.map(rule => ({ rule: rule._id, name: rule.name, outcome: rule.outcome }))
+  };
+};
+
+/**
+ * Evaluate a newly submitted application and act on the result: a reject
+ * rule rejects it, a shortlist rule moves it straight to review, and a flag
+ * only records the match so admins can filter for it. The matched rules are
+ * stored on the application and the status change names the deciding rule.
+ *
+ * `application.status` is updated in place so callers can carry on with it.
+ * Resolves to the evaluation result.
+ */
+export const applyEligibilityRules = async (application, { actor = null } = {}) => {
+  const result = await evaluateEligibility(application);
+  const eligibility = { ...result, evaluatedAt: new Date() };
+  const decidingRule = result.matchedRules.find(rule => OUTCOME_RESULTS[rule.outcome] === result.outcome);
+
+  let target = null;
+  if (result.outcome === 'rejected') target = 'rejected';
+  if (result.outcome === 'shortlisted' && application.status === 'submitted') target = 'under-review';
+
+  if (target) {
+    const updated = await transitionApplication(application._id, target, {
+      actor,
+      note: `${result.outcome === 'rejected' ? 'Auto-rejected' : 'Auto-shortlisted'} by eligibility rule "${decidingRule.name}"`,
+      update: { eligibility }
+    });
+
+    if (updated) application.status = updated.status;
+  } else {
+    await Application.updateOne({ _id: application._id }, { eligibility });
+  }
+
+  application.eligibility = eligibility;
+  return result;
+};
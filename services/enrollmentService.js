@@ -0,0 +1,138 @@
+import Application from '../models/Application.js';
+import Cohort from '../models/Cohort.js';
+import User from '../models/user.js';
+import { transitionApplication } from './applicationWorkflow.js';
+import { creditReferrer } from './referralService.js';
+import { redeemCoupons } from './couponService.js';
+import { settleInstallment } from './installmentService.js';
+
+// paymentStatus for an application once this payment has gone through
+export const paymentStatusFor = (payment) => {
+  if (payment.installment?.number && payment.installment.number < payment.installment.of) {
+    return 'partially-paid';
+  }
+
+  const waived = (payment.discounts || []).some(discount => discount.source === 'scholarship');
+
+  if (!waived) return 'paid';
+  return payment.amount === 0 ? 'waived' : 'partially-waived';
+};
+
+// Move the application behind a successful (or fully waived) payment to paid, then to
+// enrolled once a seat in its cohort is taken atomically. Returns false when it could not
+// be enrolled (cohort full, or the application left the accepted state); the payment is
+// still recorded.
+export const enrollApplication = async (payment) => {
+  const application = payment.application;
+  const paymentStatus = paymentStatusFor(payment);
+
+  if (application.status === 'enrolled') return true;
+
+  try {
+    if (application.status !== 'paid') {
+      await transitionApplication(application._id, 'paid', {
+        actor: payment.user?._id,
+        note: paymentStatus === 'waived'
+          ? `Fee waived by scholarship (${payment.reference})`
+          : `Payment ${payment.reference} verified`,
+        update: { paymentStatus }
+      });
+    }
+  } catch (error) {
+    if (error.name !== 'InvalidStatusTransitionError') throw error;
+
+    console.warn(`Application ${application._id} paid while ${error.from}, not enrolling`);
+    await Application.findByIdAndUpdate(application._id, { paymentStatus });
+    return false;
+  }
+
+  // Accepted applications hold a seat already; older offers claim one now
+  const claimsSeat = application.cohort && !application.seatReserved;
+
+  if (claimsSeat) {
+    const cohort = await Cohort.claimSeat(application.cohort);
+
+    if (!cohort) {
+      console.warn(`Cohort ${application.cohort} is full, application ${application._id} paid but not enrolled`);
+      return false;
+    }
+  }
+
+  try {
+    await transitionApplication(application._id, 'enrolled', {
+      note: paymentStatus === 'waived' ? 'Enrolled on a full scholarship' : 'Enrolled after successful payment',
+      update: { seatReserved: Boolean(application.cohort) }
+    });
+  } catch (error) {
+    if (claimsSeat) await Cohort.releaseSeat(application.cohort);
+    throw error;
+  }
+
+  // Update user (use findByIdAndUpdate to avoid validation)
+  await User.findByIdAndUpdate(payment.user._id, {
+    $addToSet: { enrolledPrograms: application._id }
+  }, { runValidators: false }); // Important: Skip validation
+
+  return true;
+};
+
+// Paystack reports charges in the lowest currency unit, which is how Payment.amount is stored
+export const chargeMatchesPayment = (payment, chargeData) => {
+  return Number(chargeData.amount) === payment.amount &&
+    (!chargeData.currency || chargeData.currency === payment.currency);
+};
+
+// Failing a later installment leaves the enrolled application's paymentStatus alone
+export const failsApplication = (payment) => !payment.installment?.number || payment.installment.number === 1;
+
+// Everything that follows a verified successful charge, from the callback, the webhook or reconciliation
+export const completePayment = async (payment) => {
+  await creditReferrer(payment);
+  await redeemCoupons(payment);
+
+  const enrolled = await enrollApplication(payment);
+  if (payment.installment?.number) await settleInstallment(payment);
+
+  return enrolled;
+};
+
+/**
+ * Apply a successful Paystack charge to its payment (with user and application
+ * populated). A charge for the wrong amount or currency fails the payment
+ * instead. The charge data is kept in payment.metadata[dataKey].
+ *
+ * Resolves to { status, enrolled } where status is the payment's new status.
+ */
+export const recordSuccessfulCharge = async (payment, chargeData, { dataKey = 'paystackWebhookData' } = {}) => {
+  payment.verified = true;
+  payment.metadata[dataKey] = chargeData;
+
+  if (!chargeMatchesPayment(payment, chargeData)) {
+    console.error(`Amount mismatch for payment ${payment.reference}: expected ${payment.amount} ${payment.currency}, received ${chargeData.amount} ${chargeData.currency}`);
+    payment.status = 'failed';
+    payment.metadata.amountMismatch = {
+      expected: payment.amount,
+      received: chargeData.amount,
+      currency: chargeData.currency
+    };
+    payment.markModified('metadata');
+    await payment.save();
+
+    if (payment.application && failsApplication(payment)) {
+      await Application.findByIdAndUpdate(payment.application._id, {
+        paymentStatus: 'failed'
+      });
+    }
+
+    return { status: 'failed', enrolled: false };
+  }
+
+  payment.status = 'success';
+  payment.paidAt = new Date(chargeData.paid_at || chargeData.paidAt || Date.now());
+  payment.markModified('metadata');
+  await payment.save();
+
+  const enrolled = payment.application ? await completePayment(payment) : false;
+
+  return { status: 'success', enrolled };
+};
@@ -0,0 +1,434 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import ExcelJS from 'exceljs';
+import Application from '../models/Application.js';
+import User from '../models/user.js';
+import Payment from '../models/payment.js';
+import ExportJob from '../models/ExportJob.js';
+import PaymentDiscrepancy from '../models/PaymentDiscrepancy.js';
+import { getStorage } from './storage/index.js';
+import notificationService from './notificationService.js';
+import { APPLICATION_FILTERS, buildApplicationQuery, buildApplicationSort } from './applicationQuery.js';
+import { buildUserQuery, buildUserSort } from './userQuery.js';
+import { buildPaymentQuery } from './paymentQuery.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+export const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Never exported, whatever columns are requested or added later
+const SENSITIVE_FIELDS = [
+  'password',
+  'confirmPassword',
+  'resetPasswordToken',
+  'resetPasswordExpires',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'ipAddress',
+  'userAgent'
+];
+
+export const exportSyncMaxRows = () => parseInt(process.env.EXPORT_SYNC_MAX_ROWS || '5000', 10);
+const exportRetentionHours = () => parseInt(process.env.EXPORT_RETENTION_HOURS || '24', 10);
+
+export class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportError';
+  }
+}
+
+// `path` is read from each document; `select` is the field to load when it differs
+const column = (header, path, { select, format } = {}) => ({ header, path, select: select || path, format });
+
+const fromKobo = (amount) => (typeof amount === 'number' ? amount / 100 : amount);
+
+const DATASETS = {
+  applications: {
+    model: Application,
+    sheetName: 'Applications',
+    filters: [...APPLICATION_FILTERS, 'sortBy', 'sortOrder'],
+    buildQuery: (filters) => buildApplicationQuery(filters),
+    buildSort: (filters) => buildApplicationSort(filters),
+    columns: {
+      id: column('ID', '_id'),
+      firstName: column('First name', 'firstName'),
+      lastName: column('Last name', 'lastName'),
+      email: column('Email', 'email'),
+      countryCode: column('Country code', 'countryCode'),
+      phone: column('Phone', 'phone'),
+      country: column('Country', 'country'),
+      state: column('State', 'state'),
+      track: column('Track', 'track'),
+      program: column('Program', 'program'),
+      cohort: column('Cohort', 'cohort'),
+      status: column('Status', 'status'),
+      paymentStatus: column('Payment status', 'paymentStatus'),
+      paymentDueAt: column('Payment due', 'paymentDueAt'),
+      waitlistRank: column('Waitlist rank', 'waitlist.rank'),
+      education: column('Education', 'education'),
+      experience: column('Experience', 'experience'),
+      currentRole: column('Current role', 'currentRole'),
+      availableHours: column('Available hours', 'availableHours'),
+      preferredStartDate: column('Preferred start', 'preferredStartDate'),
+      referralSource: column('Referral source', 'referralSource'),
+      hasLaptop: column('Has laptop', 'hasLaptop'),
+      reviewScore: column('Review score', 'reviewSummary.averageScore'),
+      reviewCount: column('Review count', 'reviewSummary.reviewCount'),
+      consensus: column('Consensus', 'reviewSummary.consensus'),
+      applicationDate: column('Applied at', 'applicationDate'),
+      reviewedAt: column('Reviewed at', 'reviewedAt')
+    },
+    defaultColumns: [
+      'id', 'firstName', 'lastName', 'email', 'countryCode', 'phone', 'country',
+      'track', 'program', 'status', 'paymentStatus', 'reviewScore', 'applicationDate'
+    ]
+  },
+  users: {
+    model: User,
+    sheetName: 'Users',
+    filters: ['role', 'search', 'isActive', 'sortBy', 'sortOrder'],
+    buildQuery: (filters, user) => buildUserQuery(filters, user),
+    buildSort: (filters) => buildUserSort(filters),
+    columns: {
+      id: column('ID', '_id'),
+      firstName: column('First name', 'firstName'),
+      lastName: column('Last name', 'lastName'),
+      email: column('Email', 'email'),
+      phone: column('Phone', 'phone'),
+      role: column('Role', 'role'),
+      isActive: column('Active', 'isActive'),
+      isEmailVerified: column('Email verified', 'isEmailVerified'),
+      lastLogin: column('Last login', 'lastLogin'),
+      createdAt: column('Created at', 'createdAt')
+    },
+    defaultColumns: ['id', 'firstName', 'lastName', 'email', 'role', 'isActive', 'createdAt']
+  },
+  payments: {
+    model: Payment,
+    sheetName: 'Payments',
+    filters: ['status', 'track', 'program', 'startDate', 'endDate'],
+    buildQuery: (filters) => buildPaymentQuery(filters),
+    buildSort: () => ({ createdAt: -1 }),
+    populate: { path: 'user', select: 'firstName lastName email' },
+    columns: {
+      reference: column('Reference', 'reference'),
+      status: column('Status', 'status'),
+      amount: column('Amount', 'amount', { format: fromKobo }),
+      currency: column('Currency', 'currency'),
+      track: column('Track', 'track'),
+      program: column('Program', 'program'),
+      firstName: column('First name', 'user.firstName', { select: 'user' }),
+      lastName: column('Last name', 'user.lastName', { select: 'user' }),
+      email: column('Email', 'user.email', { select: 'user' }),
+      application: column('Application', 'application'),
+      paymentMethod: column('Method', 'paymentMethod'),
+      verified: column('Verified', 'verified'),
+      paidAt: column('Paid at', 'paidAt'),
+      createdAt: column('Created at', 'createdAt')
+    },
+    defaultColumns: [
+      'reference', 'status', 'amount', 'currency', 'track', 'program',
+      'firstName', 'lastName', 'email', 'paidAt', 'createdAt'
+    ]
+  },
+  discrepancies: {
+    model: PaymentDiscrepancy,
+    sheetName: 'Discrepancies',
+    filters: ['run', 'type', 'status'],
+    buildQuery: ({ run, type, status }) => ({
+      ...(run && { run }),
+      ...(type && { type }),
+      ...(status && { status })
+    }),
+    buildSort: () => ({ createdAt: -1 }),
+    columns: {
+      id: column('ID', '_id'),
+      run: column('Run', 'run'),
+      type: column('Type', 'type'),
+      reference: column('Reference', 'reference'),
+      payment: column('Payment', 'payment'),
+      application: column('Application', 'application'),
+      localStatus: column('Our status', 'localStatus'),
+      paystackStatus: column('Paystack status', 'paystackStatus'),
+      localAmount: column('Our amount', 'localAmount', { format: fromKobo }),
+      paystackAmount: column('Paystack amount', 'paystackAmount', { format: fromKobo }),
+      currency: column('Currency', 'currency'),
+      action: column('Action taken', 'action'),
+      note: column('Note', 'note'),
+      status: column('Status', 'status'),
+      resolution: column('Resolution', 'resolution'),
+      resolvedAt: column('Resolved at', 'resolvedAt'),
+      createdAt: column('Found at', 'createdAt')
+    },
+    defaultColumns: [
+      'type', 'reference', 'localStatus', 'paystackStatus', 'localAmount', 'paystackAmount',
+      'currency', 'action', 'note', 'status', 'createdAt'
+    ]
+  }
+};
+
+// Fail at startup rather than leak a sensitive field through a new column
+Object.entries(DATASETS).forEach(([name, dataset]) => {
+  Object.values(dataset.columns).forEach(({ select }) => {
+    if (SENSITIVE_FIELDS.includes(select.split('.')[0])) {
+      throw new Error(`Export dataset ${name} must not include ${select}`);
+    }
+  });
+});
+
+const getDataset = (name) => {
+  const dataset = DATASETS[name];
+  if (!dataset) throw new ExportError(`Unknown export: ${name}`);
+  return dataset;
+};
+
+// Keep only the list filters the dataset understands
+export const pickExportFilters = (name, source = {}) => {
+  return getDataset(name).filters.reduce((filters, key) => {
+    if (source[key] !== undefined && source[key] !== '') filters[key] = source[key];
+    return filters;
+  }, {});
+};
+
+/**
+ * Resolve a comma-separated list (or array) of column keys, in the order
+ * given. Without one the dataset's default columns are used.
+ */
+export const resolveColumns = (name, requested) => {
+  const dataset = getDataset(name);
+  const keys = (Array.isArray(requested) ? requested : String(requested || '').split(','))
+    .map(key => key.trim())
+    .filter(Boolean);
+
+  if (keys.length === 0) return dataset.defaultColumns;
+
+  const unknown = keys.filter(key => !dataset.columns[key]);
+  if (unknown.length > 0) {
+    throw new ExportError(
+      `Unknown column(s): ${unknown.join(', ')}. Available: ${Object.keys(dataset.columns).join(', ')}`
+    );
+  }
+
+  return [...new Set(keys)];
+};
+
+const buildCursorQuery = ({ dataset: name, filters, user }) => {
+  const dataset = getDataset(name);
+  return {
+    dataset,
+    query: dataset.buildQuery(filters, user),
+    sort: dataset.buildSort(filters)
+  };
+};
+
+// Number of rows an export would contain
+export const countExportRows = (spec) => {
+  const { dataset, query } = buildCursorQuery(spec);
+  return dataset.model.countDocuments(query);
+};
+
+const valueOf = (doc, { path, format }) => {
+  const value = path.split('.').reduce((current, key) => current?.[key], doc);
+  const formatted = format ? format(value) : value;
+
+  // ObjectIds and other objects become their string form
+  if (formatted && typeof formatted === 'object' && !(formatted instanceof Date)) {
+    return formatted.toString();
+  }
+  return formatted;
+};
+
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Stop spreadsheet apps from evaluating applicant-supplied text as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write with backpressure so large exports don't pile up in memory
+const write = async (output, chunk) => {
+  if (output.destroyed) throw new Error('Export output was closed');
+  if (!output.write(chunk)) {
+    await Promise.race([once(output, 'drain'), once(output, 'close')]);
+  }
+};
+
+/**
+ * Stream an export to a writable (an HTTP response or a file) and end it.
+ * Spec: { dataset, filters, columns, format, user }. Resolves to the row count.
+ */
+export const writeExport = async (spec, output) => {
+  const { dataset, query, sort } = buildCursorQuery(spec);
+  const columns = spec.columns.map(key => ({ key, ...dataset.columns[key] }));
+  const select = [...new Set(columns.map(col => col.select))].join(' ');
+
+  let cursorQuery = dataset.model.find(query).select(select).sort(sort).lean();
+  if (dataset.populate) cursorQuery = cursorQuery.populate(dataset.populate);
+  const cursor = cursorQuery.cursor();
+
+  let rowCount = 0;
+
+  try {
+    if (spec.format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: output,
+        useStyles: false,
+        useSharedStrings: false
+      });
+      const sheet = workbook.addWorksheet(dataset.sheetName);
+      sheet.columns = columns.map(col => ({ header: col.header, key: col.key, width: 20 }));
+
+      for await (const doc of cursor) {
+        const row = {};
+        columns.forEach(col => { row[col.key] = valueOf(doc, col); });
+        sheet.addRow(row).commit();
+        rowCount++;
+      }
+
+      sheet.commit();
+      await workbook.commit();
+    } else {
+      await write(output, `${columns.map(col => toCsvCell(col.header)).join(',')}\r\n`);
+
+      for await (const doc of cursor) {
+        await write(output, `${columns.map(col => toCsvCell(valueOf(doc, col))).join(',')}\r\n`);
+        rowCount++;
+      }
+
+      output.end();
+    }
+
+    await finished(output);
+  } finally {
+    await cursor.close();
+  }
+
+  return rowCount;
+};
+
+export const exportFileName = (name, format, at = new Date()) => {
+  return `${name}-${at.toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${format}`;
+};
+
+// Download links carry a signature so they work from an email without a login session
+const signDownload = (job) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`export:${job._id}:${new Date(job.expiresAt).getTime()}`)
+  .digest('hex');
+
+export const verifyDownloadToken = (job, token) => {
+  if (!token || !job.expiresAt || job.expiresAt < new Date()) return false;
+
+  const expected = Buffer.from(signDownload(job));
+  const given = Buffer.from(String(token));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+export const downloadUrlFor = (job) => {
+  if (job.status !== 'completed') return undefined;
+  return `${process.env.API_URL || ''}/api/exports/${job._id}/download?token=${signDownload(job)}`;
+};
+
+/**
+ * Run one export job: write the file to a temporary path, move it to
+ * storage and email the requester a download link.
+ */
+export const runExportJob = async (job) => {
+  const tmpPath = path.join(os.tmpdir(), `export-${job._id}.${job.format}`);
+
+  try {
+    const user = await User.findById(job.requestedBy).select('firstName email role');
+
+    const rowCount = await writeExport({
+      dataset: job.dataset,
+      filters: job.filters,
+      columns: job.columns,
+      format: job.format,
+      user
+    }, fs.createWriteStream(tmpPath));
+
+    const storage = getStorage();
+    const storageKey = `exports/${job._id}.${job.format}`;
+    await storage.saveFile(storageKey, tmpPath, { contentType: CONTENT_TYPES[job.format] });
+
+    const completed = await ExportJob.findByIdAndUpdate(job._id, {
+      status: 'completed',
+      rowCount,
+      storageDriver: storage.name,
+      storageKey,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + exportRetentionHours() * 60 * 60 * 1000)
+    }, { new: true });
+
+    if (user) {
+      await notificationService.sendEmail({
+        to: user.email,
+        subject: `Your ${job.dataset} export is ready`,
+        text: `Hi ${user.firstName},\n\nYour export (${rowCount} rows) is ready: ${downloadUrlFor(completed)}\n\n` +
+          `The link expires in ${exportRetentionHours()} hours.`
+      });
+    }
+  } catch (error) {
+    console.error(`Export job ${job._id} failed:`, error);
+    await ExportJob.findByIdAndUpdate(job._id, {
+      status: 'failed',
+      error: error.message,
+      completedAt: new Date()
+    });
+  } finally {
+    await fs.promises.rm(tmpPath, { force: true });
+  }
+};
+
+/**
+ * Run queued export jobs one at a time (claimed atomically, so several
+ * callers can run this at once), then clean up: jobs stuck running for over
+ * an hour are failed and expired files are deleted.
+ */
+export const processExportJobs = async () => {
+  let processed = 0;
+
+  for (;;) {
+    const job = await ExportJob.findOneAndUpdate(
+      { status: 'queued' },
+      { status: 'running', startedAt: new Date() },
+      { new: true, sort: { createdAt: 1 } }
+    );
+
+    if (!job) break;
+
+    await runExportJob(job);
+    processed++;
+  }
+
+  await ExportJob.updateMany(
+    { status: 'running', startedAt: { $lt: new Date(Date.now() - 60 * 60 * 1000) } },
+    { status: 'failed', error: 'Export timed out', completedAt: new Date() }
+  );
+
+  const expiredJobs = await ExportJob.find({ status: 'completed', expiresAt: { $lt: new Date() } })
+    .select('+storageKey');
+
+  for (const job of expiredJobs) {
+    try {
+      await getStorage(job.storageDriver).remove(job.storageKey);
+      await ExportJob.deleteOne({ _id: job._id });
+    } catch (error) {
+      console.error(`Could not remove expired export ${job._id}:`, error);
+    }
+  }
+
+  return { processed, expired: expiredJobs.length };
+};
@@ -0,0 +1,151 @@
+import ApplicationForm from '../models/ApplicationForm.js';
+
+export class FormAnswerError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'FormAnswerError';
+    this.errors = errors;
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check one answer against its question and convert it to the stored type.
+ * Returns { value } or { error }.
+ */
+const checkAnswer = (question, raw) => {
+  const { type, label } = question;
+
+  switch (type) {
+    case 'text':
+    case 'textarea': {
+      const value = String(raw).trim();
+      if (question.minLength && value.length < question.minLength) {
+        return { error: `'${label}' must be at least ${question.minLength} characters` };
+      }
+      if (question.maxLength && value.length > question.maxLength) {
+        return { error: `'${label}' must be at most ${question.maxLength} characters` };
+      }
+      return { value };
+    }
+
+    case 'number': {
+      const value = Number(raw);
+      if (Number.isNaN(value)) return { error: `'${label}' must be a number` };
+      if (question.min !== undefined && value < question.min) return { error: `'${label}' must be at least ${question.min}` };
+      if (question.max !== undefined && value > question.max) return { error: `'${label}' must be at most ${question.max}` };
+      return { value };
+    }
+
+    case 'boolean': {
+      if ([true, 'true'].includes(raw)) return { value: true };
+      if ([false, 'false'].includes(raw)) return { value: false };
+      return { error: `'${label}' must be true or false` };
+    }
+
+    case 'select': {
+      if (!question.options.includes(raw)) return { error: `'${label}' must be one of: ${question.options.join(', ')}` };
+      return { value: raw };
+    }
+
+    case 'multiselect': {
+      // A CSV cell or form field can send the choices comma separated
+      const values = Array.isArray(raw) ? raw : String(raw).split(',').map(item => item.trim()).filter(Boolean);
+      const unknown = values.filter(item => !question.options.includes(item));
+      if (unknown.length > 0) return { error: `'${label}' has invalid choices: ${unknown.join(', ')}` };
+      if (new Set(values).size !== values.length) return { error: `'${label}' lists a choice more than once` };
+      if (question.min !== undefined && values.length < question.min) return { error: `Choose at least ${question.min} option(s) for '${label}'` };
+      if (question.max !== undefined && values.length > question.max) return { error: `Choose at most ${question.max} option(s) for '${label}'` };
+      return { value: values };
+    }
+
+    case 'date': {
+      const value = new Date(raw);
+      if (Number.isNaN(value.getTime())) return { error: `'${label}' must be a valid date` };
+      return { value };
+    }
+
+    case 'url': {
+      const value = String(raw).trim();
+      if (!isValidUrl(value)) return { error: `'${label}' must be a valid http(s) URL` };
+      return { value };
+    }
+
+    default:
+      return { error: `'${label}' has an unsupported question type` };
+  }
+};
+
+/**
+ * Check submitted answers (an object keyed by question key) against a form.
+ *
+ * Required questions must be answered, answers for questions the form does
+ * not ask are rejected, and each answer must fit its question's type, options
+ * and limits. Resolves to the answers in form order, ready to store.
+ */
+export const validateAnswers = (form, answers = {}) => {
+  const errors = [];
+
+  if (typeof answers !== 'object' || answers === null || Array.isArray(answers)) {
+    throw new FormAnswerError('Invalid answers', [{ field: 'answers', message: 'Answers must be an object keyed by question' }]);
+  }
+
+  Object.keys(answers).forEach(key => {
+    if (!form.questions.some(question => question.key === key)) {
+      errors.push({ field: `answers.${key}`, message: `Unknown question '${key}'` });
+    }
+  });
+
+  const stored = [];
+
+  form.questions.forEach(question => {
+    const raw = answers[question.key];
+    const field = `answers.${question.key}`;
+
+    if (isBlank(raw)) {
+      if (question.required) errors.push({ field, message: `'${question.label}' is required` });
+      return;
+    }
+
+    const { value, error } = checkAnswer(question, raw);
+    if (error) {
+      errors.push({ field, message: error });
+      return;
+    }
+
+    stored.push({ key: question.key, label: question.label, type: question.type, value });
+  });
+
+  if (errors.length > 0) {
+    throw new FormAnswerError('Invalid answers to the application questions', errors);
+  }
+
+  return stored;
+};
+
+/**
+ * Validate answers against the active form for a track and program.
+ * Resolves to the `customAnswers` to store on the application, or undefined
+ * when the track asks no extra questions.
+ */
+export const resolveCustomAnswers = async (track, program, answers) => {
+  const form = await ApplicationForm.findActiveFor(track, program);
+
+  if (!form) return undefined;
+
+  return {
+    form: form._id,
+    answers: validateAnswers(form, answers)
+  };
+};
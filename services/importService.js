@@ -0,0 +1,310 @@
+import crypto from 'crypto';
+import { parse } from 'csv-parse/sync';
+import { validationResult } from 'express-validator';
+import Application from '../models/Application.js';
+import User from '../models/user.js';
+import Cohort from '../models/Cohort.js';
+import notificationService from './notificationService.js';
+import { initialStatus } from './applicationWorkflow.js';
+import { isAutoAssignEnabled, autoAssignApplication } from './assignmentService.js';
+import { scoreApplication } from './duplicateService.js';
+import { resolveCustomAnswers } from './formService.js';
+import { applyEligibilityRules } from './eligibilityService.js';
+import { resolveReferral } from './referralService.js';
+import { sanitizeValue } from '../middleware/validation.js';
+import { applicationValidation } from '../routes/applicationRoutes.js';
+import { registerValidation } from '../routes/authRoutes.js';
+
+// Largest number of data rows one CSV file may contain
+export const importRowLimit = () => parseInt(process.env.IMPORT_MAX_ROWS || '1000', 10);
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Columns copied from a row onto the application; anything else in the file is ignored
+const APPLICATION_COLUMNS = [
+  'firstName', 'lastName', 'email', 'countryCode', 'phone', 'country', 'state',
+  'track', 'program', 'preferredStartDate', 'availableHours', 'hasLaptop',
+  'motivation', 'goals', 'education', 'experience', 'currentRole', 'referralSource', 'referralCode',
+  'agreeToTerms', 'wantsUpdates'
+];
+
+const USER_COLUMNS = ['firstName', 'lastName', 'email', 'phone', 'role'];
+
+const pickColumns = (row, columns) => columns.reduce((picked, column) => {
+  if (row[column] !== undefined) picked[column] = row[column];
+  return picked;
+}, {});
+
+// Answers to the track's custom questions come from "answers.<question key>" columns
+const ANSWER_PREFIX = 'answers.';
+
+const pickAnswers = (row) => Object.fromEntries(Object.entries(row)
+  .filter(([column]) => column.startsWith(ANSWER_PREFIX))
+  .map(([column, value]) => [column.slice(ANSWER_PREFIX.length), value]));
+
+/**
+ * Parse an uploaded CSV file into rows keyed by the header line.
+ * Blank cells are dropped so optional columns behave as if they were absent.
+ * Resolves to [{ line, data }] where line is the row's line number in the file.
+ */
+export const parseCsv = (buffer) => {
+  let records;
+
+  try {
+    records = parse(buffer, {
+      bom: true,
+      columns: (header) => header.map(column => column.trim()),
+      skip_empty_lines: true,
+      trim: true,
+      info: true
+    });
+  } catch (error) {
+    throw new ImportError(`Could not read the CSV file: ${error.message}`);
+  }
+
+  if (records.length === 0) {
+    throw new ImportError('The CSV file has no data rows');
+  }
+
+  if (records.length > importRowLimit()) {
+    throw new ImportError(`A single import can contain at most ${importRowLimit()} rows`);
+  }
+
+  return records.map(({ record, info }) => ({
+    line: info.lines,
+    data: Object.fromEntries(Object.entries(record).filter(([, value]) => value !== ''))
+  }));
+};
+
+// Run route validation rules against a row as if it had been posted to that route
+const validateRow = async (rules, data) => {
+  const req = { body: sanitizeValue(data) };
+
+  await Promise.all(rules.filter(rule => typeof rule.run === 'function').map(rule => rule.run(req)));
+
+  const errors = validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+
+  return { data: req.body, errors };
+};
+
+// Imported accounts never get a usable password; the owner sets one from the invite
+const throwawayPassword = () => crypto.randomBytes(32).toString('hex');
+
+const inviteUrl = (token) => {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').split(',')[0].trim();
+  return `${frontendUrl}/reset-password/${token}`;
+};
+
+const sendInvite = (user, token, intro) => notificationService.sendEmail({
+  to: user.email,
+  subject: 'You have been invited to Binarify Academy',
+  text: `Hi ${user.firstName},\n\n${intro}\n\n` +
+    `Choose a password to activate your account: ${inviteUrl(token)}\n\n` +
+    `This link expires in ${process.env.INVITE_EXPIRY_DAYS || 7} days.`
+});
+
+const summarise = (rows) => rows.reduce((summary, row) => {
+  summary[row.status]++;
+  return summary;
+}, { total: rows.length, valid: 0, invalid: 0, created: 0, failed: 0 });
+
+/**
+ * Validate every row, then (unless this is a dry run) create a record for each
+ * valid one with `create`. `extract` picks the values to use from a validated
+ * row. Invalid rows are skipped and reported; a row that fails while being
+ * created does not stop the rest.
+ */
+const runImport = async (rows, { rules, extract, checkRow, create, dryRun }) => {
+  const report = [];
+  const seenEmails = new Set();
+
+  for (const { line, data } of rows) {
+    const { data: cleaned, errors } = await validateRow(rules, data);
+    const values = extract(cleaned);
+
+    if (values.email && seenEmails.has(values.email)) {
+      errors.push({ field: 'email', message: 'Email appears more than once in this file' });
+    }
+    if (values.email) seenEmails.add(values.email);
+
+    if (errors.length === 0) {
+      errors.push(...await checkRow(values));
+    }
+
+    report.push({
+      row: line,
+      email: data.email,
+      status: errors.length ? 'invalid' : 'valid',
+      errors: errors.length ? errors : undefined,
+      values
+    });
+  }
+
+  if (!dryRun) {
+    for (const entry of report.filter(item => item.status === 'valid')) {
+      try {
+        entry.id = await create(entry.values);
+        entry.status = 'created';
+      } catch (error) {
+        console.error(`Import failed for row ${entry.row}:`, error);
+        entry.status = 'failed';
+        entry.errors = [{
+          field: null,
+          message: error.name === 'ValidationError' || error.code === 11000 ? error.message : 'Could not create record'
+        }];
+      }
+    }
+  }
+
+  const results = report.map(({ values, ...entry }) => entry);
+
+  return { dryRun, summary: summarise(results), rows: results };
+};
+
+/**
+ * Import applications from CSV rows. Each row is checked with the same rules
+ * as the public application form, then gets a student account (with an
+ * invite email to set its password) and a submitted application in the
+ * track's open cohort. Custom questions are answered in "answers.<key>" columns.
+ */
+export const importApplications = async (rows, { actor = null, dryRun = true } = {}) => {
+  const cohorts = new Map();
+
+  const findCohort = async (track, program) => {
+    const key = `${track}:${program}`;
+    if (!cohorts.has(key)) cohorts.set(key, await Cohort.findOpen(track, program));
+    return cohorts.get(key);
+  };
+
+  return runImport(rows, {
+    rules: applicationValidation,
+    extract: (row) => ({ ...pickColumns(row, APPLICATION_COLUMNS), answers: pickAnswers(row) }),
+    dryRun,
+    checkRow: async (values) => {
+      const errors = [];
+
+      if (await User.exists({ email: values.email })) {
+        errors.push({ field: 'email', message: 'Email is already registered' });
+      }
+      if (!await findCohort(values.track, values.program)) {
+        errors.push({ field: 'track', message: 'No cohort is currently accepting applications' });
+      }
+
+      try {
+        values.customAnswers = await resolveCustomAnswers(values.track, values.program, values.answers);
+      } catch (error) {
+        if (error.name !== 'FormAnswerError') throw error;
+        errors.push(...error.errors);
+      }
+
+      if (values.referralCode) {
+        try {
+          values.referral = await resolveReferral(values.referralCode, { email: values.email });
+        } catch (error) {
+          if (error.name !== 'ReferralError') throw error;
+          errors.push({ field: 'referralCode', message: error.message });
+        }
+      }
+
+      return errors;
+    },
+    create: async (values) => {
+      const { answers, referralCode, ...fields } = values;
+      const cohort = await findCohort(values.track, values.program);
+      const password = throwawayPassword();
+
+      const user = new User({
+        firstName: values.firstName,
+        lastName: values.lastName,
+        email: values.email,
+        phone: (values.countryCode || '+234') + values.phone,
+        password,
+        role: 'student',
+        isEmailVerified: false,
+        isActive: true
+      });
+      const inviteToken = user.createInviteToken();
+      await user.save();
+
+      let application;
+      try {
+        application = await Application.create({
+          ...fields,
+          ...initialStatus(actor, 'Imported from CSV'),
+          password,
+          confirmPassword: password,
+          user: user._id,
+          cohort: cohort._id
+        });
+      } catch (error) {
+        // Don't leave an account behind without its application
+        await user.deleteOne();
+        throw error;
+      }
+
+      try {
+        await applyEligibilityRules(application, { actor });
+      } catch (eligibilityError) {
+        console.error('Eligibility rules error:', eligibilityError);
+      }
+
+      if (isAutoAssignEnabled() && application.status !== 'rejected') {
+        try {
+          await autoAssignApplication(application);
+        } catch (assignError) {
+          console.error('Auto assignment error:', assignError);
+        }
+      }
+
+      try {
+        await scoreApplication(application);
+      } catch (scoreError) {
+        console.error('Duplicate scoring error:', scoreError);
+      }
+
+      await sendInvite(user, inviteToken,
+        `Your application for the ${application.track} ${application.program} programme has been submitted on your behalf.`);
+
+      return application._id;
+    }
+  });
+};
+
+/**
+ * Import staff accounts (reviewers, admissions, admins) from CSV rows, checked
+ * with the same rules as registration. Accounts get an invite email instead
+ * of a password; any password column in the file is ignored.
+ */
+export const importUsers = async (rows, { dryRun = true } = {}) => {
+  return runImport(rows.map(row => ({ ...row, data: { ...row.data, password: throwawayPassword() } })), {
+    rules: registerValidation,
+    extract: (row) => pickColumns(row, USER_COLUMNS),
+    dryRun,
+    checkRow: async (values) => (await User.exists({ email: values.email })
+      ? [{ field: 'email', message: 'Email is already registered' }]
+      : []),
+    create: async (values) => {
+      const user = new User({
+        ...values,
+        role: values.role || 'reviewer',
+        password: throwawayPassword(),
+        isEmailVerified: false,
+        isActive: true
+      });
+      const inviteToken = user.createInviteToken();
+      await user.save();
+
+      await sendInvite(user, inviteToken, `An account has been created for you as ${user.role} on the Binarify Academy admissions platform.`);
+
+      return user._id;
+    }
+  });
+};
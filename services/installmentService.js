@@ -0,0 +1,436 @@
+import Application from '../models/Application.js';
+import InstallmentPlan from '../models/InstallmentPlan.js';
+import Payment from '../models/payment.js';
+import User from '../models/user.js';
+import notificationService from './notificationService.js';
+import paymentService from './paymentService.js';
+
+export class InstallmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InstallmentError';
+  }
+}
+
+// Installments that still have to be paid; a failed charge can be retried
+export const UNPAID_INSTALLMENT_STATUSES = ['scheduled', 'pending', 'failed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addIntervals = (date, interval, count) => {
+  const next = new Date(date);
+
+  if (interval === 'weekly') {
+    next.setDate(next.getDate() + 7 * count);
+    return next;
+  }
+
+  // Keep to the last day of shorter months rather than spilling into the next one (31 Jan → 28 Feb)
+  const day = next.getDate();
+  next.setDate(1);
+  next.setMonth(next.getMonth() + (interval === 'quarterly' ? 3 : 1) * count);
+  next.setDate(Math.min(day, new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate()));
+
+  return next;
+};
+
+/**
+ * Split a total (kobo) into equal installments. The first one carries the
+ * rounding so the later ones all match, which a fixed-amount Paystack plan needs.
+ */
+export const splitAmount = (total, count) => {
+  const part = Math.floor(total / count);
+  return [total - part * (count - 1), ...Array(count - 1).fill(part)];
+};
+
+// Installment amounts and due dates for paying `amount` on a plan, starting today
+export const scheduleFor = (plan, amount, start = new Date()) => {
+  return splitAmount(amount, plan.installmentCount).map((part, index) => ({
+    number: index + 1,
+    amount: part,
+    dueAt: addIntervals(start, plan.interval, index)
+  }));
+};
+
+/**
+ * Find an active plan and check it can be used for an application's track
+ * and program. Throws InstallmentError when it cannot.
+ */
+export const findInstallmentPlan = async (planId, application) => {
+  const plan = await InstallmentPlan.findOne({ _id: planId, isActive: true });
+
+  if (!plan ||
+      (plan.tracks.length && !plan.tracks.includes(application.track)) ||
+      (plan.programs.length && !plan.programs.includes(application.program))) {
+    throw new InstallmentError('This installment plan is not available for your track and program');
+  }
+
+  return plan;
+};
+
+/**
+ * Create the Payment records for a checkout on an installment plan: the first
+ * installment as a pending checkout carrying the checkout's discounts and
+ * referral, and the rest as scheduled payments with their due dates.
+ *
+ * Resolves to the payments in installment order.
+ */
+export const createInstallmentSchedule = async (application, checkout, plan, { userId, currency, reference, metadata = {}, expiresAt }) => {
+  const [first, ...later] = scheduleFor(plan, checkout.amount);
+  const installment = (item) => ({ plan: plan._id, number: item.number, of: plan.installmentCount, dueAt: item.dueAt });
+
+  const base = {
+    user: userId,
+    application: application._id,
+    track: application.track,
+    program: application.program,
+    currency
+  };
+
+  const firstPayment = await Payment.create({
+    ...base,
+    ...checkout,
+    amount: first.amount,
+    installment: installment(first),
+    reference,
+    status: 'pending',
+    metadata,
+    ...(expiresAt && { expiresAt })
+  });
+
+  try {
+    const laterPayments = await Payment.insertMany(later.map(item => ({
+      ...base,
+      amount: item.amount,
+      installment: installment(item),
+      reference: `INST-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}-${item.number}`,
+      status: 'scheduled',
+      expiresAt: null,
+      metadata: { applicationId: application._id.toString() }
+    })));
+
+    return [firstPayment, ...laterPayments];
+  } catch (error) {
+    await Payment.deleteOne({ _id: firstPayment._id });
+    throw error;
+  }
+};
+
+// The live schedule behind an application's current plan, in installment order
+export const getInstallmentSchedule = (applicationId) => {
+  return Payment.find({
+    application: applicationId,
+    'installment.number': { $exists: true },
+    status: { $nin: ['cancelled', 'expired'] }
+  }).sort({ 'installment.number': 1 });
+};
+
+// The earliest installment still to be paid, or null when the plan is paid off
+export const nextInstallment = (applicationId) => {
+  return Payment.findOne({
+    application: applicationId,
+    'installment.number': { $exists: true },
+    status: { $in: UNPAID_INSTALLMENT_STATUSES }
+  }).sort({ 'installment.number': 1 });
+};
+
+const formatAmount = (payment) => `${payment.currency} ${(payment.amount / 100).toLocaleString()}`;
+
+const notifyOverdue = (application, installment, restrictOn) => notificationService.sendEmail({
+  to: application.email,
+  subject: 'Your Binarify Academy installment is overdue',
+  text: `Hi ${application.firstName},\n\n` +
+    `Installment ${installment.installment.number} of ${installment.installment.of} (${formatAmount(installment)}) ` +
+    `was due on ${installment.installment.dueAt.toUTCString()}.\n\n` +
+    `Please pay it from your dashboard by ${restrictOn.toUTCString()} to keep access to your program.`
+});
+
+const notifyRestricted = (application) => notificationService.sendEmail({
+  to: application.email,
+  subject: 'Your Binarify Academy access has been suspended',
+  text: `Hi ${application.firstName},\n\n` +
+    'An installment on your payment plan is still unpaid, so access to your program has been suspended. ' +
+    'Your place is kept for you: access is restored as soon as the overdue installment is paid.'
+});
+
+const notifyRestored = (application) => notificationService.sendEmail({
+  to: application.email,
+  subject: 'Your Binarify Academy access has been restored',
+  text: `Hi ${application.firstName},\n\n` +
+    'Thank you for your payment. Your access to the program has been restored.'
+});
+
+const notifyAutoDebitFailed = (application, installment) => notificationService.sendEmail({
+  to: application.email,
+  subject: 'We could not charge your Binarify Academy installment',
+  text: `Hi ${application.firstName},\n\n` +
+    `We tried to charge installment ${installment.installment.number} of ${installment.installment.of} ` +
+    `(${formatAmount(installment)}) to your card, but the charge did not go through.\n\n` +
+    'Please pay it from your dashboard to keep access to your program.'
+});
+
+const sendQuietly = async (send) => {
+  try {
+    await send();
+  } catch (notifyError) {
+    console.error('Installment notification error:', notifyError);
+  }
+};
+
+/**
+ * Work out where an application's installment plan stands and apply it:
+ * 'completed' once everything is paid, 'overdue' while an installment is past
+ * due, and 'lapsed' once it has been overdue for longer than the plan's grace
+ * period. A lapsed plan suspends access by taking the program off the
+ * student's enrolledPrograms; catching up restores it.
+ *
+ * Resolves to the new status, or null when the application is not on a plan.
+ */
+export const refreshInstallmentStatus = async (applicationId, { now = new Date() } = {}) => {
+  const application = await Application.findById(applicationId)
+    .select('firstName email user status installments');
+
+  if (!application?.installments?.plan) return null;
+
+  const [plan, schedule] = await Promise.all([
+    InstallmentPlan.findById(application.installments.plan),
+    getInstallmentSchedule(application._id)
+  ]);
+
+  const unpaid = schedule.filter(payment => UNPAID_INSTALLMENT_STATUSES.includes(payment.status));
+  const overdue = unpaid.filter(payment => payment.installment.dueAt <= now);
+  const graceMs = (plan?.gracePeriodDays ?? 7) * DAY_MS;
+
+  let status = 'current';
+  let overdueSince = null;
+
+  if (unpaid.length === 0) {
+    status = 'completed';
+  } else if (overdue.length > 0) {
+    overdueSince = overdue[0].installment.dueAt;
+    status = now - overdueSince >= graceMs ? 'lapsed' : 'overdue';
+  }
+
+  const previous = application.installments.status;
+  const wasRestricted = Boolean(application.installments.restrictedAt);
+  const update = { 'installments.status': status, 'installments.overdueSince': overdueSince };
+
+  if (status === 'completed') {
+    const waived = (schedule[0]?.discounts || []).some(discount => discount.source === 'scholarship');
+    update.paymentStatus = waived ? 'partially-waived' : 'paid';
+  }
+
+  const restrict = status === 'lapsed' && !wasRestricted;
+  const restore = status !== 'lapsed' && wasRestricted;
+
+  if (restrict) update['installments.restrictedAt'] = now;
+  if (restore) update['installments.restrictedAt'] = null;
+
+  await Application.updateOne({ _id: application._id }, { $set: update });
+
+  if (restrict) {
+    await User.findByIdAndUpdate(application.user, {
+      $pull: { enrolledPrograms: application._id }
+    }, { runValidators: false });
+    await sendQuietly(() => notifyRestricted(application));
+  } else if (restore && application.status === 'enrolled') {
+    await User.findByIdAndUpdate(application.user, {
+      $addToSet: { enrolledPrograms: application._id }
+    }, { runValidators: false });
+    await sendQuietly(() => notifyRestored(application));
+  }
+
+  if (status === 'overdue' && previous !== 'overdue') {
+    await sendQuietly(() => notifyOverdue(application, overdue[0], new Date(overdueSince.getTime() + graceMs)));
+  }
+
+  return status;
+};
+
+// Card details from the Paystack charge behind a verified payment
+const chargeDataFor = (payment) => payment.metadata?.paystackData ||
+  payment.metadata?.paystackWebhookData ||
+  payment.metadata?.paystackReconciliationData;
+
+/**
+ * Charge the remaining installments to the card used for the first one,
+ * through a Paystack plan and subscription starting on the second due date.
+ * Skipped when the card cannot be charged again. Failures are logged; the
+ * applicant can still pay each installment from their dashboard.
+ */
+const startAutoDebit = async (payment, plan) => {
+  const charge = chargeDataFor(payment);
+  if (!charge?.authorization?.reusable) return null;
+
+  const second = await nextInstallment(payment.application._id || payment.application);
+  if (!second) return null;
+
+  const planResult = await paymentService.createPlan({
+    name: `Installments for application ${second.application}`,
+    amount: second.amount,
+    interval: plan.interval,
+    invoice_limit: second.installment.of - 1,
+    currency: second.currency
+  });
+
+  if (!planResult.success) {
+    console.error('Auto-debit plan error:', planResult.error);
+    return null;
+  }
+
+  const subscriptionResult = await paymentService.createSubscription({
+    customer: charge.customer?.customer_code || charge.customer?.email,
+    plan: planResult.data.plan_code,
+    authorization: charge.authorization.authorization_code,
+    start_date: second.installment.dueAt.toISOString()
+  });
+
+  if (!subscriptionResult.success) {
+    console.error('Auto-debit subscription error:', subscriptionResult.error);
+    return null;
+  }
+
+  const autoDebit = {
+    planCode: planResult.data.plan_code,
+    subscriptionCode: subscriptionResult.data.subscription_code,
+    enabledAt: new Date()
+  };
+
+  await Application.updateOne({ _id: second.application }, { 'installments.autoDebit': autoDebit });
+
+  return autoDebit;
+};
+
+/**
+ * Record a verified successful installment on its application. The first one
+ * puts the application on the plan (and starts auto-debit when the plan uses
+ * it); every one brings the plan's status up to date.
+ */
+export const settleInstallment = async (payment) => {
+  const applicationId = payment.application._id || payment.application;
+
+  if (payment.installment.number === 1) {
+    const plan = await InstallmentPlan.findById(payment.installment.plan);
+    const schedule = await getInstallmentSchedule(applicationId);
+
+    await Application.updateOne({ _id: applicationId }, {
+      installments: {
+        plan: payment.installment.plan,
+        count: payment.installment.of,
+        total: schedule.reduce((sum, item) => sum + item.amount, 0),
+        status: 'current'
+      }
+    });
+
+    if (plan?.autoDebit) {
+      try {
+        await startAutoDebit(payment, plan);
+      } catch (error) {
+        console.error('Auto-debit setup error:', error);
+      }
+    }
+  }
+
+  return refreshInstallmentStatus(applicationId);
+};
+
+/**
+ * Match a Paystack subscription charge (which carries a reference we did not
+ * issue) to the next unpaid installment of the application on that plan, and
+ * give the installment the charge's reference. Resolves to the payment, or
+ * null when nothing matches.
+ */
+export const claimSubscriptionCharge = async (chargeData) => {
+  const planCode = chargeData.plan?.plan_code || (typeof chargeData.plan === 'string' ? chargeData.plan : null);
+  if (!planCode) return null;
+
+  const application = await Application.findOne({ 'installments.autoDebit.planCode': planCode }).select('_id');
+  if (!application) return null;
+
+  const installment = await nextInstallment(application._id);
+  if (!installment) {
+    console.error(`Auto-debit charge ${chargeData.reference} arrived for a paid-off plan on application ${application._id}; it needs a refund`);
+    return null;
+  }
+
+  installment.reference = chargeData.reference;
+  installment.status = 'pending';
+  await installment.save();
+
+  return installment;
+};
+
+/**
+ * Mark the installment a failed Paystack subscription invoice was for as
+ * failed, so it can be paid by hand from the dashboard, and tell the
+ * applicant. Resolves to the payment, or null when nothing matches.
+ */
+export const failSubscriptionCharge = async (invoiceData) => {
+  const subscriptionCode = invoiceData.subscription?.subscription_code;
+  if (!subscriptionCode) return null;
+
+  const application = await Application.findOne({ 'installments.autoDebit.subscriptionCode': subscriptionCode })
+    .select('firstName email');
+  if (!application) return null;
+
+  const installment = await nextInstallment(application._id);
+  if (!installment) return null;
+
+  installment.status = 'failed';
+  installment.metadata = {
+    ...installment.metadata,
+    autoDebitFailure: {
+      invoiceCode: invoiceData.invoice_code,
+      reason: invoiceData.description || invoiceData.transaction?.gateway_response,
+      at: new Date()
+    }
+  };
+  await installment.save();
+
+  await sendQuietly(() => notifyAutoDebitFailed(application, installment));
+  await refreshInstallmentStatus(application._id);
+
+  return installment;
+};
+
+/**
+ * Forget a Paystack subscription that was disabled or will not renew, so the
+ * remaining installments can be paid by hand. The plan code is kept so a late
+ * charge on it is still matched. Resolves to true when a plan was updated.
+ */
+export const stopAutoDebit = async (subscriptionData) => {
+  if (!subscriptionData.subscription_code) return false;
+
+  const result = await Application.updateOne(
+    { 'installments.autoDebit.subscriptionCode': subscriptionData.subscription_code },
+    { $unset: { 'installments.autoDebit.subscriptionCode': '' } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Mark installment plans with a past-due installment as overdue or lapsed.
+ * Resolves to counts of plans in each state after the sweep.
+ */
+export const sweepInstallments = async ({ now = new Date() } = {}) => {
+  const applicationIds = await Payment.distinct('application', {
+    status: { $in: UNPAID_INSTALLMENT_STATUSES },
+    'installment.dueAt': { $lte: now }
+  });
+
+  const applications = await Application.find({
+    _id: { $in: applicationIds },
+    status: { $in: ['paid', 'enrolled'] },
+    'installments.status': { $in: ['current', 'overdue'] }
+  }).select('_id');
+
+  const counts = { overdue: 0, lapsed: 0 };
+
+  for (const { _id } of applications) {
+    const status = await refreshInstallmentStatus(_id, { now });
+    if (counts[status] !== undefined) counts[status]++;
+  }
+
+  return counts;
+};
@@ -0,0 +1,59 @@
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+class NotificationService {
+  /**
+   * Lazily create the SMTP transport. Without SMTP_HOST emails are only logged,
+   * which keeps local development working without a mail server.
+   */
+  getTransport() {
+    if (this.transport !== undefined) return this.transport;
+
+    this.transport = process.env.SMTP_HOST
+      ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined
+      })
+      : null;
+
+    return this.transport;
+  }
+
+  /**
+   * Send an email. Never throws: a failed notification must not fail the
+   * request that triggered it.
+   */
+  async sendEmail({ to, subject, text, html, attachments = [], icalEvent }) {
+    try {
+      const transport = this.getTransport();
+
+      if (!transport) {
+        console.log(`[email] SMTP not configured, would send "${subject}" to ${to}`);
+        return { success: true, skipped: true };
+      }
+
+      const info = await transport.sendMail({
+        from: process.env.EMAIL_FROM || 'Binarify Academy <no-reply@binarify.academy>',
+        to,
+        subject,
+        text,
+        html,
+        attachments,
+        ...(icalEvent && { icalEvent })
+      });
+
+      return { success: true, data: { messageId: info.messageId } };
+    } catch (error) {
+      console.error('Email send error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default new NotificationService();
@@ -0,0 +1,141 @@
+import Application from '../models/Application.js';
+import Payment from '../models/payment.js';
+import notificationService from './notificationService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours before a checkout expires at which the payer is reminded, e.g. "12,1"
+export const paymentReminderHours = () => String(process.env.PAYMENT_REMINDER_HOURS || '12,1')
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0)
+  .sort((a, b) => b - a);
+
+// Later installments stay payable after a checkout for them runs out
+const isLaterInstallment = (payment) => payment.installment?.number > 1;
+
+const notifyExpiring = (payment, recipient) => notificationService.sendEmail({
+  to: recipient.email,
+  subject: 'Complete your Binarify Academy payment',
+  text: `Hi ${recipient.firstName},\n\n` +
+    `Your payment of ${payment.currency} ${(payment.amount / 100).toLocaleString()} for ${payment.program} ` +
+    `has not been completed yet. It expires on ${payment.expiresAt.toUTCString()}.\n\n` +
+    `You can finish it from your dashboard: ${process.env.FRONTEND_URL}/dashboard`
+});
+
+/**
+ * Remind payers of pending checkouts as each PAYMENT_REMINDER_HOURS threshold
+ * before expiry passes. A reminder is claimed atomically before it is sent, so
+ * each payer gets one email per threshold however many sweeps overlap, and a
+ * sweep that runs late sends one email for all the thresholds it missed.
+ * Resolves to the number of reminders sent.
+ */
+export const sendPaymentReminders = async ({ now = new Date() } = {}) => {
+  const thresholds = paymentReminderHours();
+  if (thresholds.length === 0) return 0;
+
+  const payments = await Payment.find({
+    status: 'pending',
+    paymentMethod: 'paystack',
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + thresholds[0] * HOUR_MS) }
+  }).select('application user amount currency program expiresAt installment remindersSent');
+
+  let reminded = 0;
+
+  for (const payment of payments) {
+    if (isLaterInstallment(payment)) continue;
+
+    const hoursLeft = (payment.expiresAt - now) / HOUR_MS;
+    const due = thresholds.filter(hours => hoursLeft <= hours);
+    const latest = due[due.length - 1];
+
+    if (latest === undefined || payment.remindersSent.includes(latest)) continue;
+
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending', remindersSent: { $ne: latest } },
+      { $addToSet: { remindersSent: { $each: due } } }
+    );
+
+    if (!claimed) continue;
+
+    await payment.populate([
+      { path: 'application', select: 'firstName email' },
+      { path: 'user', select: 'firstName email' }
+    ]);
+
+    const recipient = payment.application || payment.user;
+    if (!recipient?.email) continue;
+
+    try {
+      await notifyExpiring(payment, recipient);
+      reminded++;
+    } catch (notifyError) {
+      console.error('Payment reminder notification error:', notifyError);
+    }
+  }
+
+  return reminded;
+};
+
+/**
+ * Mark one pending payment expired, once. The first installment of a plan
+ * takes the rest of its schedule with it, and the application's paymentStatus
+ * becomes 'expired' unless another checkout for it is still open or it has
+ * already been paid. Resolves to the expired payment, or null when it was no
+ * longer pending and due.
+ */
+export const expirePayment = async (paymentId, { now = new Date() } = {}) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: 'pending', expiresAt: { $lte: now } },
+    { status: 'expired' },
+    { new: true }
+  );
+
+  if (!payment?.application) return payment;
+
+  if (payment.installment?.number === 1) {
+    await Payment.updateMany({ application: payment.application, status: 'scheduled' }, { status: 'cancelled' });
+  }
+
+  if (!await Payment.exists({ application: payment.application, status: 'pending' })) {
+    await Application.updateOne(
+      { _id: payment.application, paymentStatus: { $in: ['pending', 'failed'] } },
+      { paymentStatus: 'expired' }
+    );
+  }
+
+  return payment;
+};
+
+/**
+ * Send reminders for checkouts about to expire, then expire the pending
+ * payments whose expiresAt has passed. A checkout for a later installment is
+ * not expired: it goes back to 'scheduled' and can be paid again from the
+ * dashboard, with overdue handling left to the installment sweep. Offers
+ * whose payment window has closed are lapsed by their own job
+ * (lapseExpiredOffers), which gives their seats to the waitlist.
+ */
+export const sweepExpiredPayments = async ({ now = new Date() } = {}) => {
+  const reminded = await sendPaymentReminders({ now });
+
+  const due = await Payment.find({ status: 'pending', expiresAt: { $lte: now } })
+    .select('installment');
+
+  let expired = 0;
+  let reverted = 0;
+
+  for (const payment of due) {
+    if (isLaterInstallment(payment)) {
+      const result = await Payment.updateOne(
+        { _id: payment._id, status: 'pending' },
+        { status: 'scheduled', expiresAt: null, remindersSent: [] }
+      );
+      reverted += result.modifiedCount;
+      continue;
+    }
+
+    if (await expirePayment(payment._id, { now })) expired++;
+  }
+
+  return { reminded, expired, reverted };
+};
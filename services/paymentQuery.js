@@ -0,0 +1,19 @@
+// Filters shared by the admin payment list and the payment export
+
+export const buildPaymentQuery = (filters = {}) => {
+  const { status, track, program, startDate, endDate } = filters;
+
+  const query = {};
+
+  if (status && status !== 'all') query.status = status;
+  if (track) query.track = track;
+  if (program) query.program = program;
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  return query;
+};
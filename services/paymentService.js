@@ -1,4 +1,5 @@
 import Paystack from 'paystack';
+import axios from 'axios';
 import crypto from 'crypto';
 import dotenv from "dotenv";
 
@@ -6,17 +7,32 @@ dotenv.config();
 
 const paystackClient = Paystack(process.env.PAYSTACK_SECRET_KEY);
 
+// Direct API client for endpoints the paystack package does not cover (refunds, listing
+// transactions). PAYSTACK_BASE_URL points it at a local stand-in for tests.
+const paystackApi = axios.create({
+  baseURL: process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co',
+  timeout: 30000,
+  headers: {
+    Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+    'Content-Type': 'application/json'
+  }
+});
+
+// Paystack's own message when it rejected the request, otherwise the transport error
+const apiErrorMessage = (error) => error.response?.data?.message || error.message;
+
 class PaymentService {
   /**
    * Initialize a payment transaction
    */
   async initializePayment(paymentData) {
     try {
-      const { email, amount, metadata } = paymentData;
+      const { email, amount, currency, metadata } = paymentData;
       
       const response = await paystackClient.transaction.initialize({
         email,
         amount: Math.round(amount),
+        ...(currency && { currency }),
         metadata: JSON.stringify(metadata),
         callback_url: `${process.env.FRONTEND_URL}`
         // callback_url: `${process.env.FRONTEND_URL}/payment-verify`
@@ -60,20 +76,25 @@ class PaymentService {
   }
 
   /**
-   * Verify webhook signature
+   * Verify a webhook signature: the HMAC-SHA512 of the exact bytes Paystack
+   * sent, keyed with the secret key. Nothing verifies without a secret.
    */
-  verifyWebhookSignature(payload, signature) {
-    if (!process.env.PAYSTACK_WEBHOOK_SECRET) {
-      console.warn('PAYSTACK_WEBHOOK_SECRET not set, skipping webhook verification');
-      return true; // In development, you might want to skip
+  verifyWebhookSignature(rawBody, signature) {
+    const secret = process.env.PAYSTACK_WEBHOOK_SECRET || process.env.PAYSTACK_SECRET_KEY;
+
+    if (!secret) {
+      console.error('Neither PAYSTACK_WEBHOOK_SECRET nor PAYSTACK_SECRET_KEY is set; webhooks cannot be verified');
+      return false;
     }
 
-    const hash = crypto
-      .createHmac('sha512', process.env.PAYSTACK_WEBHOOK_SECRET)
-      .update(JSON.stringify(payload))
-      .digest('hex');
-    
-    return hash === signature;
+    if (typeof signature !== 'string' || !/^[0-9a-f]{128}$/i.test(signature)) return false;
+
+    const expected = crypto
+      .createHmac('sha512', secret)
+      .update(rawBody)
+      .digest();
+
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
   }
 
   /**
@@ -112,6 +133,86 @@ class PaymentService {
     }
   }
 
+  /**
+   * List transactions created in a date range, one page at a time.
+   * Resolves data to { transactions, page, pageCount }.
+   */
+  async listTransactions({ from, to, status, page = 1, perPage = 100 }) {
+    try {
+      const response = await paystackApi.get('/transaction', {
+        params: {
+          perPage,
+          page,
+          ...(from && { from: from.toISOString() }),
+          ...(to && { to: to.toISOString() }),
+          ...(status && { status })
+        }
+      });
+
+      const meta = response.data.meta || {};
+
+      return {
+        success: true,
+        data: {
+          transactions: response.data.data || [],
+          page: Number(meta.page) || page,
+          pageCount: Number(meta.pageCount) || 1
+        }
+      };
+    } catch (error) {
+      console.error('List transactions error:', apiErrorMessage(error));
+      return {
+        success: false,
+        error: apiErrorMessage(error) || 'Could not list transactions'
+      };
+    }
+  }
+
+  /**
+   * Refund a transaction in full, or in part when an amount (kobo) is given
+   */
+  async createRefund({ reference, amount, currency, customerNote, merchantNote }) {
+    try {
+      const response = await paystackApi.post('/refund', {
+        transaction: reference,
+        ...(amount && { amount: Math.round(amount) }),
+        ...(currency && { currency }),
+        ...(customerNote && { customer_note: customerNote }),
+        ...(merchantNote && { merchant_note: merchantNote })
+      });
+
+      return {
+        success: true,
+        data: response.data.data
+      };
+    } catch (error) {
+      console.error('Refund creation error:', apiErrorMessage(error));
+      return {
+        success: false,
+        error: apiErrorMessage(error) || 'Refund failed'
+      };
+    }
+  }
+
+  /**
+   * Fetch a refund to check its status
+   */
+  async fetchRefund(refundId) {
+    try {
+      const response = await paystackApi.get(`/refund/${refundId}`);
+
+      return {
+        success: true,
+        data: response.data.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: apiErrorMessage(error)
+      };
+    }
+  }
+
   /**
    * Create transfer recipient
    */
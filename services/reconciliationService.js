@@ -0,0 +1,272 @@
+import Application from '../models/Application.js';
+import Payment from '../models/payment.js';
+import PaymentDiscrepancy from '../models/PaymentDiscrepancy.js';
+import ReconciliationRun from '../models/ReconciliationRun.js';
+import paymentService from './paymentService.js';
+import { failsApplication, recordSuccessfulCharge } from './enrollmentService.js';
+import { claimSubscriptionCharge } from './installmentService.js';
+
+// How far back each run looks; runs overlap so a charge is seen more than once
+export const reconciliationWindowHours = () => parseInt(process.env.RECONCILIATION_WINDOW_HOURS || '48', 10);
+
+// Our payment is created a moment after Paystack's transaction, so the start of the window is left to the next run
+const CLOCK_MARGIN_MS = 5 * 60 * 1000;
+
+// Local statuses a successful Paystack charge should have moved on from
+const UNSETTLED_STATUSES = ['pending', 'scheduled', 'failed', 'cancelled', 'expired'];
+
+// Paystack statuses that mean the customer was never charged
+const UNCHARGED_PAYSTACK_STATUSES = ['failed', 'abandoned'];
+
+/**
+ * Record a discrepancy for the run. Report-only discrepancies already open
+ * from an earlier run are not recorded again, so overlapping windows do not
+ * flood the report.
+ */
+const recordDiscrepancy = async (run, summary, {
+  type,
+  transaction,
+  payment,
+  action = 'none',
+  note,
+  reference = payment?.reference || transaction?.reference
+}) => {
+
+  if (action === 'none' && await PaymentDiscrepancy.exists({ reference, type, status: 'open' })) {
+    return null;
+  }
+
+  summary.discrepancies += 1;
+  if (action !== 'none') summary.fixed += 1;
+
+  return PaymentDiscrepancy.create({
+    run: run._id,
+    type,
+    reference,
+    payment: payment?._id,
+    application: payment?.application?._id || payment?.application,
+    localStatus: payment?.status,
+    paystackStatus: transaction?.status,
+    localAmount: payment?.amount,
+    paystackAmount: transaction?.amount,
+    currency: transaction?.currency || payment?.currency,
+    action,
+    note
+  });
+};
+
+const markFailed = async (payment, transaction) => {
+  const localStatus = payment.status;
+
+  payment.status = 'failed';
+  payment.verified = true;
+  payment.metadata.paystackReconciliationData = transaction;
+  payment.markModified('metadata');
+  await payment.save();
+
+  if (payment.application && failsApplication(payment)) {
+    await Application.findByIdAndUpdate(payment.application._id || payment.application, {
+      paymentStatus: 'failed'
+    });
+  }
+
+  return localStatus;
+};
+
+// Bring one payment in line with the Paystack transaction behind it
+const reconcileTransaction = async (run, summary, transaction) => {
+  const { reference, status } = transaction;
+
+  let payment = await Payment.findByReference(reference);
+
+  // Auto-debited installments arrive with a reference Paystack chose
+  if (!payment && status === 'success') {
+    payment = await claimSubscriptionCharge(transaction);
+  }
+
+  if (!payment) {
+    if (status === 'success') {
+      await recordDiscrepancy(run, summary, {
+        type: 'unknown-reference',
+        transaction,
+        note: 'Paystack charged this transaction but no payment has its reference'
+      });
+    } else {
+      summary.matched += 1;
+    }
+    return;
+  }
+
+  if (status === 'success' && UNSETTLED_STATUSES.includes(payment.status)) {
+    // Already failed for the wrong amount when it was verified
+    if (payment.metadata?.amountMismatch) {
+      summary.matched += 1;
+      return;
+    }
+
+    await payment.populate([
+      { path: 'user', select: '-password -confirmPassword' },
+      { path: 'application' }
+    ]);
+
+    const localStatus = payment.status;
+    const result = await recordSuccessfulCharge(payment, transaction, { dataKey: 'paystackReconciliationData' });
+    const mismatch = result.status !== 'success';
+
+    await recordDiscrepancy(run, summary, {
+      type: mismatch ? 'amount-mismatch' : 'missed-success',
+      transaction,
+      payment: { ...payment.toObject(), status: localStatus },
+      action: mismatch ? 'marked-failed' : 'marked-success',
+      note: mismatch
+        ? `Paystack charged ${transaction.amount} ${transaction.currency}; the payment was for ${payment.amount} ${payment.currency}`
+        : !result.enrolled && payment.application
+          ? 'Marked successful, but the application could not be enrolled and needs a manual check'
+          : undefined
+    });
+    return;
+  }
+
+  // A reused checkout keeps its earlier references; what Paystack says about
+  // one of them says nothing about the payment's current checkout
+  if (reference !== payment.reference) {
+    await recordDiscrepancy(run, summary, {
+      type: 'previous-reference',
+      transaction,
+      payment,
+      reference,
+      note: `Paystack reports ${status} on ${reference}, an earlier reference of payment ${payment.reference}; the payment was left as it is`
+    });
+    return;
+  }
+
+  if (status === 'failed' && payment.status === 'pending') {
+    const localStatus = await markFailed(payment, transaction);
+
+    await recordDiscrepancy(run, summary, {
+      type: 'missed-failure',
+      transaction,
+      payment: { ...payment.toObject(), status: localStatus },
+      action: 'marked-failed'
+    });
+    return;
+  }
+
+  if (UNCHARGED_PAYSTACK_STATUSES.includes(status) && payment.status === 'success' && payment.paymentMethod === 'paystack') {
+    await payment.populate('application', 'status');
+    const localStatus = await markFailed(payment, transaction);
+
+    await recordDiscrepancy(run, summary, {
+      type: 'success-not-at-paystack',
+      transaction,
+      payment: { ...payment.toObject(), status: localStatus },
+      action: 'marked-failed',
+      note: payment.application?.status === 'enrolled'
+        ? 'The application is still enrolled; review whether to withdraw it'
+        : undefined
+    });
+    return;
+  }
+
+  if (status === 'reversed' && payment.status === 'success' && !payment.refundedAmount) {
+    await recordDiscrepancy(run, summary, {
+      type: 'reversed',
+      transaction,
+      payment,
+      note: 'Paystack reversed this charge outside the refund flow'
+    });
+    return;
+  }
+
+  // Agrees already (a reversal the refund flow recorded included), or still in flight at Paystack
+  summary.matched += 1;
+};
+
+// Successful Paystack payments created in the window that Paystack did not list
+const reportMissingAtPaystack = async (run, summary, { from, to, seen }) => {
+  const payments = await Payment.find({
+    status: 'success',
+    paymentMethod: 'paystack',
+    amount: { $gt: 0 },
+    createdAt: { $gte: new Date(from.getTime() + CLOCK_MARGIN_MS), $lte: to }
+  }).select('reference status amount currency application');
+
+  for (const payment of payments) {
+    if (seen.has(payment.reference)) continue;
+
+    await recordDiscrepancy(run, summary, {
+      type: 'missing-at-paystack',
+      payment,
+      note: 'Marked successful here, but Paystack has no transaction with this reference'
+    });
+  }
+};
+
+/**
+ * Compare Paystack's transactions for a window (RECONCILIATION_WINDOW_HOURS
+ * back from now by default) with our payments, and fix status drift both
+ * ways: a charge Paystack took is completed here exactly as the webhook
+ * would have, and a payment Paystack never charged is marked failed. The
+ * linked application follows. Anything that needs a person (unknown
+ * references, reversals, successes Paystack does not list) is only reported.
+ *
+ * Resolves to the finished ReconciliationRun. A Paystack error fails the run
+ * rather than throwing.
+ */
+export const reconcilePayments = async ({ from, to, trigger = 'scheduled', actor = null } = {}) => {
+  const windowEnd = to ? new Date(to) : new Date();
+  const windowStart = from ? new Date(from) : new Date(windowEnd.getTime() - reconciliationWindowHours() * 60 * 60 * 1000);
+
+  const run = await ReconciliationRun.create({
+    from: windowStart,
+    to: windowEnd,
+    trigger,
+    triggeredBy: actor
+  });
+
+  const summary = { checked: 0, matched: 0, fixed: 0, discrepancies: 0 };
+  const seen = new Set();
+
+  try {
+    let page = 1;
+    let pageCount = 1;
+
+    do {
+      const result = await paymentService.listTransactions({ from: windowStart, to: windowEnd, page });
+      if (!result.success) {
+        throw new Error(`Could not list Paystack transactions: ${result.error}`);
+      }
+
+      for (const transaction of result.data.transactions) {
+        summary.checked += 1;
+        seen.add(transaction.reference);
+        await reconcileTransaction(run, summary, transaction);
+      }
+
+      pageCount = result.data.pageCount;
+      page += 1;
+    } while (page <= pageCount);
+
+    await reportMissingAtPaystack(run, summary, { from: windowStart, to: windowEnd, seen });
+
+    run.status = 'completed';
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.summary = summary;
+  run.finishedAt = new Date();
+  return run.save();
+};
+
+/**
+ * Sign off an open discrepancy with a note.
+ * Resolves to the updated PaymentDiscrepancy, or null when no open one matches.
+ */
+export const resolveDiscrepancy = (discrepancyId, { actor, resolution }) => PaymentDiscrepancy.findOneAndUpdate(
+  { _id: discrepancyId, status: 'open' },
+  { status: 'resolved', resolvedBy: actor, resolvedAt: new Date(), resolution },
+  { new: true }
+);
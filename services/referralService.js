@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import Application from '../models/Application.js';
+import ReferralCode from '../models/ReferralCode.js';
+import ReferralCredit from '../models/ReferralCredit.js';
+import { discountAmount } from './discounts.js';
+
+export class ReferralError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReferralError';
+  }
+}
+
+// Statuses an application reaches once it has been paid for
+const PAID_STATUSES = ['paid', 'enrolled'];
+
+// Readable code from the owner's name plus a random suffix, e.g. ADAEZE-7K2Q
+export const generateReferralCode = (owner) => {
+  const prefix = (owner.firstName || 'REF').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 8) || 'REF';
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase().slice(0, 4);
+
+  return `${prefix}-${suffix}`;
+};
+
+/**
+ * Look up the referral code given on a submission. Resolves to the
+ * `referral` fields to store on the application; throws ReferralError when
+ * the code is unknown or inactive, or belongs to the applicant.
+ */
+export const resolveReferral = async (code, { email } = {}) => {
+  const referralCode = await ReferralCode.findOne({ code: String(code).trim().toUpperCase(), isActive: true })
+    .populate('owner', 'email isActive');
+
+  if (!referralCode || !referralCode.owner?.isActive) {
+    throw new ReferralError('Referral code is not valid');
+  }
+
+  if (email && referralCode.owner.email === email.toLowerCase()) {
+    throw new ReferralError('You cannot use your own referral code');
+  }
+
+  return {
+    code: referralCode._id,
+    codeText: referralCode.code,
+    referrer: referralCode.owner._id,
+    attributedAt: new Date()
+  };
+};
+
+/**
+ * Rewards for a referred application's checkout at the given price: the
+ * applicant's discount and the credit its referrer earns once it is paid.
+ * Resolves to null when the application was not referred or the code has
+ * since been deactivated.
+ */
+export const referralRewardsFor = async (application, amount) => {
+  if (!application.referral?.code) return null;
+
+  const referralCode = await ReferralCode.findOne({ _id: application.referral.code, isActive: true });
+  if (!referralCode) return null;
+
+  const discount = referralCode.applicantDiscount
+    ? discountAmount(amount, referralCode.applicantDiscount)
+    : 0;
+
+  return {
+    discount: discount > 0 ? { source: 'referral', code: referralCode.code, amount: discount } : null,
+    referral: {
+      code: referralCode._id,
+      referrer: referralCode.owner,
+      referrerCredit: referralCode.referrerCredit
+    }
+  };
+};
+
+// Record the referrer's credit for a verified payment; safe to call more than once
+export const creditReferrer = async (payment) => {
+  const { referral } = payment;
+  if (!referral?.code || !referral.referrerCredit) return null;
+
+  return ReferralCredit.findOneAndUpdate(
+    { payment: payment._id },
+    {
+      $setOnInsert: {
+        referrer: referral.referrer,
+        referralCode: referral.code,
+        application: payment.application?._id || payment.application,
+        amount: referral.referrerCredit,
+        currency: payment.currency
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Referral performance per code, best first: applications referred, how many
+ * were accepted and paid, and the credit earned. Filters by submission date,
+ * referrer type, or a single owner.
+ */
+export const getReferralLeaderboard = async ({ from, to, ownerType, owner, limit = 20 } = {}) => {
+  const codeQuery = {};
+  if (ownerType) codeQuery.ownerType = ownerType;
+  if (owner) codeQuery.owner = owner;
+
+  const codes = await ReferralCode.find(codeQuery)
+    .populate('owner', 'firstName lastName email')
+    .lean();
+
+  if (codes.length === 0) return [];
+
+  const match = { 'referral.code': { $in: codes.map(code => code._id) } };
+  if (from || to) {
+    match.applicationDate = {};
+    if (from) match.applicationDate.$gte = new Date(from);
+    if (to) match.applicationDate.$lte = new Date(to);
+  }
+
+  const [applicationStats, creditStats] = await Promise.all([
+    Application.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$referral.code',
+          referred: { $sum: 1 },
+          accepted: {
+            $sum: { $cond: [{ $in: ['$status', ['accepted', ...PAID_STATUSES]] }, 1, 0] }
+          },
+          paid: {
+            $sum: { $cond: [{ $in: ['$status', PAID_STATUSES] }, 1, 0] }
+          }
+        }
+      }
+    ]),
+    ReferralCredit.aggregate([
+      {
+        $match: {
+          referralCode: { $in: codes.map(code => code._id) },
+          status: { $ne: 'void' }
+        }
+      },
+      { $group: { _id: '$referralCode', creditEarned: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const statsByCode = new Map(applicationStats.map(stat => [stat._id.toString(), stat]));
+  const creditByCode = new Map(creditStats.map(stat => [stat._id.toString(), stat.creditEarned]));
+
+  return codes
+    .map(code => {
+      const stats = statsByCode.get(code._id.toString()) || { referred: 0, accepted: 0, paid: 0 };
+
+      return {
+        code: code.code,
+        codeId: code._id,
+        ownerType: code.ownerType,
+        owner: code.owner,
+        isActive: code.isActive,
+        referred: stats.referred,
+        accepted: stats.accepted,
+        paid: stats.paid,
+        conversionRate: stats.referred ? Math.round((stats.paid / stats.referred) * 10000) / 100 : 0,
+        creditEarned: creditByCode.get(code._id.toString()) || 0
+      };
+    })
+    .sort((a, b) => b.paid - a.paid || b.referred - a.referred)
+    .slice(0, limit);
+};
@@ -0,0 +1,324 @@
+import Application from '../models/Application.js';
+import Cohort from '../models/Cohort.js';
+import Payment from '../models/payment.js';
+import ReferralCredit from '../models/ReferralCredit.js';
+import Refund from '../models/Refund.js';
+import notificationService from './notificationService.js';
+import paymentService from './paymentService.js';
+import { canTransition, withdrawApplication } from './applicationWorkflow.js';
+import { promoteFromWaitlist } from './waitlistService.js';
+
+export class RefundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefundError';
+  }
+}
+
+// Share of a payment refunded once the cohort has started, until the cutoff
+const partialRefundPercent = () => parseInt(process.env.REFUND_PARTIAL_PERCENT || '50', 10);
+
+// Days after the cohort starts after which nothing is refunded
+const refundCutoffDays = () => parseInt(process.env.REFUND_CUTOFF_DAYS || '14', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refunds still in flight count against what is left to refund
+const OPEN_REFUND_STATUSES = ['pending', 'processing', 'needs-attention'];
+
+// Paystack refund statuses (and webhook event suffixes) mapped onto Refund.status
+const REFUND_STATUS_FROM_PAYSTACK = {
+  pending: 'pending',
+  processing: 'processing',
+  processed: 'processed',
+  failed: 'failed',
+  'needs-attention': 'needs-attention'
+};
+
+// Kobo already refunded or on its way back for a payment
+const committedRefunds = async (paymentId) => {
+  const [totals] = await Refund.aggregate([
+    { $match: { payment: paymentId, status: { $in: ['processed', ...OPEN_REFUND_STATUSES] } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+
+  return totals?.total || 0;
+};
+
+/**
+ * Refund policy for a payment, based on its cohort's start date:
+ * everything before the cohort starts, REFUND_PARTIAL_PERCENT until
+ * REFUND_CUTOFF_DAYS after it started, and nothing after that.
+ * Applications without a cohort are treated as not started.
+ *
+ * Resolves to { rule, percentage, maxAmount } where maxAmount (kobo) is the
+ * most that can still be refunded on the payment under the policy.
+ */
+export const refundPolicyFor = async (payment, { now = new Date() } = {}) => {
+  const application = await Application.findById(payment.application?._id || payment.application).select('cohort');
+  const cohort = application?.cohort ? await Cohort.findById(application.cohort).select('startDate') : null;
+
+  let rule = 'before-cohort-start';
+  let percentage = 100;
+
+  if (cohort?.startDate && cohort.startDate <= now) {
+    const daysIn = (now - cohort.startDate) / DAY_MS;
+
+    if (daysIn < refundCutoffDays()) {
+      rule = 'early-in-cohort';
+      percentage = partialRefundPercent();
+    } else {
+      rule = 'after-cutoff';
+      percentage = 0;
+    }
+  }
+
+  const committed = await committedRefunds(payment._id);
+  const maxAmount = Math.max(Math.floor(payment.amount * percentage / 100) - committed, 0);
+
+  return { rule, percentage, maxAmount };
+};
+
+const notifyRefund = (application, refund) => notificationService.sendEmail({
+  to: application.email,
+  subject: 'Your Binarify Academy refund is on its way',
+  text: `Hi ${application.firstName},\n\n` +
+    `A refund of ${refund.currency} ${(refund.amount / 100).toLocaleString()} has been issued to the card or account you paid with. ` +
+    'Depending on your bank it can take up to 10 working days to appear.'
+});
+
+// Reserve kobo for a refund on the payment, as long as the total reserved stays within the limit
+const reserveRefund = (paymentId, amount, limit) => Payment.findOneAndUpdate(
+  {
+    _id: paymentId,
+    $expr: { $lte: [{ $add: [{ $ifNull: ['$refundCommitted', 0] }, amount] }, limit] }
+  },
+  { $inc: { refundCommitted: amount } },
+  { new: true }
+);
+
+// Give back the reservation of a refund that will not go through
+const releaseRefund = (paymentId, amount) => Payment.updateOne(
+  { _id: paymentId },
+  { $inc: { refundCommitted: -amount } }
+);
+
+/**
+ * Refund all or part of a successful payment through Paystack.
+ *
+ * The amount (kobo) defaults to everything the refund policy allows and may
+ * only go beyond it with `overridePolicy`. With `reverseEnrollment` the
+ * application is withdrawn as well, which gives back its seat, cancels any
+ * installments still to pay and promotes the next applicant from the waitlist.
+ *
+ * Resolves to the Refund, or null when the payment does not exist.
+ */
+export const requestRefund = async (paymentId, { amount, reason, actor = null, overridePolicy = false, reverseEnrollment = false }) => {
+  const payment = await Payment.findById(paymentId).populate('application', 'firstName email status cohort');
+  if (!payment) return null;
+
+  if (payment.status !== 'success' || !payment.verified) {
+    throw new RefundError(`Only successful payments can be refunded; this one is ${payment.status}`);
+  }
+
+  if (payment.paymentMethod === 'waiver' || payment.amount <= 0) {
+    throw new RefundError('Nothing was charged on this payment');
+  }
+
+  const policy = await refundPolicyFor(payment);
+  const refundable = payment.amount - await committedRefunds(payment._id);
+  const refundAmount = amount ?? policy.maxAmount;
+
+  if (refundAmount <= 0) {
+    throw new RefundError(`The refund policy (${policy.rule}) allows no refund on this payment`);
+  }
+
+  if (refundAmount > refundable) {
+    throw new RefundError(`Only ${refundable} kobo of this payment is left to refund`);
+  }
+
+  if (refundAmount > policy.maxAmount && !overridePolicy) {
+    throw new RefundError(`The refund policy (${policy.rule}) allows at most ${policy.maxAmount} kobo on this payment`);
+  }
+
+  // The checks above read totals that a concurrent request may be about to change;
+  // the amount is only refunded once it is reserved on the payment atomically
+  const limit = overridePolicy ? payment.amount : Math.floor(payment.amount * policy.percentage / 100);
+  const reserved = await reserveRefund(payment._id, refundAmount, limit);
+  if (!reserved) {
+    throw new RefundError('Another refund on this payment was requested at the same time; check the refunds and try again');
+  }
+
+  let refund;
+  try {
+    refund = await Refund.create({
+      payment: payment._id,
+      application: payment.application._id,
+      user: payment.user,
+      amount: refundAmount,
+      currency: payment.currency,
+      reason,
+      policy: { ...policy, overridden: refundAmount > policy.maxAmount },
+      requestedBy: actor
+    });
+  } catch (error) {
+    await releaseRefund(payment._id, refundAmount);
+    throw error;
+  }
+
+  const result = await paymentService.createRefund({
+    reference: payment.reference,
+    amount: refundAmount,
+    currency: payment.currency,
+    merchantNote: reason
+  });
+
+  if (!result.success) {
+    refund.status = 'failed';
+    refund.failureReason = result.error;
+    await refund.save();
+    await releaseRefund(payment._id, refundAmount);
+
+    throw new RefundError(`Paystack did not accept the refund: ${result.error}`);
+  }
+
+  refund.paystackRefundId = result.data?.id?.toString();
+  await refund.save();
+
+  if (reverseEnrollment && canTransition(payment.application.status, 'withdrawn')) {
+    await withdrawApplication(payment.application._id, {
+      actor,
+      reason: `Refunded: ${reason}`
+    });
+
+    refund.reversedEnrollment = true;
+    await refund.save();
+
+    if (payment.application.cohort) {
+      await promoteFromWaitlist(payment.application.cohort, { actor });
+    }
+  }
+
+  // Paystack usually answers 'pending'; the webhook reports the rest
+  if (result.data?.status && result.data.status !== 'pending') {
+    return updateRefundStatus(refund._id, result.data.status);
+  }
+
+  return refund;
+};
+
+/**
+ * Record a processed refund on its payment and application, once. A payment
+ * refunded in full becomes 'refunded', and the referral credit it earned is
+ * voided.
+ */
+const applyProcessedRefund = async (refund) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: refund.payment },
+    { $inc: { refundedAmount: refund.amount } },
+    { new: true }
+  );
+
+  if (!payment) return;
+
+  const fullyRefunded = payment.refundedAmount >= payment.amount;
+
+  if (fullyRefunded) {
+    await Payment.updateOne({ _id: payment._id }, { status: 'refunded' });
+    await ReferralCredit.updateOne({ payment: payment._id, status: 'earned' }, { status: 'void' });
+  }
+
+  const application = await Application.findByIdAndUpdate(
+    refund.application,
+    { paymentStatus: fullyRefunded ? 'refunded' : 'partially-refunded' },
+    { new: true }
+  ).select('firstName email');
+
+  if (application) {
+    try {
+      await notifyRefund(application, refund);
+    } catch (notifyError) {
+      console.error('Refund notification error:', notifyError);
+    }
+  }
+};
+
+/**
+ * Move a refund to a new status reported by Paystack (webhook or status
+ * check). Processed and failed are final, and each is applied atomically so
+ * the payment is only credited, or its reservation given back, once however
+ * often it is reported.
+ *
+ * Resolves to the updated Refund, or null when no refund matches.
+ */
+export const updateRefundStatus = async (refundId, paystackStatus, { failureReason } = {}) => {
+  const status = REFUND_STATUS_FROM_PAYSTACK[paystackStatus];
+  if (!status) return null;
+
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: { $nin: ['processed', 'failed', status] } },
+    {
+      status,
+      ...(status === 'processed' && { processedAt: new Date() }),
+      ...(failureReason && { failureReason })
+    },
+    { new: true }
+  );
+
+  if (refund?.status === 'processed') {
+    await applyProcessedRefund(refund);
+  }
+
+  if (refund?.status === 'failed') {
+    await releaseRefund(refund.payment, refund.amount);
+  }
+
+  return refund || Refund.findById(refundId);
+};
+
+/**
+ * Apply a Paystack refund webhook ("refund.pending", "refund.processed",
+ * "refund.failed", ...). The refund is matched on its Paystack id, or else on
+ * the transaction reference for the oldest refund still in flight.
+ */
+export const processRefundEvent = async (event, data) => {
+  const paystackStatus = event.replace(/^refund\./, '');
+
+  let refund = data.id ? await Refund.findOne({ paystackRefundId: data.id.toString() }) : null;
+
+  if (!refund && data.transaction_reference) {
+    const payment = await Payment.findByReference(data.transaction_reference).select('_id');
+    if (payment) {
+      refund = await Refund.findOne({ payment: payment._id, status: { $in: OPEN_REFUND_STATUSES } }).sort({ createdAt: 1 });
+    }
+  }
+
+  if (!refund) {
+    console.error(`Refund not found for ${event} on transaction ${data.transaction_reference}`);
+    return null;
+  }
+
+  return updateRefundStatus(refund._id, paystackStatus, {
+    failureReason: paystackStatus === 'failed' ? (data.reason || data.message || 'Refund failed at Paystack') : undefined
+  });
+};
+
+/**
+ * Ask Paystack for a refund's current status and apply it.
+ * Resolves to the updated Refund, or null when it does not exist.
+ */
+export const syncRefund = async (refundId) => {
+  const refund = await Refund.findById(refundId);
+  if (!refund) return null;
+
+  if (!refund.paystackRefundId) {
+    throw new RefundError('This refund was never accepted by Paystack');
+  }
+
+  const result = await paymentService.fetchRefund(refund.paystackRefundId);
+  if (!result.success) {
+    throw new RefundError(`Could not fetch the refund from Paystack: ${result.error}`);
+  }
+
+  return updateRefundStatus(refund._id, result.data.status);
+};
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import Review from '../models/Review.js';
+
+export const RECOMMENDATIONS = ['accept', 'reject', 'waitlist', 'interview'];
+
+export class ReviewScoreError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ReviewScoreError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check submitted scores against a rubric and compute the weighted total.
+ *
+ * Every criterion must be scored exactly once within the rubric scale. The
+ * total is normalised to 0-100 so reviews against different scales compare.
+ */
+export const scoreReview = (rubric, scores = []) => {
+  const { min, max } = rubric.scale;
+  const byCriterion = new Map(scores.map(item => [item.criterion, Number(item.score)]));
+  const errors = [];
+
+  if (byCriterion.size !== scores.length) {
+    errors.push({ field: 'scores', message: 'Each criterion can only be scored once' });
+  }
+
+  scores.forEach(item => {
+    if (!rubric.criteria.some(criterion => criterion.key === item.criterion)) {
+      errors.push({ field: 'scores', message: `Unknown criterion '${item.criterion}'` });
+    }
+  });
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  rubric.criteria.forEach(criterion => {
+    const score = byCriterion.get(criterion.key);
+
+    if (score === undefined || Number.isNaN(score)) {
+      errors.push({ field: 'scores', message: `Score for '${criterion.label}' is required` });
+      return;
+    }
+
+    if (score < min || score > max) {
+      errors.push({ field: 'scores', message: `Score for '${criterion.label}' must be between ${min} and ${max}` });
+      return;
+    }
+
+    weightedSum += ((score - min) / (max - min)) * criterion.weight;
+    totalWeight += criterion.weight;
+  });
+
+  if (errors.length > 0) {
+    throw new ReviewScoreError('Invalid review scores', errors);
+  }
+
+  return {
+    scores: rubric.criteria.map(criterion => ({
+      criterion: criterion.key,
+      score: byCriterion.get(criterion.key)
+    })),
+    totalScore: Math.round((weightedSum / totalWeight) * 10000) / 100
+  };
+};
+
+// Recommendation held by a strict majority of reviewers, otherwise 'split'
+const findConsensus = (counts, reviewCount) => {
+  if (reviewCount === 0) return null;
+
+  const [top, topCount] = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])[0];
+
+  return topCount * 2 > reviewCount ? top : 'split';
+};
+
+// Recompute the aggregated score and consensus stored on the application
+export const refreshReviewSummary = async (applicationId) => {
+  const [result] = await Review.aggregate([
+    { $match: { application: new mongoose.Types.ObjectId(applicationId) } },
+    {
+      $group: {
+        _id: null,
+        averageScore: { $avg: '$totalScore' },
+        reviewCount: { $sum: 1 },
+        recommendations: { $push: '$recommendation' },
+        lastReviewedAt: { $max: '$submittedAt' }
+      }
+    }
+  ]);
+
+  const counts = RECOMMENDATIONS.reduce((acc, recommendation) => {
+    acc[recommendation] = 0;
+    return acc;
+  }, {});
+  (result?.recommendations || []).forEach(recommendation => {
+    counts[recommendation]++;
+  });
+
+  const reviewCount = result?.reviewCount || 0;
+  const reviewSummary = {
+    averageScore: result ? Math.round(result.averageScore * 100) / 100 : null,
+    reviewCount,
+    consensus: findConsensus(counts, reviewCount),
+    recommendations: counts,
+    lastReviewedAt: result?.lastReviewedAt || null
+  };
+
+  await Application.findByIdAndUpdate(applicationId, { reviewSummary });
+
+  return reviewSummary;
+};
@@ -0,0 +1,274 @@
+import Application from '../models/Application.js';
+import Payment from '../models/payment.js';
+import Price from '../models/Price.js';
+import Scholarship from '../models/Scholarship.js';
+import ScholarshipApplication from '../models/ScholarshipApplication.js';
+import notificationService from './notificationService.js';
+import { OPEN_STATUSES } from './applicationWorkflow.js';
+import { completePayment } from './enrollmentService.js';
+
+export class ScholarshipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScholarshipError';
+  }
+}
+
+// Payment statuses that mean the fee has been settled, with or without a waiver
+const SETTLED_PAYMENT_STATUSES = ['paid', 'waived', 'partially-waived'];
+
+/**
+ * Check a scholarship is taking applications right now for this application's
+ * track and program. Throws ScholarshipError explaining why it is not.
+ */
+export const assertScholarshipOpen = (scholarship, application, now = new Date()) => {
+  if (!scholarship.isActive) {
+    throw new ScholarshipError('This scholarship is not accepting applications');
+  }
+
+  if (scholarship.opensAt && scholarship.opensAt > now) {
+    throw new ScholarshipError('Applications for this scholarship have not opened yet');
+  }
+
+  if (scholarship.closesAt && scholarship.closesAt <= now) {
+    throw new ScholarshipError('Applications for this scholarship have closed');
+  }
+
+  if (scholarship.tracks.length && !scholarship.tracks.includes(application.track)) {
+    throw new ScholarshipError('This scholarship does not cover your track');
+  }
+
+  if (scholarship.programs.length && !scholarship.programs.includes(application.program)) {
+    throw new ScholarshipError('This scholarship does not cover your program');
+  }
+};
+
+/**
+ * Apply for a scholarship on behalf of an open program application owned by
+ * the user. Resolves to the new ScholarshipApplication, or null when the
+ * scholarship or application does not exist.
+ */
+export const applyForScholarship = async (scholarshipId, { applicationId, userId, statement }) => {
+  const [scholarship, application] = await Promise.all([
+    Scholarship.findById(scholarshipId),
+    Application.findOne({ _id: applicationId, user: userId }).select('track program status paymentStatus')
+  ]);
+
+  if (!scholarship || !application) return null;
+
+  assertScholarshipOpen(scholarship, application);
+
+  if (!OPEN_STATUSES.includes(application.status) || SETTLED_PAYMENT_STATUSES.includes(application.paymentStatus)) {
+    throw new ScholarshipError('Scholarships can only be requested for applications that have not been paid for');
+  }
+
+  if (await ScholarshipApplication.exists({ scholarship: scholarship._id, application: application._id })) {
+    throw new ScholarshipError('You have already applied for this scholarship');
+  }
+
+  return ScholarshipApplication.create({
+    scholarship: scholarship._id,
+    application: application._id,
+    user: userId,
+    statement
+  });
+};
+
+// A checkout still in progress was priced without (or with) the award, so it has to be priced again
+const cancelPendingCheckouts = (applicationId) => Payment.updateMany(
+  { application: applicationId, status: { $in: ['pending', 'scheduled'] } },
+  { status: 'cancelled' }
+);
+
+const notifyAward = (application, scholarship, award) => notificationService.sendEmail({
+  to: application.email,
+  subject: `You have been awarded the ${scholarship.name} scholarship`,
+  text: `Hi ${application.firstName},\n\n` +
+    `Congratulations! The ${scholarship.name} scholarship will cover ` +
+    (award.coverage === 'full'
+      ? 'your full programme fee.'
+      : `NGN ${(award.amount / 100).toLocaleString()} of your programme fee.`) +
+    '\n\nOnce your application has been accepted, complete your enrollment from your dashboard' +
+    (award.coverage === 'full' ? ' — there is nothing to pay.' : ' by paying the remaining balance.')
+});
+
+/**
+ * Award a scholarship. The amount (kobo) defaults to the full current price
+ * of the application's track and program and is never more than that price.
+ * It is taken from the scholarship's funding pool atomically, so two awards
+ * cannot overspend the pool. An application holds at most one award.
+ *
+ * Resolves to the updated ScholarshipApplication, or null when it does not exist.
+ */
+export const awardScholarship = async (scholarshipApplicationId, { amount, actor = null, note } = {}) => {
+  const request = await ScholarshipApplication.findById(scholarshipApplicationId)
+    .populate('scholarship')
+    .populate('application', 'firstName email track program status paymentStatus');
+
+  if (!request) return null;
+
+  if (request.status !== 'pending') {
+    throw new ScholarshipError(`This scholarship application was already ${request.status}`);
+  }
+
+  const { scholarship, application } = request;
+
+  if (!OPEN_STATUSES.includes(application.status) || SETTLED_PAYMENT_STATUSES.includes(application.paymentStatus)) {
+    throw new ScholarshipError(`The program application is ${application.status} and cannot receive an award`);
+  }
+
+  if (await ScholarshipApplication.exists({ application: application._id, status: 'awarded' })) {
+    throw new ScholarshipError('This application already holds a scholarship award');
+  }
+
+  const price = await Price.findCurrent(application.track, application.program);
+  if (!price) {
+    throw new ScholarshipError('No price is configured for this track and program');
+  }
+
+  const awarded = Math.min(amount ?? price.amount, price.amount);
+  if (awarded <= 0) {
+    throw new ScholarshipError('Award amount must be greater than zero');
+  }
+
+  const funded = await Scholarship.commitFunds(scholarship._id, awarded);
+  if (!funded) {
+    throw new ScholarshipError(`The funding pool only has ${scholarship.fundingPool - scholarship.committed} kobo left`);
+  }
+
+  request.status = 'awarded';
+  request.award = { amount: awarded, coverage: awarded >= price.amount ? 'full' : 'partial' };
+  request.decidedBy = actor;
+  request.decidedAt = new Date();
+  request.decisionNote = note;
+
+  try {
+    await request.save();
+  } catch (error) {
+    // Give the money back if the award could not be recorded (e.g. a concurrent award)
+    await Scholarship.releaseFunds(scholarship._id, awarded);
+    throw error;
+  }
+
+  await cancelPendingCheckouts(application._id);
+
+  try {
+    await notifyAward(application, scholarship, request.award);
+  } catch (notifyError) {
+    console.error('Scholarship award notification error:', notifyError);
+  }
+
+  return request;
+};
+
+/**
+ * Decline a pending scholarship application.
+ * Resolves to the updated ScholarshipApplication, or null when it does not exist.
+ */
+export const declineScholarship = async (scholarshipApplicationId, { actor = null, note } = {}) => {
+  const request = await ScholarshipApplication.findById(scholarshipApplicationId);
+  if (!request) return null;
+
+  if (request.status !== 'pending') {
+    throw new ScholarshipError(`This scholarship application was already ${request.status}`);
+  }
+
+  request.status = 'declined';
+  request.decidedBy = actor;
+  request.decidedAt = new Date();
+  request.decisionNote = note;
+
+  return request.save();
+};
+
+/**
+ * Take back an award that has not been used yet and return its amount to the
+ * funding pool. Awards behind a completed enrollment cannot be revoked.
+ * Resolves to the updated ScholarshipApplication, or null when it does not exist.
+ */
+export const revokeScholarship = async (scholarshipApplicationId, { actor = null, note } = {}) => {
+  const request = await ScholarshipApplication.findById(scholarshipApplicationId)
+    .populate('application', 'paymentStatus');
+
+  if (!request) return null;
+
+  if (request.status !== 'awarded') {
+    throw new ScholarshipError('Only awarded scholarships can be revoked');
+  }
+
+  if (SETTLED_PAYMENT_STATUSES.includes(request.application?.paymentStatus)) {
+    throw new ScholarshipError('The award has already been used to settle the programme fee');
+  }
+
+  request.status = 'revoked';
+  request.decidedBy = actor;
+  request.decidedAt = new Date();
+  request.decisionNote = note;
+  await request.save();
+
+  await Scholarship.releaseFunds(request.scholarship, request.award.amount);
+  await cancelPendingCheckouts(request.application._id);
+
+  return request;
+};
+
+/**
+ * The discount entry an application's scholarship award gives on a price, as
+ * stored on Payment.discounts. Resolves to null when it holds no award.
+ */
+export const scholarshipDiscountFor = async (application, amount) => {
+  const request = await ScholarshipApplication.findOne({ application: application._id, status: 'awarded' })
+    .populate('scholarship', 'name');
+
+  if (!request) return null;
+
+  const off = Math.min(request.award.amount, amount);
+
+  return off > 0
+    ? { source: 'scholarship', code: request.scholarship?.name, scholarship: request.scholarship?._id, amount: off }
+    : null;
+};
+
+/**
+ * Enroll an application whose checkout a scholarship covers in full, on behalf
+ * of its owner (userId). Records a zero-amount successful Payment (method
+ * 'waiver') so the enrollment has a payment behind it like any other, without
+ * adding to revenue, and completes it like a paid checkout: coupon
+ * redemptions and the referrer's credit are recorded too.
+ *
+ * Resolves to { payment, enrolled }.
+ */
+export const enrollWithWaiver = async (application, checkout, { userId, currency = 'NGN', metadata = {} } = {}) => {
+  if (!application.user || !userId || application.user.toString() !== userId.toString()) {
+    throw new ScholarshipError('Only the applicant can enroll on their scholarship');
+  }
+
+  const payment = await Payment.create({
+    user: application.user,
+    application: application._id,
+    track: application.track,
+    program: application.program,
+    amount: 0,
+    originalAmount: checkout.originalAmount,
+    discounts: checkout.discounts,
+    referral: checkout.referral,
+    currency,
+    reference: `WAIVER-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+    status: 'success',
+    paymentMethod: 'waiver',
+    metadata,
+    paidAt: new Date(),
+    verified: true
+  });
+
+  await Application.updateOne({ _id: application._id }, { payment: payment._id });
+
+  await payment.populate([
+    { path: 'user', select: '-password -confirmPassword' },
+    { path: 'application' }
+  ]);
+
+  const enrolled = await completePayment(payment);
+
+  return { payment, enrolled };
+};
@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import Cohort from '../models/Cohort.js';
+import {
+  canTransition,
+  transitionApplication,
+  withdrawApplication
+} from './applicationWorkflow.js';
+import { offerPlace, addToWaitlist, promoteFromWaitlist } from './waitlistService.js';
+
+// Largest number of applications one bulk request may touch
+export const bulkStatusLimit = () => parseInt(process.env.BULK_STATUS_MAX || '500', 10);
+
+export class BulkStatusAbortedError extends Error {
+  constructor(results) {
+    super('One or more applications could not be updated, so none were changed');
+    this.name = 'BulkStatusAbortedError';
+    this.results = results;
+  }
+}
+
+/**
+ * Move an application to a status on an admin's behalf. Acceptances reserve a
+ * cohort seat (a full cohort waitlists the application instead), waitlisting
+ * queues it and withdrawals clean up seats, checkouts and interviews.
+ *
+ * Resolves to the updated application, whose status can differ from the one
+ * requested, or null when it does not exist.
+ */
+export const changeApplicationStatus = async (applicationId, status, { actor = null, note, update = {}, session } = {}) => {
+  const options = { actor, note, update, session };
+
+  if (status === 'accepted') {
+    const { application } = await offerPlace(applicationId, options);
+    return application;
+  }
+  if (status === 'waitlisted') return addToWaitlist(applicationId, options);
+  if (status === 'withdrawn') return withdrawApplication(applicationId, { actor, reason: note, session });
+
+  return transitionApplication(applicationId, status, options);
+};
+
+/**
+ * Describe what a bulk change would do without writing anything: which
+ * applications move, which are skipped and why, and which acceptances would
+ * land on a waitlist because their cohort is full.
+ */
+export const previewStatusChange = async (query, status) => {
+  const applications = await Application.find(query)
+    .select('firstName lastName email track program status cohort')
+    .sort({ applicationDate: 1 })
+    .lean();
+
+  // Seats left per cohort, consumed in the order acceptances would be applied
+  const seatsLeft = new Map();
+  if (status === 'accepted') {
+    const cohortIds = [...new Set(applications.filter(app => app.cohort).map(app => app.cohort.toString()))];
+    const cohorts = await Cohort.find({ _id: { $in: cohortIds } }).select('capacity seatsTaken').lean();
+    cohorts.forEach(cohort => seatsLeft.set(cohort._id.toString(), Math.max(cohort.capacity - cohort.seatsTaken, 0)));
+  }
+
+  const changes = applications.map(application => {
+    const change = {
+      id: application._id,
+      name: `${application.firstName} ${application.lastName}`,
+      email: application.email,
+      from: application.status,
+      to: status,
+      willChange: canTransition(application.status, status)
+    };
+
+    if (!change.willChange) {
+      change.reason = `Cannot move from ${application.status} to ${status}`;
+      return change;
+    }
+
+    if (status === 'accepted' && application.cohort) {
+      const cohortId = application.cohort.toString();
+      const left = seatsLeft.get(cohortId) || 0;
+
+      if (left > 0) {
+        seatsLeft.set(cohortId, left - 1);
+      } else {
+        change.to = 'waitlisted';
+        change.willChange = application.status !== 'waitlisted';
+        change.reason = 'Cohort is full';
+      }
+    }
+
+    return change;
+  });
+
+  const summary = changes.reduce((acc, change) => {
+    if (change.willChange) {
+      acc.willChange++;
+      acc.byTargetStatus[change.to] = (acc.byTargetStatus[change.to] || 0) + 1;
+    } else {
+      acc.willSkip++;
+    }
+    return acc;
+  }, { total: changes.length, willChange: 0, willSkip: 0, byTargetStatus: {} });
+
+  return { summary, changes };
+};
+
+// Failures that belong to a single record rather than to the whole request
+const isRecordError = (error) => ['InvalidStatusTransitionError', 'ValidationError'].includes(error.name);
+
+// The server cannot run transactions at all (standalone MongoDB)
+const isTransactionUnsupported = (error) => error.codeName === 'IllegalOperation';
+
+const toResult = (id, application) => (application
+  ? { id, success: true, status: application.status }
+  : { id, success: false, error: 'Application not found' });
+
+/**
+ * Apply a status change to many applications inside MongoDB transactions.
+ *
+ * By default each application is changed in its own transaction and the
+ * results report which ones succeeded. With `atomic` every change runs in one
+ * transaction and a single failure rolls all of them back
+ * (BulkStatusAbortedError carries the per-record results).
+ *
+ * Waitlist promotions after withdrawals happen once the changes are committed.
+ */
+export const applyStatusChange = async (ids, status, { actor = null, note, atomic = false } = {}) => {
+  const update = { reviewedAt: new Date() };
+  const session = await mongoose.startSession();
+  let results = [];
+
+  try {
+    if (atomic) {
+      await session.withTransaction(async () => {
+        // withTransaction retries the callback on transient errors, so start from scratch each time
+        results = [];
+
+        for (const id of ids) {
+          try {
+            const application = await changeApplicationStatus(id, status, { actor, note, update, session });
+            results.push(toResult(id, application));
+          } catch (error) {
+            if (!isRecordError(error)) throw error;
+            results.push({ id, success: false, error: error.message });
+          }
+        }
+
+        if (results.some(result => !result.success)) {
+          throw new BulkStatusAbortedError(results);
+        }
+      });
+    } else {
+      for (const id of ids) {
+        try {
+          let application;
+          await session.withTransaction(async () => {
+            application = await changeApplicationStatus(id, status, { actor, note, update, session });
+          });
+          results.push(toResult(id, application));
+        } catch (error) {
+          // The record's transaction was rolled back; carry on with the rest
+          if (isTransactionUnsupported(error)) throw error;
+          if (!isRecordError(error)) console.error(`Bulk status change failed for application ${id}:`, error);
+          results.push({ id, success: false, error: isRecordError(error) ? error.message : 'Update failed' });
+        }
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+
+  if (status === 'withdrawn') {
+    const applied = results.filter(result => result.success).map(result => result.id);
+    const cohortIds = await Application.distinct('cohort', { _id: { $in: applied }, cohort: { $ne: null } });
+
+    for (const cohortId of cohortIds) {
+      await promoteFromWaitlist(cohortId, { actor });
+    }
+  }
+
+  return {
+    summary: {
+      total: results.length,
+      succeeded: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length
+    },
+    results
+  };
+};
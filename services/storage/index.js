@@ -0,0 +1,30 @@
+import LocalStorage from './localStorage.js';
+import S3Storage from './s3Storage.js';
+
+// Storage backends, selected with STORAGE_DRIVER. Each one implements
+// save(key, buffer, { contentType }), saveFile(key, filePath, { contentType }),
+// createReadStream(key) and remove(key).
+const drivers = {
+  local: () => new LocalStorage(),
+  s3: () => new S3Storage()
+};
+
+const instances = {};
+
+export const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = drivers[name]();
+  }
+
+  return instances[name];
+};
+
+// Register another backend (e.g. in tests or for a different provider)
+export const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+  delete instances[name];
+};
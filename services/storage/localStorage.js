@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Files live on local disk under UPLOAD_DIR (defaults to ./uploads in the project root)
+class LocalStorage {
+  constructor(rootDir = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    // Keys are generated server-side, but never let one escape the upload directory
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async saveFile(key, sourcePath) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(sourcePath, filePath);
+  }
+
+  async createReadStream(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+export default LocalStorage;
@@ -0,0 +1,77 @@
+import fs from 'fs';
+
+// S3-compatible object storage (AWS S3, MinIO, DigitalOcean Spaces, Cloudflare R2, ...)
+class S3Storage {
+  constructor({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT,
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true'
+  } = {}) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.config = {
+      region,
+      ...(endpoint && { endpoint }),
+      ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+      forcePathStyle
+    };
+  }
+
+  // The SDK is only loaded when this driver is actually used
+  async client() {
+    if (!this.sdk) {
+      this.sdk = await import('@aws-sdk/client-s3');
+      this.s3 = new this.sdk.S3Client(this.config);
+    }
+    return this.s3;
+  }
+
+  async save(key, buffer, { contentType } = {}) {
+    const s3 = await this.client();
+    await s3.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  // Upload a file from disk without reading it into memory
+  async saveFile(key, filePath, { contentType } = {}) {
+    const s3 = await this.client();
+    const { size } = await fs.promises.stat(filePath);
+    await s3.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentLength: size,
+      ContentType: contentType
+    }));
+  }
+
+  async createReadStream(key) {
+    const s3 = await this.client();
+    const response = await s3.send(new this.sdk.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+    return response.Body;
+  }
+
+  async remove(key) {
+    const s3 = await this.client();
+    await s3.send(new this.sdk.DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+}
+
+export default S3Storage;
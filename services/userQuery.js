@@ -0,0 +1,30 @@
+// Filters shared by the user list and the user export
+
+// Build a MongoDB query from list filters. Non-admins never see themselves in the list.
+export const buildUserQuery = (filters = {}, currentUser) => {
+  const { role, search, isActive } = filters;
+
+  const query = {};
+
+  if (role) query.role = role;
+  if (isActive !== undefined) query.isActive = isActive === 'true' || isActive === true;
+
+  // Search filter
+  if (search) {
+    query.$or = [
+      { firstName: { $regex: search, $options: 'i' } },
+      { lastName: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  if (currentUser && currentUser.role !== 'admin') {
+    query._id = { $ne: currentUser._id };
+  }
+
+  return query;
+};
+
+export const buildUserSort = ({ sortBy = 'createdAt', sortOrder = 'desc' } = {}) => ({
+  [sortBy]: sortOrder === 'desc' ? -1 : 1
+});
@@ -0,0 +1,86 @@
+import net from 'net';
+
+// clamd INSTREAM protocol: length-prefixed chunks terminated by a zero-length chunk
+const CHUNK_SIZE = 64 * 1024;
+
+const scanWithClamAV = (buffer) => {
+  const host = process.env.CLAMAV_HOST || '127.0.0.1';
+  const port = parseInt(process.env.CLAMAV_PORT || '3310', 10);
+  const timeout = parseInt(process.env.CLAMAV_TIMEOUT_MS || '30000', 10);
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let response = '';
+
+    socket.setTimeout(timeout, () => {
+      socket.destroy(new Error('ClamAV scan timed out'));
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+
+      for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+        const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        socket.write(size);
+        socket.write(chunk);
+      }
+
+      socket.write(Buffer.alloc(4));
+    });
+
+    socket.on('data', (data) => {
+      response += data.toString();
+    });
+
+    socket.on('end', () => {
+      const result = response.replace(/\0/g, '').trim();
+
+      if (result.endsWith('OK')) {
+        resolve({ status: 'clean', engine: 'clamav' });
+      } else if (result.endsWith('FOUND')) {
+        const signature = result.replace(/^stream:\s*/, '').replace(/\s*FOUND$/, '');
+        resolve({ status: 'infected', engine: 'clamav', signature });
+      } else {
+        reject(new Error(`Unexpected ClamAV response: ${result}`));
+      }
+    });
+
+    socket.on('error', reject);
+  });
+};
+
+class VirusScanner {
+  constructor() {
+    this.hook = null;
+  }
+
+  /**
+   * Plug in a custom scanner. It receives (buffer, { filename, mimeType }) and
+   * must resolve to { status: 'clean' | 'infected', signature?, engine? }.
+   */
+  setHook(hook) {
+    this.hook = hook;
+  }
+
+  /**
+   * Scan a file before it is stored. Uses the custom hook if one is set,
+   * otherwise the engine named by VIRUS_SCANNER ('clamav' or 'none').
+   */
+  async scan(buffer, fileInfo = {}) {
+    if (this.hook) {
+      return this.hook(buffer, fileInfo);
+    }
+
+    switch (process.env.VIRUS_SCANNER) {
+      case 'clamav':
+        return scanWithClamAV(buffer);
+
+      default:
+        return { status: 'skipped', engine: 'none' };
+    }
+  }
+}
+
+export default new VirusScanner();
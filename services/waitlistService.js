@@ -0,0 +1,234 @@
+import Application from '../models/Application.js';
+import Cohort from '../models/Cohort.js';
+import Payment from '../models/payment.js';
+import notificationService from './notificationService.js';
+import {
+  canTransition,
+  transitionApplication,
+  releaseApplicationSeat,
+  InvalidStatusTransitionError
+} from './applicationWorkflow.js';
+
+// Hours an accepted applicant has to pay before their seat goes to the waitlist
+export const offerWindowHours = () => parseInt(process.env.OFFER_PAYMENT_WINDOW_HOURS || '72', 10);
+
+const paymentDeadline = () => new Date(Date.now() + offerWindowHours() * 60 * 60 * 1000);
+
+// Waitlist order: explicit rank first, then time on the list
+const WAITLIST_SORT = { 'waitlist.rank': 1, 'waitlist.addedAt': 1, applicationDate: 1 };
+
+const nextWaitlistRank = async (cohortId, { session } = {}) => {
+  const last = await Application.findOne({ cohort: cohortId, status: 'waitlisted' }, 'waitlist.rank', { session })
+    .sort({ 'waitlist.rank': -1 });
+
+  return (last?.waitlist?.rank || 0) + 1;
+};
+
+/**
+ * Put an application at the back of its cohort's waitlist.
+ * Resolves to the updated application, or null when it does not exist.
+ */
+export const addToWaitlist = async (applicationId, { actor = null, note, update = {}, session } = {}) => {
+  const current = await Application.findById(applicationId, 'cohort', { session });
+
+  if (!current) return null;
+
+  const rank = current.cohort ? await nextWaitlistRank(current.cohort, { session }) : 1;
+
+  return transitionApplication(applicationId, 'waitlisted', {
+    actor,
+    note,
+    update: { ...update, waitlist: { rank, addedAt: new Date() } },
+    session
+  });
+};
+
+/**
+ * Accept an application: reserve a seat in its cohort and open a payment
+ * window. When the cohort is already full the application is waitlisted
+ * instead (or stays waitlisted).
+ *
+ * Resolves to { application, outcome } where outcome is 'accepted' or
+ * 'waitlisted'; application is null when it does not exist.
+ */
+export const offerPlace = async (applicationId, { actor = null, note, update = {}, session } = {}) => {
+  const current = await Application.findById(applicationId, 'status cohort', { session });
+
+  if (!current) return { application: null };
+
+  if (!canTransition(current.status, 'accepted')) {
+    throw new InvalidStatusTransitionError(current.status, 'accepted');
+  }
+
+  if (current.cohort) {
+    const cohort = await Cohort.claimSeat(current.cohort, { session });
+
+    if (!cohort) {
+      const application = current.status === 'waitlisted'
+        ? await Application.findById(applicationId, '-password -confirmPassword', { session })
+        : await addToWaitlist(applicationId, {
+          actor,
+          note: note ? `Cohort is full: ${note}` : 'Cohort is full',
+          update,
+          session
+        });
+
+      return { application, outcome: 'waitlisted' };
+    }
+  }
+
+  let application;
+  try {
+    application = await transitionApplication(applicationId, 'accepted', {
+      actor,
+      note,
+      update: {
+        ...update,
+        seatReserved: Boolean(current.cohort),
+        paymentDueAt: paymentDeadline(),
+        paymentStatus: 'pending'
+      },
+      session
+    });
+  } catch (error) {
+    if (current.cohort) await Cohort.releaseSeat(current.cohort, { session });
+    throw error;
+  }
+
+  if (!application && current.cohort) await Cohort.releaseSeat(current.cohort, { session });
+
+  return { application, outcome: 'accepted' };
+};
+
+const notifyPromotion = (application) => notificationService.sendEmail({
+  to: application.email,
+  subject: 'A place has opened up for you at Binarify Academy',
+  text: `Hi ${application.firstName},\n\n` +
+    `Good news: a place in your cohort has become available and your application has been accepted from the waitlist.\n\n` +
+    `Please complete your payment by ${application.paymentDueAt.toUTCString()} to secure your seat. ` +
+    'After that the place will be offered to the next applicant on the waitlist.'
+});
+
+const notifyLapse = (application) => notificationService.sendEmail({
+  to: application.email,
+  subject: 'Your Binarify Academy offer has expired',
+  text: `Hi ${application.firstName},\n\n` +
+    'We did not receive your payment within the payment window, so your place has been released. ' +
+    'You are welcome to apply again for a future cohort.'
+});
+
+/**
+ * Offer free seats in a cohort to the top of its waitlist, one applicant at a
+ * time, until the cohort is full or the waitlist is empty. Promoted applicants
+ * get a fresh payment window and an email. Resolves to the promoted applications.
+ */
+export const promoteFromWaitlist = async (cohortId, { actor = null } = {}) => {
+  const cohort = await Cohort.findById(cohortId).select('isActive startDate');
+
+  // No promotions into a cohort that was closed or has already started
+  if (!cohort || !cohort.isActive || cohort.startDate <= new Date()) return [];
+
+  const promoted = [];
+
+  for (;;) {
+    const next = await Application.findOne({ cohort: cohortId, status: 'waitlisted' })
+      .sort(WAITLIST_SORT)
+      .select('_id');
+
+    if (!next) break;
+
+    try {
+      const { application, outcome } = await offerPlace(next._id, {
+        actor,
+        note: 'Promoted from the waitlist',
+        update: { 'waitlist.promotedAt': new Date() }
+      });
+
+      if (outcome !== 'accepted') break;
+      if (!application) continue;
+
+      promoted.push(application);
+      await notifyPromotion(application);
+    } catch (error) {
+      // Changed by another request in the meantime; move on to the next applicant
+      if (error.name !== 'InvalidStatusTransitionError') throw error;
+    }
+  }
+
+  return promoted;
+};
+
+/**
+ * Withdraw accepted applications whose payment window has closed, release
+ * their seats and promote from the waitlist of each affected cohort.
+ */
+export const lapseExpiredOffers = async ({ now = new Date() } = {}) => {
+  const expired = await Application.find({
+    status: 'accepted',
+    paymentDueAt: { $lte: now }
+  }).select('_id');
+
+  const cohorts = new Set();
+  let lapsed = 0;
+
+  for (const { _id } of expired) {
+    try {
+      const application = await transitionApplication(_id, 'withdrawn', {
+        note: 'Offer lapsed: payment window expired',
+        update: { paymentStatus: 'expired' }
+      });
+
+      if (!application) continue;
+
+      await releaseApplicationSeat(application);
+      await Payment.updateMany(
+        { application: _id, status: { $in: ['pending', 'scheduled'] } },
+        { status: 'expired' }
+      );
+      await notifyLapse(application);
+
+      lapsed++;
+      if (application.cohort) cohorts.add(application.cohort.toString());
+    } catch (error) {
+      // Paid (or otherwise moved on) since it was read
+      if (error.name !== 'InvalidStatusTransitionError') throw error;
+    }
+  }
+
+  let promoted = 0;
+  for (const cohortId of cohorts) {
+    promoted += (await promoteFromWaitlist(cohortId)).length;
+  }
+
+  return { lapsed, promoted };
+};
+
+// Get a cohort's waitlist in promotion order
+export const getWaitlist = (cohortId) => {
+  return Application.find({ cohort: cohortId, status: 'waitlisted' })
+    .select('firstName lastName email track program waitlist reviewSummary.averageScore applicationDate')
+    .sort(WAITLIST_SORT);
+};
+
+/**
+ * Move a waitlisted application to a 1-based position and renumber the rest.
+ * Resolves to the reordered waitlist, or null when the application is not on it.
+ */
+export const moveOnWaitlist = async (cohortId, applicationId, position) => {
+  const waitlist = await getWaitlist(cohortId);
+  const index = waitlist.findIndex(application => application._id.toString() === applicationId.toString());
+
+  if (index === -1) return null;
+
+  const [moved] = waitlist.splice(index, 1);
+  waitlist.splice(Math.min(Math.max(position, 1), waitlist.length + 1) - 1, 0, moved);
+
+  await Application.bulkWrite(waitlist.map((application, rankIndex) => ({
+    updateOne: {
+      filter: { _id: application._id, status: 'waitlisted' },
+      update: { $set: { 'waitlist.rank': rankIndex + 1 } }
+    }
+  })));
+
+  return getWaitlist(cohortId);
+};
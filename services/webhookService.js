@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import Payment from '../models/payment.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { recordSuccessfulCharge } from './enrollmentService.js';
+import { claimSubscriptionCharge, failSubscriptionCharge, stopAutoDebit } from './installmentService.js';
+import { processRefundEvent } from './refundService.js';
+
+export class WebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookError';
+  }
+}
+
+// Attempts before an event is left failed for an admin to replay
+const webhookMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+
+// Events still processing after this long were cut off by a restart
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+// Payments a charge.success has nothing left to do for
+const SETTLED_STATUSES = ['success', 'refunded'];
+
+// 1, 2, 4, 8... minutes between attempts
+const retryDelay = (attempts) => Math.pow(2, attempts - 1) * 60 * 1000;
+
+const processSuccessfulCharge = async (data) => {
+  // Auto-debited installments arrive with a reference Paystack chose
+  const payment = await Payment.findByReference(data.reference) || await claimSubscriptionCharge(data);
+
+  if (!payment) return `No payment matches reference ${data.reference}`;
+
+  // Already handled by verifyPayment or reconciliation, and possibly refunded since;
+  // a retried or replayed delivery must not complete it again
+  if (SETTLED_STATUSES.includes(payment.status)) return `Payment was already recorded (${payment.status})`;
+
+  await payment.populate([
+    { path: 'user', select: '-password -confirmPassword' },
+    { path: 'application' }
+  ]);
+
+  const { status, enrolled } = await recordSuccessfulCharge(payment, data);
+
+  if (status !== 'success') return 'Charged amount does not match the payment; marked failed';
+  return enrolled ? 'Payment recorded and application enrolled' : 'Payment recorded';
+};
+
+const processFailedInvoice = async (data) => {
+  const installment = await failSubscriptionCharge(data);
+  return installment
+    ? `Installment ${installment.installment.number} of ${installment.installment.of} marked failed`
+    : 'No installment plan uses this subscription';
+};
+
+const processStoppedSubscription = async (data) => {
+  const stopped = await stopAutoDebit(data);
+  return stopped ? 'Auto-debit stopped' : 'No installment plan uses this subscription';
+};
+
+const processRefund = async (data, event) => {
+  const refund = await processRefundEvent(event, data);
+  return refund ? `Refund ${refund._id} is ${refund.status}` : 'No refund matches this event';
+};
+
+// Nothing is paid out through Paystack transfers from this app
+const acknowledgeTransfer = async (data, event) => `Transfer ${data.reference || data.transfer_code} reported ${event.replace(/^transfer\./, '')}; payouts are not tracked here`;
+
+// Invoices are settled through the charge.success that follows them
+const acknowledgeInvoice = async () => 'Nothing to do until the invoice is charged';
+
+// Auto-debit subscriptions are recorded when they are created (services/installmentService.js)
+const acknowledgeSubscription = async () => 'Subscription was recorded when auto-debit was set up';
+
+// Every event type the Paystack dashboard is subscribed to
+const HANDLERS = {
+  'charge.success': processSuccessfulCharge,
+  'invoice.create': acknowledgeInvoice,
+  'invoice.update': acknowledgeInvoice,
+  'invoice.payment_failed': processFailedInvoice,
+  'subscription.create': acknowledgeSubscription,
+  'subscription.disable': processStoppedSubscription,
+  'subscription.not_renew': processStoppedSubscription,
+  'refund.pending': processRefund,
+  'refund.processing': processRefund,
+  'refund.processed': processRefund,
+  'refund.failed': processRefund,
+  'refund.needs-attention': processRefund,
+  'transfer.success': acknowledgeTransfer,
+  'transfer.failed': acknowledgeTransfer,
+  'transfer.reversed': acknowledgeTransfer
+};
+
+const parsePayload = (rawBody) => {
+  try {
+    const payload = JSON.parse(rawBody);
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+const bodyHash = (rawBody) => crypto.createHash('sha256').update(rawBody).digest('hex');
+
+const eventIdFor = (payload, rawBody) => {
+  const { event, data = {} } = payload;
+  if (data.id === undefined || data.id === null) {
+    return `${event}:${bodyHash(rawBody)}`;
+  }
+  return [event, data.id, data.status].filter(part => part !== undefined && part !== null).join(':');
+};
+
+/**
+ * Store a webhook delivery as received, given its raw bytes and the outcome
+ * of its signature check (verifyPaystackWebhook has already turned away
+ * unsigned and badly signed ones). A body that is not JSON is not stored and
+ * throws a WebhookError. A delivery Paystack has sent before is not stored
+ * twice.
+ *
+ * Resolves to { event, duplicate } where event is the stored WebhookEvent
+ * (the earlier one for a duplicate).
+ */
+export const recordWebhookEvent = async ({ rawBody, signatureCheck }) => {
+  const text = rawBody.toString('utf8');
+  const payload = parsePayload(text);
+
+  if (!payload) {
+    throw new WebhookError('Body is not JSON');
+  }
+
+  const fields = {
+    rawBody: text,
+    signatureCheck,
+    event: payload.event,
+    reference: payload.data?.reference,
+    eventId: eventIdFor(payload, text)
+  };
+
+  try {
+    const event = await WebhookEvent.create(fields);
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const event = await WebhookEvent.findOne({ eventId: fields.eventId });
+    return { event, duplicate: true };
+  }
+};
+
+// Run a claimed event's handler and record the outcome
+const runWebhookEvent = async (event) => {
+  const { data = {} } = parsePayload(event.rawBody);
+  const handler = HANDLERS[event.event];
+
+  try {
+    if (!handler) {
+      event.status = 'ignored';
+      event.result = `No handler for ${event.event}`;
+    } else {
+      event.result = await handler(data, event.event);
+      event.status = 'processed';
+      event.error = undefined;
+    }
+    event.processedAt = new Date();
+  } catch (error) {
+    console.error(`Webhook event ${event._id} (${event.event}) failed:`, error);
+    event.error = error.message;
+
+    if (event.attempts >= webhookMaxAttempts()) {
+      event.status = 'failed';
+    } else {
+      event.status = 'pending';
+      event.nextAttemptAt = new Date(Date.now() + retryDelay(event.attempts));
+    }
+  }
+
+  return event.save();
+};
+
+// Claim a pending event that is due, counting the attempt
+const claimWebhookEvent = (filter = {}) => WebhookEvent.findOneAndUpdate(
+  { ...filter, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+  { status: 'processing', $inc: { attempts: 1 } },
+  { new: true, sort: { nextAttemptAt: 1 } }
+).select('+rawBody');
+
+/**
+ * Process one stored event now, if it is pending and due. Resolves to the
+ * updated WebhookEvent, or null when it was not (or is already being) processed.
+ */
+export const processWebhookEvent = async (eventId) => {
+  const event = await claimWebhookEvent({ _id: eventId });
+  return event ? runWebhookEvent(event) : null;
+};
+
+/**
+ * Process every pending event that is due, oldest first (claimed atomically,
+ * so several callers can run this at once). Events cut off mid-processing by
+ * a restart are picked up again.
+ */
+export const processPendingWebhookEvents = async () => {
+  await WebhookEvent.updateMany(
+    { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+    { status: 'pending', nextAttemptAt: new Date() }
+  );
+
+  let processed = 0;
+  let failed = 0;
+
+  for (;;) {
+    const event = await claimWebhookEvent();
+    if (!event) break;
+
+    const { status } = await runWebhookEvent(event);
+    if (status === 'failed') failed++;
+    else if (status !== 'pending') processed++;
+  }
+
+  return { processed, failed };
+};
+
+/**
+ * Run an event again from its stored body with a fresh set of attempts,
+ * e.g. once the bug that failed it is fixed. Charges and refunds check what
+ * was already applied, so replaying them again does no harm; a replayed
+ * invoice.payment_failed fails whichever installment is next unpaid at the
+ * time, so check the plan before replaying one that was processed.
+ *
+ * Resolves to the updated WebhookEvent, or null when it does not exist.
+ */
+export const replayWebhookEvent = async (eventId, { actor = null } = {}) => {
+  const event = await WebhookEvent.findById(eventId);
+  if (!event) return null;
+
+  const queued = await WebhookEvent.findOneAndUpdate(
+    { _id: event._id, status: { $ne: 'processing' } },
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date(), replayedBy: actor, replayedAt: new Date() }
+  );
+
+  if (!queued) {
+    throw new WebhookError('This event is being processed right now');
+  }
+
+  return await processWebhookEvent(event._id) || WebhookEvent.findById(event._id);
+};
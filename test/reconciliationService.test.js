@@ -0,0 +1,213 @@
+import { after, afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { startPaystackStandIn } from './support/paystackStandIn.js';
+
+// paymentService reads its Paystack settings on import, so the stand-in has to be up first
+const standIn = await startPaystackStandIn({ perPage: 2 });
+process.env.PAYSTACK_BASE_URL = standIn.url;
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_stand_in';
+
+const { default: Application } = await import('../models/Application.js');
+const { default: Payment } = await import('../models/payment.js');
+const { default: PaymentDiscrepancy } = await import('../models/PaymentDiscrepancy.js');
+const { default: ReconciliationRun } = await import('../models/ReconciliationRun.js');
+const { reconcilePayments } = await import('../services/reconciliationService.js');
+
+const to = new Date('2026-03-02T12:00:00Z');
+const from = new Date('2026-03-01T12:00:00Z');
+const during = (minutes) => new Date(from.getTime() + minutes * 60 * 1000);
+
+const transaction = (fields) => ({
+  id: Math.floor(Math.random() * 1e9),
+  amount: 500000,
+  currency: 'NGN',
+  created_at: during(60).toISOString(),
+  ...fields
+});
+
+// The parts of a Mongo filter Payment.findByReference uses: equality, matching into arrays, and $or
+const matchesFilter = (doc, filter) => Object.entries(filter).every(([field, value]) => {
+  if (field === '$or') return value.some(clause => matchesFilter(doc, clause));
+  return Array.isArray(doc[field]) ? doc[field].includes(value) : doc[field] === value;
+});
+
+const payment = (fields) => new Payment({
+  user: new mongoose.Types.ObjectId(),
+  amount: 500000,
+  currency: 'NGN',
+  paymentMethod: 'paystack',
+  status: 'pending',
+  metadata: {},
+  createdAt: during(60),
+  ...fields
+});
+
+describe('reconcilePayments', () => {
+  // Payments the database holds, and what the run wrote back
+  let payments;
+  let discrepancies;
+  let applicationUpdates;
+
+  beforeEach(() => {
+    payments = [];
+    discrepancies = [];
+    applicationUpdates = [];
+    standIn.transactions = [];
+
+    mock.method(console, 'error', () => {});
+
+    mock.method(Payment, 'findOne', async (filter) => payments.find(candidate => matchesFilter(candidate, filter)) || null);
+    mock.method(Payment, 'find', () => ({
+      select: async () => payments.filter(candidate => candidate.status === 'success' && candidate.createdAt >= during(5))
+    }));
+    mock.method(Payment.prototype, 'save', async function () { return this; });
+    mock.method(Payment.prototype, 'populate', async function () { return this; });
+
+    mock.method(Application, 'findOne', async () => null);
+    mock.method(Application, 'findByIdAndUpdate', async (id, update) => {
+      applicationUpdates.push({ id, update });
+      return null;
+    });
+
+    mock.method(PaymentDiscrepancy, 'exists', async () => null);
+    mock.method(PaymentDiscrepancy, 'create', async (fields) => {
+      discrepancies.push(fields);
+      return fields;
+    });
+
+    mock.method(ReconciliationRun, 'create', async (fields) => new ReconciliationRun(fields));
+    mock.method(ReconciliationRun.prototype, 'save', async function () { return this; });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  after(() => standIn.close());
+
+  it('completes a payment Paystack charged but we never marked successful', async () => {
+    const missed = payment({ reference: 'BIN-MISSED-SUCCESS' });
+    payments.push(missed);
+    standIn.transactions.push(transaction({ reference: 'BIN-MISSED-SUCCESS', status: 'success', paid_at: during(61).toISOString() }));
+
+    const run = await reconcilePayments({ from, to });
+
+    assert.equal(run.status, 'completed');
+    assert.equal(missed.status, 'success');
+    assert.equal(missed.verified, true);
+    assert.equal(missed.metadata.paystackReconciliationData.reference, 'BIN-MISSED-SUCCESS');
+    assert.equal(discrepancies.length, 1);
+    assert.equal(discrepancies[0].type, 'missed-success');
+    assert.equal(discrepancies[0].action, 'marked-success');
+    assert.equal(discrepancies[0].localStatus, 'pending');
+    assert.deepEqual(run.toObject().summary, { checked: 1, matched: 0, fixed: 1, discrepancies: 1 });
+  });
+
+  it('fails a pending payment, and its application, when Paystack failed the charge', async () => {
+    const application = new mongoose.Types.ObjectId();
+    const pending = payment({ reference: 'BIN-MISSED-FAILURE', application });
+    payments.push(pending);
+    standIn.transactions.push(transaction({ reference: 'BIN-MISSED-FAILURE', status: 'failed' }));
+
+    const run = await reconcilePayments({ from, to });
+
+    assert.equal(pending.status, 'failed');
+    assert.equal(pending.verified, true);
+    assert.deepEqual(applicationUpdates, [{ id: application, update: { paymentStatus: 'failed' } }]);
+    assert.equal(discrepancies.length, 1);
+    assert.equal(discrepancies[0].type, 'missed-failure');
+    assert.equal(discrepancies[0].action, 'marked-failed');
+    assert.deepEqual(run.toObject().summary, { checked: 1, matched: 0, fixed: 1, discrepancies: 1 });
+  });
+
+  it('leaves a paid payment alone when Paystack failed the charge on one of its earlier references', async () => {
+    const application = new mongoose.Types.ObjectId();
+    const paid = payment({
+      reference: 'BIN-REUSED-NEW',
+      previousReferences: ['BIN-REUSED-OLD'],
+      status: 'success',
+      verified: true,
+      application
+    });
+    payments.push(paid);
+    standIn.transactions.push(
+      transaction({ reference: 'BIN-REUSED-OLD', status: 'failed' }),
+      transaction({ reference: 'BIN-REUSED-NEW', status: 'success' })
+    );
+
+    const run = await reconcilePayments({ from, to });
+
+    assert.equal(paid.status, 'success');
+    assert.deepEqual(applicationUpdates, []);
+    assert.equal(discrepancies.length, 1);
+    assert.equal(discrepancies[0].type, 'previous-reference');
+    assert.equal(discrepancies[0].reference, 'BIN-REUSED-OLD');
+    assert.equal(discrepancies[0].action, 'none');
+    assert.deepEqual(run.toObject().summary, { checked: 2, matched: 1, fixed: 0, discrepancies: 1 });
+  });
+
+  it('leaves a live checkout pending when an earlier reference of it was abandoned', async () => {
+    const application = new mongoose.Types.ObjectId();
+    const live = payment({
+      reference: 'BIN-LIVE-NEW',
+      previousReferences: ['BIN-LIVE-OLD'],
+      application
+    });
+    payments.push(live);
+    standIn.transactions.push(transaction({ reference: 'BIN-LIVE-OLD', status: 'abandoned' }));
+
+    const run = await reconcilePayments({ from, to });
+
+    assert.equal(live.status, 'pending');
+    assert.equal(live.verified, false);
+    assert.deepEqual(applicationUpdates, []);
+    assert.equal(discrepancies.length, 1);
+    assert.equal(discrepancies[0].type, 'previous-reference');
+    assert.equal(discrepancies[0].reference, 'BIN-LIVE-OLD');
+    assert.deepEqual(run.toObject().summary, { checked: 1, matched: 0, fixed: 0, discrepancies: 1 });
+  });
+
+  it('reports a successful charge no payment has the reference of', async () => {
+    standIn.transactions.push(transaction({ reference: 'SOMEONE-ELSES', status: 'success' }));
+
+    const run = await reconcilePayments({ from, to });
+
+    assert.equal(discrepancies.length, 1);
+    assert.equal(discrepancies[0].type, 'unknown-reference');
+    assert.equal(discrepancies[0].reference, 'SOMEONE-ELSES');
+    assert.equal(discrepancies[0].action, 'none');
+    assert.deepEqual(run.toObject().summary, { checked: 1, matched: 0, fixed: 0, discrepancies: 1 });
+  });
+
+  it('reports a successful payment Paystack does not list, without changing it', async () => {
+    const listed = payment({ reference: 'BIN-LISTED', status: 'success', verified: true });
+    const missing = payment({ reference: 'BIN-NOT-AT-PAYSTACK', status: 'success', verified: true });
+    payments.push(listed, missing);
+    standIn.transactions.push(transaction({ reference: 'BIN-LISTED', status: 'success' }));
+
+    const run = await reconcilePayments({ from, to });
+
+    assert.equal(missing.status, 'success');
+    assert.equal(discrepancies.length, 1);
+    assert.equal(discrepancies[0].type, 'missing-at-paystack');
+    assert.equal(discrepancies[0].reference, 'BIN-NOT-AT-PAYSTACK');
+    assert.equal(discrepancies[0].action, 'none');
+    assert.deepEqual(run.toObject().summary, { checked: 1, matched: 1, fixed: 0, discrepancies: 1 });
+  });
+
+  it('reads every page Paystack lists for the window', async () => {
+    standIn.transactions.push(
+      transaction({ reference: 'OTHER-1', status: 'abandoned' }),
+      transaction({ reference: 'OTHER-2', status: 'abandoned' }),
+      transaction({ reference: 'OTHER-3', status: 'abandoned' }),
+      transaction({ reference: 'BEFORE-WINDOW', status: 'success', created_at: during(-60).toISOString() })
+    );
+    standIn.requests.length = 0;
+
+    const run = await reconcilePayments({ from, to });
+
+    assert.deepEqual(standIn.requests.map(request => request.query.page), ['1', '2']);
+    assert.deepEqual(run.toObject().summary, { checked: 3, matched: 3, fixed: 0, discrepancies: 0 });
+  });
+});
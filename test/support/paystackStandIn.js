@@ -0,0 +1,70 @@
+import http from 'http';
+
+/**
+ * A local HTTP server standing in for the parts of the Paystack API the
+ * services call. Point PAYSTACK_BASE_URL at its url before importing
+ * services/paymentService.js.
+ *
+ * GET /transaction serves standIn.transactions the way Paystack does: filtered
+ * by status and by created_at against from/to, newest first, paged with
+ * perPage (capped at the perPage given here) and a meta block.
+ *
+ * Resolves to { url, transactions, requests, close }.
+ */
+export const startPaystackStandIn = async ({ perPage: maxPerPage = 100 } = {}) => {
+  const standIn = { transactions: [], requests: [] };
+
+  const listTransactions = (query) => {
+    const from = query.get('from') ? new Date(query.get('from')) : null;
+    const to = query.get('to') ? new Date(query.get('to')) : null;
+    const status = query.get('status');
+
+    const transactions = standIn.transactions
+      .filter(transaction => !status || transaction.status === status)
+      .filter(transaction => !from || new Date(transaction.created_at) >= from)
+      .filter(transaction => !to || new Date(transaction.created_at) <= to)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    const perPage = Math.min(parseInt(query.get('perPage') || '50', 10), maxPerPage);
+    const page = parseInt(query.get('page') || '1', 10);
+
+    return {
+      status: true,
+      message: 'Transactions retrieved',
+      data: transactions.slice((page - 1) * perPage, page * perPage),
+      meta: {
+        total: transactions.length,
+        perPage,
+        page,
+        pageCount: Math.max(Math.ceil(transactions.length / perPage), 1)
+      }
+    };
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    standIn.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    const reply = (statusCode, body) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (!req.headers.authorization?.startsWith('Bearer ')) {
+      return reply(401, { status: false, message: 'No Authorization header was found' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/transaction') {
+      return reply(200, listTransactions(url.searchParams));
+    }
+
+    reply(404, { status: false, message: `${req.method} ${url.pathname} is not served by the stand-in` });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  standIn.url = `http://127.0.0.1:${server.address().port}`;
+  standIn.close = () => new Promise(resolve => server.close(resolve));
+
+  return standIn;
+};
@@ -0,0 +1,74 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import Payment from '../models/payment.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { replayWebhookEvent } from '../services/webhookService.js';
+
+// A Mongoose query stand-in that can be awaited or have fields selected first
+const query = (result) => Object.assign(Promise.resolve(result), { select: async () => result });
+
+const chargeSuccess = (reference) => new WebhookEvent({
+  eventId: `charge.success:4099260516:${reference}`,
+  event: 'charge.success',
+  reference,
+  rawBody: JSON.stringify({
+    event: 'charge.success',
+    data: { id: 4099260516, reference, status: 'success', amount: 500000, currency: 'NGN' }
+  }),
+  signatureCheck: 'verified',
+  status: 'processed',
+  attempts: 1,
+  result: 'Payment recorded and application enrolled'
+});
+
+describe('replayWebhookEvent', () => {
+  let paymentSaves;
+  let applicationUpdates;
+
+  beforeEach(() => {
+    paymentSaves = mock.method(Payment.prototype, 'save', async function () { return this; });
+    applicationUpdates = mock.method(Application, 'findByIdAndUpdate', async () => null);
+    mock.method(Payment.prototype, 'populate', async function () { return this; });
+    mock.method(WebhookEvent.prototype, 'save', async function () { return this; });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('leaves a refunded payment alone when its charge.success is replayed', async () => {
+    const refunded = new Payment({
+      reference: 'BIN-REFUNDED',
+      user: new mongoose.Types.ObjectId(),
+      application: new mongoose.Types.ObjectId(),
+      amount: 500000,
+      currency: 'NGN',
+      paymentMethod: 'paystack',
+      status: 'refunded',
+      verified: true,
+      refundedAmount: 500000,
+      metadata: {}
+    });
+    const event = chargeSuccess(refunded.reference);
+
+    mock.method(WebhookEvent, 'findById', async () => event);
+    mock.method(WebhookEvent, 'findOneAndUpdate', (filter, update) => {
+      if (update.$inc) {
+        event.status = 'processing';
+        event.attempts += 1;
+      }
+      return query(event);
+    });
+    mock.method(Payment, 'findOne', async () => refunded);
+
+    const replayed = await replayWebhookEvent(event._id);
+
+    assert.equal(replayed.status, 'processed');
+    assert.equal(replayed.result, 'Payment was already recorded (refunded)');
+    assert.equal(refunded.status, 'refunded');
+    assert.equal(paymentSaves.mock.callCount(), 0);
+    assert.equal(applicationUpdates.mock.callCount(), 0);
+  });
+});